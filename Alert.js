@@ -0,0 +1,64 @@
+// models/Alert.js
+const mongoose = require('mongoose');
+
+const AlertSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+  severity: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'critical'],
+    default: 'medium'
+  },
+  source: {
+    type: {
+      type: String,
+      enum: ['camera', 'signal', 'junction', 'system'],
+      required: true
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId
+    }
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  status: {
+    type: String,
+    enum: ['open', 'acknowledged', 'resolved'],
+    default: 'open'
+  },
+  // Repeats of the same fault while the alert is open
+  occurrences: {
+    type: Number,
+    default: 1
+  },
+  lastOccurredAt: {
+    type: Date,
+    default: Date.now
+  },
+  acknowledgedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  acknowledgedAt: {
+    type: Date
+  },
+  resolvedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+AlertSchema.index({ status: 1, createdAt: -1 });
+AlertSchema.index({ 'source.type': 1, 'source.id': 1, type: 1, status: 1 });
+
+module.exports = mongoose.model('Alert', AlertSchema);
@@ -1,5 +1,6 @@
 // models/Analytics.js
 const mongoose = require('mongoose');
+const { CONGESTION_LEVELS } = require('../utils/congestion');
 
 const AnalyticsSchema = new mongoose.Schema({
   timestamp: {
@@ -10,11 +11,24 @@ const AnalyticsSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Derived on the server, see utils/congestion
   congestionLevel: {
     type: String,
-    enum: ['Low', 'Medium', 'High', 'Unknown'],
+    enum: CONGESTION_LEVELS,
     default: 'Unknown'
   },
+  // What the device reported, kept for auditing the derived level
+  deviceCongestionLevel: {
+    type: String
+  },
+  // Indicators that set the level: speed, occupancy, volume or device
+  congestionBasis: [{
+    type: String
+  }],
+  // Share of the view covered by vehicles (%), when the camera reports it
+  occupancy: {
+    type: Number
+  },
   averageSpeed: {
     type: Number,
     default: 0
@@ -36,12 +50,48 @@ const AnalyticsSchema = new mongoose.Schema({
   junctionId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Signal'
-  }
+  },
+  // Reporting camera and the approach it covers
+  camera: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Camera'
+  },
+  approach: {
+    type: String,
+    enum: ['North', 'South', 'East', 'West']
+  },
+  // Standard deviations from the camera's usual volume at this weekday and
+  // hour, see services/anomalyDetector; unset without enough history
+  anomalyScore: Number,
+  // Counts per counting line and zone of the camera, see utils/regions
+  regions: [{
+    _id: false,
+    region: String,
+    kind: {
+      type: String,
+      enum: ['line', 'zone']
+    },
+    label: String,
+    lane: Number,
+    direction: String,
+    movement: String,
+    vehicleCount: {
+      type: Number,
+      default: 0
+    },
+    vehicleTypes: {
+      cars: Number,
+      motorcycles: Number,
+      trucks: Number
+    },
+    averageSpeed: Number
+  }]
 });
 
 // Index for time-based queries
 AnalyticsSchema.index({ timestamp: -1 });
 // Index for junction-specific queries
 AnalyticsSchema.index({ junctionId: 1, timestamp: -1 });
+AnalyticsSchema.index({ camera: 1, timestamp: -1 });
 
 module.exports = mongoose.model('Analytics', AnalyticsSchema);
\ No newline at end of file
@@ -0,0 +1,89 @@
+// models/AnalyticsRollup.js
+const mongoose = require('mongoose');
+
+// Running totals of Analytics records in one time bucket, kept per camera,
+// per junction approach and for the whole network (see services/analyticsRollups)
+const AnalyticsRollupSchema = new mongoose.Schema({
+  interval: {
+    type: String,
+    enum: ['1m', '15m', '1h', '1d'],
+    required: true
+  },
+  // Start of the bucket
+  bucket: {
+    type: Date,
+    required: true
+  },
+  scope: {
+    type: String,
+    enum: ['all', 'camera', 'junction'],
+    required: true
+  },
+  camera: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Camera'
+  },
+  junctionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Signal'
+  },
+  // Junction rollups are split by approach; null when it is not known
+  approach: {
+    type: String,
+    enum: ['North', 'South', 'East', 'West', null]
+  },
+  reports: {
+    type: Number,
+    default: 0
+  },
+  trafficVolume: {
+    type: Number,
+    default: 0
+  },
+  // Sum of the reported average speeds, divided by reports when read
+  speedSum: {
+    type: Number,
+    default: 0
+  },
+  vehicleTypes: {
+    cars: {
+      type: Number,
+      default: 0
+    },
+    motorcycles: {
+      type: Number,
+      default: 0
+    },
+    trucks: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Reports per congestion level
+  congestion: {
+    Low: {
+      type: Number,
+      default: 0
+    },
+    Medium: {
+      type: Number,
+      default: 0
+    },
+    High: {
+      type: Number,
+      default: 0
+    },
+    Unknown: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Fine-grained buckets are dropped after a while
+  expiresAt: Date
+});
+
+AnalyticsRollupSchema.index({ interval: 1, scope: 1, camera: 1, junctionId: 1, approach: 1, bucket: 1 }, { unique: true });
+AnalyticsRollupSchema.index({ interval: 1, scope: 1, bucket: -1 });
+AnalyticsRollupSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AnalyticsRollup', AnalyticsRollupSchema);
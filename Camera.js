@@ -1,5 +1,7 @@
 // models/Camera.js
 const mongoose = require('mongoose');
+const { CONGESTION_LEVELS, ROAD_CLASSES } = require('../utils/congestion');
+const { DIRECTIONS, MOVEMENTS, VEHICLE_CLASSES } = require('../utils/regions');
 
 const CameraSchema = new mongoose.Schema({
   name: {
@@ -7,6 +9,13 @@ const CameraSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Stable id from the onboarding inventory, used by bulk import
+  externalId: {
+    type: String,
+    trim: true,
+    unique: true,
+    sparse: true
+  },
   location: {
     type: String,
     required: true
@@ -26,6 +35,19 @@ const CameraSchema = new mongoose.Schema({
     type: String,
     default: 'v2.4.1'
   },
+  // Signal and approach the camera watches; its metrics are attributed to them
+  junction: {
+    signal: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Signal'
+    },
+    approach: {
+      type: String,
+      enum: ['North', 'South', 'East', 'West']
+    },
+    // Lane numbers in view, counted from the kerb
+    lanes: [Number]
+  },
   status: {
     type: String,
     enum: ['online', 'offline', 'warning'],
@@ -34,15 +56,71 @@ const CameraSchema = new mongoose.Schema({
   lastSeen: {
     type: Date
   },
+  // Cameras watching the road leading into this camera's view, for tracing
+  // congestion that spreads back from it
+  upstream: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Camera'
+    }
+  ],
+  // Latest health report and its evaluation, see services/cameraHealth
+  health: {
+    fps: Number,
+    rssi: Number,
+    freeHeap: Number,
+    temperature: Number,
+    uptime: Number,
+    droppedFrames: Number,
+    reportedAt: Date,
+    issues: [String],
+    degraded: {
+      type: Boolean,
+      default: false
+    },
+    // Consecutive reports outside / within the thresholds
+    badReports: {
+      type: Number,
+      default: 0
+    },
+    goodReports: {
+      type: Number,
+      default: 0
+    }
+  },
   metrics: {
     vehicleCount: Number,
-    congestionLevel: String,
+    // Derived from the report, with what the device said and why, see utils/congestion
+    congestionLevel: {
+      type: String,
+      enum: CONGESTION_LEVELS
+    },
+    deviceCongestionLevel: String,
+    congestionBasis: [String],
     averageSpeed: Number,
+    occupancy: Number,
     vehicleTypes: {
       cars: Number,
       motorcycles: Number,
       trucks: Number
-    }
+    },
+    // Latest counts per counting line and zone
+    regions: [{
+      _id: false,
+      region: String,
+      kind: String,
+      label: String,
+      lane: Number,
+      direction: String,
+      movement: String,
+      vehicleCount: Number,
+      vehicleTypes: {
+        cars: Number,
+        motorcycles: Number,
+        trucks: Number
+      },
+      averageSpeed: Number
+    }]
   },
   settings: {
     resolution: {
@@ -64,12 +142,117 @@ const CameraSchema = new mongoose.Schema({
     contrast: {
       type: Number,
       default: 50
+    },
+    // Health thresholds; unset fields use the defaults in services/cameraHealth
+    health: {
+      minFpsRatio: Number,
+      minRssi: Number,
+      minFreeHeap: Number,
+      maxTemperature: Number,
+      maxDroppedFrames: Number,
+      degradedReports: Number,
+      recoveredReports: Number
+    },
+    // Congestion thresholds; unset fields use the road class defaults in utils/congestion
+    roadClass: {
+      type: String,
+      enum: ROAD_CLASSES
+    },
+    congestionThresholds: {
+      freeFlowSpeed: Number,
+      mediumSpeedRatio: Number,
+      highSpeedRatio: Number,
+      mediumOccupancy: Number,
+      highOccupancy: Number,
+      mediumVolume: Number,
+      highVolume: Number
+    },
+    // Counting lines and detection zones in image coordinates (0-1), see
+    // utils/regions; the device reports counts per line and zone
+    countingLines: [{
+      _id: false,
+      id: {
+        type: String,
+        required: true
+      },
+      name: String,
+      lane: Number,
+      direction: {
+        type: String,
+        enum: DIRECTIONS
+      },
+      movement: {
+        type: String,
+        enum: MOVEMENTS
+      },
+      vehicleClasses: [{
+        type: String,
+        enum: VEHICLE_CLASSES
+      }],
+      points: [{
+        _id: false,
+        x: Number,
+        y: Number
+      }]
+    }],
+    zones: [{
+      _id: false,
+      id: {
+        type: String,
+        required: true
+      },
+      name: String,
+      lane: Number,
+      direction: {
+        type: String,
+        enum: DIRECTIONS
+      },
+      movement: {
+        type: String,
+        enum: MOVEMENTS
+      },
+      vehicleClasses: [{
+        type: String,
+        enum: VEHICLE_CLASSES
+      }],
+      polygon: [{
+        _id: false,
+        x: Number,
+        y: Number
+      }]
+    }],
+    // Snapshot upload interval in seconds (0 = only on incidents) and retention
+    snapshots: {
+      interval: {
+        type: Number,
+        default: 300
+      },
+      maxCount: {
+        type: Number,
+        default: 500
+      },
+      retentionHours: {
+        type: Number,
+        default: 72
+      }
     }
   },
+  latestSnapshot: {
+    snapshot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Snapshot'
+    },
+    capturedAt: Date,
+    trigger: String,
+    url: String,
+    thumbnailUrl: String
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+CameraSchema.index({ 'junction.signal': 1 });
+
 module.exports = mongoose.model('Camera', CameraSchema);
\ No newline at end of file
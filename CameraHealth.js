@@ -0,0 +1,40 @@
+// models/CameraHealth.js
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = Number(process.env.CAMERA_HEALTH_RETENTION_DAYS) || 30;
+
+// One health report of a camera, kept in a time series collection
+const CameraHealthSchema = new mongoose.Schema({
+  camera: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Camera',
+    required: true
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  // Frames per second actually delivered
+  fps: Number,
+  // Wi-Fi signal strength in dBm
+  rssi: Number,
+  // Free heap in bytes
+  freeHeap: Number,
+  // Board temperature in °C
+  temperature: Number,
+  // Seconds since the camera booted
+  uptime: Number,
+  // Frames dropped since the previous report
+  droppedFrames: Number
+}, {
+  timeseries: {
+    timeField: 'timestamp',
+    metaField: 'camera',
+    granularity: 'seconds'
+  },
+  expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60
+});
+
+CameraHealthSchema.index({ camera: 1, timestamp: -1 });
+
+module.exports = mongoose.model('CameraHealth', CameraHealthSchema);
@@ -0,0 +1,70 @@
+// models/Corridor.js
+const mongoose = require('mongoose');
+
+const CorridorSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Progression speed in km/h
+  designSpeed: {
+    type: Number,
+    required: true
+  },
+  // Optional fixed cycle; otherwise the longest plan along the corridor is used
+  cycleLength: {
+    type: Number
+  },
+  // Allowed drift of a signal's offset before a correction is sent (seconds)
+  tolerance: {
+    type: Number,
+    default: 2
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Signals in travel order
+  signals: [
+    {
+      signal: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Signal',
+        required: true
+      },
+      // Metres from the previous signal (0 for the first)
+      distance: {
+        type: Number,
+        default: 0
+      },
+      coordinatedPhase: String,
+      travelTime: Number,
+      offset: Number,
+      greenTime: Number,
+      actualOffset: Number,
+      offsetError: Number,
+      lastGreenStart: Date
+    }
+  ],
+  commonCycle: {
+    type: Number
+  },
+  referenceTime: {
+    type: Date
+  },
+  bandwidth: {
+    design: Number,
+    achieved: Number,
+    efficiency: Number,
+    updatedAt: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+CorridorSchema.index({ 'signals.signal': 1 });
+
+module.exports = mongoose.model('Corridor', CorridorSchema);
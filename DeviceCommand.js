@@ -0,0 +1,61 @@
+// models/DeviceCommand.js
+const mongoose = require('mongoose');
+
+const DeviceCommandSchema = new mongoose.Schema({
+  deviceType: {
+    type: String,
+    enum: ['camera', 'signal'],
+    required: true
+  },
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Socket event the command is delivered as, e.g. configUpdate or controlCommand
+  event: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // pending: queued, not sent yet; sent: waiting for the device's acknowledgement
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'applied', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastSentAt: {
+    type: Date
+  },
+  acknowledgedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date
+  },
+  error: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+DeviceCommandSchema.index({ deviceType: 1, device: 1, status: 1, createdAt: 1 });
+DeviceCommandSchema.index({ status: 1, lastSentAt: 1 });
+
+module.exports = mongoose.model('DeviceCommand', DeviceCommandSchema);
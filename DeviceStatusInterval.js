@@ -0,0 +1,34 @@
+// models/DeviceStatusInterval.js
+const mongoose = require('mongoose');
+
+// A period during which a device held one status; endedAt is unset while open
+const DeviceStatusIntervalSchema = new mongoose.Schema({
+  deviceType: {
+    type: String,
+    enum: ['camera', 'signal'],
+    required: true
+  },
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['online', 'offline', 'warning'],
+    required: true
+  },
+  reason: {
+    type: String
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  endedAt: {
+    type: Date
+  }
+});
+
+DeviceStatusIntervalSchema.index({ deviceType: 1, device: 1, startedAt: -1 });
+
+module.exports = mongoose.model('DeviceStatusInterval', DeviceStatusIntervalSchema);
@@ -0,0 +1,46 @@
+// models/Firmware.js
+const mongoose = require('mongoose');
+
+// Metadata of an uploaded firmware image; the binary itself is in GridFS
+const FirmwareSchema = new mongoose.Schema({
+  deviceType: {
+    type: String,
+    enum: ['camera', 'signal'],
+    required: true
+  },
+  version: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Device models the image can be installed on, e.g. ESP32-CAM
+  models: [String],
+  // SHA-256 of the image, hex encoded
+  checksum: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  fileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  notes: {
+    type: String
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+FirmwareSchema.index({ deviceType: 1, version: 1 }, { unique: true });
+
+module.exports = mongoose.model('Firmware', FirmwareSchema);
@@ -0,0 +1,98 @@
+// models/FirmwareRollout.js
+const mongoose = require('mongoose');
+
+const FirmwareRolloutSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true
+  },
+  firmware: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Firmware',
+    required: true
+  },
+  deviceType: {
+    type: String,
+    enum: ['camera', 'signal'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'running', 'paused', 'completed', 'cancelled'],
+    default: 'draft'
+  },
+  // Cumulative share of the devices updated by each stage, e.g. [10, 100]
+  stages: [
+    {
+      percent: {
+        type: Number,
+        min: 1,
+        max: 100
+      },
+      startedAt: Date,
+      completedAt: Date
+    }
+  ],
+  currentStage: {
+    type: Number,
+    default: -1
+  },
+  // Start the next stage as soon as every device of the current one reported
+  autoAdvance: {
+    type: Boolean,
+    default: false
+  },
+  // Pause once failed / reported exceeds this share...
+  failureThreshold: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 0.2
+  },
+  // ...after at least this many devices have reported
+  minReports: {
+    type: Number,
+    default: 3
+  },
+  devices: [
+    {
+      device: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+      },
+      stage: Number,
+      status: {
+        type: String,
+        enum: ['pending', 'notified', 'downloading', 'installing', 'succeeded', 'failed'],
+        default: 'pending'
+      },
+      previousFirmware: String,
+      command: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DeviceCommand'
+      },
+      notifiedAt: Date,
+      reportedAt: Date,
+      error: String
+    }
+  ],
+  pausedReason: {
+    type: String
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  endedAt: {
+    type: Date
+  }
+});
+
+FirmwareRolloutSchema.index({ status: 1, deviceType: 1 });
+FirmwareRolloutSchema.index({ 'devices.device': 1, status: 1 });
+
+module.exports = mongoose.model('FirmwareRollout', FirmwareRolloutSchema);
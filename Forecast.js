@@ -0,0 +1,54 @@
+// models/Forecast.js
+const mongoose = require('mongoose');
+const { CONGESTION_LEVELS } = require('../utils/congestion');
+
+const RETENTION_DAYS = Number(process.env.FORECAST_RETENTION_DAYS) || 90;
+
+// Volume and congestion forecast of a junction for the 15-minute buckets
+// ahead, filled in with the actual values once those buckets are over
+const ForecastSchema = new mongoose.Schema({
+  junction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Signal',
+    required: true
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Recent volume over the seasonal profile, the level adjustment applied
+  trendRatio: Number,
+  horizons: [{
+    _id: false,
+    minutes: Number,
+    targetStart: Date,
+    targetEnd: Date,
+    // What the forecast rests on: seasonal profile, recent reports only, or nothing
+    basis: {
+      type: String,
+      enum: ['profile', 'recent', 'none']
+    },
+    // Average vehicles per camera report in the target bucket
+    volume: Number,
+    // 1 (Low) to 3 (High)
+    congestionScore: Number,
+    congestionLevel: {
+      type: String,
+      enum: CONGESTION_LEVELS
+    },
+    actualVolume: Number,
+    actualCongestionScore: Number,
+    actualCongestionLevel: {
+      type: String,
+      enum: CONGESTION_LEVELS
+    },
+    absoluteError: Number
+  }],
+  evaluatedAt: Date
+});
+
+ForecastSchema.index({ junction: 1, issuedAt: -1 });
+ForecastSchema.index({ evaluatedAt: 1, issuedAt: 1 });
+ForecastSchema.index({ issuedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Forecast', ForecastSchema);
@@ -0,0 +1,88 @@
+// models/Incident.js
+const mongoose = require('mongoose');
+
+const IncidentSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['speedCollapse', 'volumeDrop', 'spreadingCongestion'],
+    required: true
+  },
+  severity: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'critical'],
+    default: 'medium'
+  },
+  // detected -> confirmed or dismissed by an operator; confirmed -> resolved
+  status: {
+    type: String,
+    enum: ['detected', 'confirmed', 'dismissed', 'resolved'],
+    default: 'detected'
+  },
+  // Camera the incident was detected at, and the others involved
+  camera: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Camera',
+    required: true
+  },
+  cameras: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Camera'
+    }
+  ],
+  junction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Signal'
+  },
+  location: {
+    type: String
+  },
+  coordinates: {
+    lat: Number,
+    lng: Number
+  },
+  message: {
+    type: String
+  },
+  // Metric readings that triggered the detection
+  evidence: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  detectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Last time the detector still saw the condition
+  lastDetectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  confirmedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  confirmedAt: {
+    type: Date
+  },
+  dismissedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  dismissedAt: {
+    type: Date
+  },
+  resolvedAt: {
+    type: Date
+  },
+  note: {
+    type: String
+  }
+});
+
+IncidentSchema.index({ status: 1, detectedAt: -1 });
+IncidentSchema.index({ camera: 1, type: 1, status: 1 });
+// One unconfirmed incident of a type per camera, however close together the
+// reports that detect it arrive
+IncidentSchema.index({ camera: 1, type: 1 }, { unique: true, partialFilterExpression: { status: 'detected' } });
+
+module.exports = mongoose.model('Incident', IncidentSchema);
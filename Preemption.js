@@ -0,0 +1,62 @@
+// models/Preemption.js
+const mongoose = require('mongoose');
+
+const PreemptionSchema = new mongoose.Schema({
+  // Direction of travel of the emergency vehicle
+  direction: {
+    type: String,
+    enum: ['North', 'South', 'East', 'West'],
+    required: true
+  },
+  vehicleId: {
+    type: String
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['active', 'completed', 'timedOut', 'cancelled', 'failed'],
+    default: 'active'
+  },
+  // Maximum time the route is held, in seconds
+  timeout: {
+    type: Number
+  },
+  // Signals in route order
+  signals: [
+    {
+      signal: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Signal',
+        required: true
+      },
+      targetPhase: String,
+      previousMode: String,
+      previousPhase: String,
+      status: {
+        type: String,
+        enum: ['pending', 'clearing', 'green', 'released'],
+        default: 'pending'
+      },
+      greenAt: Date,
+      passedAt: Date,
+      releasedAt: Date
+    }
+  ],
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  endedAt: {
+    type: Date
+  },
+  endReason: {
+    type: String
+  }
+});
+
+PreemptionSchema.index({ status: 1, startedAt: -1 });
+
+module.exports = mongoose.model('Preemption', PreemptionSchema);
@@ -0,0 +1,52 @@
+// models/SettingsRevision.js
+const mongoose = require('mongoose');
+
+const SettingsRevisionSchema = new mongoose.Schema({
+  deviceType: {
+    type: String,
+    enum: ['camera', 'signal'],
+    required: true
+  },
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  // Full settings after this revision
+  settings: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Changes against the previous revision
+  diff: [
+    {
+      _id: false,
+      path: String,
+      before: mongoose.Schema.Types.Mixed,
+      after: mongoose.Schema.Types.Mixed
+    }
+  ],
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  authorEmail: {
+    type: String
+  },
+  message: {
+    type: String
+  },
+  rollbackOf: {
+    type: Number
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+SettingsRevisionSchema.index({ deviceType: 1, device: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('SettingsRevision', SettingsRevisionSchema);
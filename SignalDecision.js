@@ -0,0 +1,59 @@
+// models/SignalDecision.js
+const mongoose = require('mongoose');
+
+const SignalDecisionSchema = new mongoose.Schema({
+  signal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Signal',
+    required: true
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  cycleLength: {
+    type: Number
+  },
+  lostTime: {
+    type: Number
+  },
+  criticalFlowRatio: {
+    type: Number
+  },
+  phases: [
+    {
+      name: String,
+      duration: Number,
+      flowRatio: Number
+    }
+  ],
+  inputs: [
+    {
+      camera: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Camera'
+      },
+      approach: String,
+      vehicleCount: Number,
+      congestionLevel: String,
+      vehicleTypes: {
+        cars: Number,
+        motorcycles: Number,
+        trucks: Number
+      },
+      demand: Number
+    }
+  ],
+  reason: {
+    type: String
+  },
+  changed: {
+    type: Boolean,
+    default: true
+  }
+});
+
+// Index for a signal's decision history
+SignalDecisionSchema.index({ signal: 1, timestamp: -1 });
+
+module.exports = mongoose.model('SignalDecision', SignalDecisionSchema);
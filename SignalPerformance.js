@@ -0,0 +1,59 @@
+// models/SignalPerformance.js
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = Number(process.env.SIGNAL_PERFORMANCE_RETENTION_DAYS) || 90;
+
+// Estimated delay, queue and level of service of a signal and its
+// approaches at one point in time, see services/signalPerformance
+const SignalPerformanceSchema = new mongoose.Schema({
+  signal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Signal',
+    required: true
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  // Cycle the estimate used and whether it was observed or planned
+  cycleLength: Number,
+  timingSource: {
+    type: String,
+    enum: ['observed', 'plan']
+  },
+  // Flow-weighted average control delay (seconds per vehicle)
+  delay: Number,
+  levelOfService: {
+    type: String,
+    enum: ['A', 'B', 'C', 'D', 'E', 'F']
+  },
+  approaches: [{
+    _id: false,
+    approach: {
+      type: String,
+      enum: ['North', 'South', 'East', 'West']
+    },
+    // Vehicles per hour and the PCU per hour they amount to
+    flow: Number,
+    flowPcu: Number,
+    lanes: Number,
+    greenTime: Number,
+    // PCU per hour the approach can discharge
+    capacity: Number,
+    degreeOfSaturation: Number,
+    averageSpeed: Number,
+    delay: Number,
+    // Vehicles queued at the end of red, and its length per lane in meters
+    queueLength: Number,
+    queueLengthMeters: Number,
+    levelOfService: {
+      type: String,
+      enum: ['A', 'B', 'C', 'D', 'E', 'F']
+    }
+  }]
+});
+
+SignalPerformanceSchema.index({ signal: 1, timestamp: -1 });
+SignalPerformanceSchema.index({ timestamp: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('SignalPerformance', SignalPerformanceSchema);
@@ -0,0 +1,63 @@
+// models/Snapshot.js
+const mongoose = require('mongoose');
+
+const SnapshotSchema = new mongoose.Schema({
+  camera: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Camera',
+    required: true
+  },
+  // When the camera took the picture, as reported by the camera
+  capturedAt: {
+    type: Date,
+    required: true
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'incident', 'manual'],
+    default: 'schedule'
+  },
+  reason: {
+    type: String
+  },
+  contentType: {
+    type: String,
+    default: 'image/jpeg'
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  // Where the image is kept: a GridFS file id or a path under SNAPSHOT_DIR
+  storage: {
+    type: String,
+    enum: ['gridfs', 'disk'],
+    required: true
+  },
+  fileId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  path: {
+    type: String
+  },
+  // Downscaled copy kept in the same storage
+  thumbnail: {
+    fileId: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    path: {
+      type: String
+    },
+    size: {
+      type: Number
+    }
+  }
+});
+
+SnapshotSchema.index({ camera: 1, capturedAt: -1 });
+
+module.exports = mongoose.model('Snapshot', SnapshotSchema);
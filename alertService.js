@@ -0,0 +1,56 @@
+// services/alertService.js
+// Persistent alerts shared by the monitors. A fault that repeats while its
+// alert is still unresolved bumps the existing alert instead of adding one.
+// A monitor that sees the fault clear resolves the alert itself.
+const Alert = require('../models/Alert');
+
+async function raiseAlert(io, { type, severity, source, message, details }) {
+  const existing = await Alert.findOneAndUpdate(
+    {
+      type,
+      'source.type': source.type,
+      'source.id': source.id,
+      status: { $ne: 'resolved' }
+    },
+    {
+      $set: { severity, message, details, lastOccurredAt: new Date() },
+      $inc: { occurrences: 1 }
+    },
+    { new: true }
+  );
+
+  if (existing) {
+    io.to('admin').emit('alertUpdate', existing);
+    return existing;
+  }
+
+  const alert = await Alert.create({ type, severity, source, message, details });
+  io.to('admin').emit('alertRaised', alert);
+
+  return alert;
+}
+
+// Resolve the open alert of a fault that has cleared; null when none was open
+async function resolveAlert(io, { type, source }) {
+  const alert = await Alert.findOneAndUpdate(
+    {
+      type,
+      'source.type': source.type,
+      'source.id': source.id,
+      status: { $ne: 'resolved' }
+    },
+    { $set: { status: 'resolved', resolvedAt: new Date() } },
+    { new: true }
+  );
+
+  if (alert) {
+    io.to('admin').emit('alertUpdate', alert);
+  }
+
+  return alert;
+}
+
+module.exports = {
+  raiseAlert,
+  resolveAlert
+};
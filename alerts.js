@@ -0,0 +1,72 @@
+// routes/alerts.js
+const express = require('express');
+const router = express.Router();
+const Alert = require('../models/Alert');
+const { authenticateToken, isOperator } = require('../middleware/auth');
+
+// Get alerts (open and acknowledged by default)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const filter = {
+      status: req.query.status ? req.query.status : { $ne: 'resolved' }
+    };
+    if (req.query.type) filter.type = req.query.type;
+    if (req.query.sourceType) filter['source.type'] = req.query.sourceType;
+    if (req.query.sourceId) filter['source.id'] = req.query.sourceId;
+
+    const alerts = await Alert.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(req.query.limit, 10) || 100, 500));
+
+    res.json(alerts);
+  } catch (err) {
+    console.error('Get alerts error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Acknowledge an alert
+router.post('/:id/acknowledge', authenticateToken, isOperator, async (req, res) => {
+  try {
+    const alert = await Alert.findOneAndUpdate(
+      { _id: req.params.id, status: 'open' },
+      { $set: { status: 'acknowledged', acknowledgedBy: req.user.id, acknowledgedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!alert) {
+      return res.status(404).json({ message: 'Open alert not found' });
+    }
+
+    req.app.get('io').to('admin').emit('alertUpdate', alert);
+
+    res.json(alert);
+  } catch (err) {
+    console.error('Acknowledge alert error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Resolve an alert
+router.post('/:id/resolve', authenticateToken, isOperator, async (req, res) => {
+  try {
+    const alert = await Alert.findOneAndUpdate(
+      { _id: req.params.id, status: { $ne: 'resolved' } },
+      { $set: { status: 'resolved', resolvedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!alert) {
+      return res.status(404).json({ message: 'Unresolved alert not found' });
+    }
+
+    req.app.get('io').to('admin').emit('alertUpdate', alert);
+
+    res.json(alert);
+  } catch (err) {
+    console.error('Resolve alert error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,13 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Analytics = require('../models/Analytics');
+const SignalPerformance = require('../models/SignalPerformance');
 const { authenticateToken } = require('../middleware/auth');
+const { junctionCameras } = require('../services/junctionCoverage');
+const { INTERVALS, rollupSeries, recordSeries } = require('../services/analyticsRollups');
+const { parseExportOptions, streamExport } = require('../services/analyticsExport');
+const { levelOfService } = require('../services/signalPerformance');
 
 // Get analytics data (with optional date filtering)
 router.get('/', authenticateToken, async (req, res) => {
@@ -9,38 +15,18 @@ router.get('/', authenticateToken, async (req, res) => {
     // Parse date filters if provided
     const startDate = req.query.startDate ? new Date(req.query.startDate) : new Date(Date.now() - 7 * 24 * 60 * 60 * 1000); // Default to last 7 days
     const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
+    const interval = req.query.interval || '1d';
+    if (!INTERVALS[interval]) {
+      return res.status(400).json({ message: `Interval must be one of ${Object.keys(INTERVALS).join(', ')}` });
+    }
     
     // Find analytics within date range
     const analytics = await Analytics.find({
       timestamp: { $gte: startDate, $lte: endDate }
     }).sort({ timestamp: -1 });
     
-    // Aggregate data by day
-    const aggregatedData = await Analytics.aggregate([
-      { 
-        $match: { 
-          timestamp: { $gte: startDate, $lte: endDate } 
-        } 
-      },
-      {
-        $group: {
-          _id: { 
-            $dateToString: { format: "%Y-%m-%d", date: "$timestamp" } 
-          },
-          averageTrafficVolume: { $avg: '$trafficVolume' },
-          averageSpeed: { $avg: '$averageSpeed' },
-          congestionLevels: { $push: '$congestionLevel' },
-          vehicleTypeCounts: { 
-            $push: {
-              cars: '$vehicleTypes.cars',
-              motorcycles: '$vehicleTypes.motorcycles',
-              trucks: '$vehicleTypes.trucks'
-            }
-          }
-        }
-      },
-      { $sort: { _id: 1 } }
-    ]);
+    // Totals per day (or ?interval) from the rollups
+    const aggregatedData = await rollupSeries({ interval, from: startDate, to: endDate });
     
     res.json({
       rawData: analytics,
@@ -52,23 +38,179 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
-// Get analytics for a specific junction
+// Stream raw records (or ?source=rollups) as CSV or NDJSON (?format=ndjson),
+// filtered by startDate, endDate, junctionId, camera and vehicleClass
+router.get('/export', authenticateToken, async (req, res) => {
+  try {
+    const options = parseExportOptions(req.query);
+    
+    streamExport(res, options, (err) => {
+      // A client closing the download early is not an error
+      if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        console.error('Export analytics stream error:', err);
+      }
+    });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Export analytics error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get analytics for a specific junction. Returns the junction's records as
+// an array, as it always has; ?view=full returns { cameras, rawData,
+// aggregatedData, approaches } instead
 router.get('/junction/:junctionId', authenticateToken, async (req, res) => {
   try {
     const { junctionId } = req.params;
+    if (!mongoose.isValidObjectId(junctionId)) {
+      return res.status(400).json({ message: 'Invalid junction id' });
+    }
     const startDate = req.query.startDate ? new Date(req.query.startDate) : new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
     const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
+    const interval = req.query.interval || '1d';
+    if (!INTERVALS[interval]) {
+      return res.status(400).json({ message: `Interval must be one of ${Object.keys(INTERVALS).join(', ')}` });
+    }
     
-    const analytics = await Analytics.find({
-      junctionId,
+    // Records attributed to the junction, plus those of its cameras that were
+    // stored without a junction id
+    const cameras = await junctionCameras(junctionId);
+    const match = {
+      $or: [
+        { junctionId: new mongoose.Types.ObjectId(junctionId) },
+        { camera: { $in: cameras.map(camera => camera._id) }, junctionId: null }
+      ],
       timestamp: { $gte: startDate, $lte: endDate }
-    }).sort({ timestamp: -1 });
+    };
+    
+    const analytics = await Analytics.find(match).sort({ timestamp: -1 });
+    if (req.query.view !== 'full') {
+      return res.json(analytics);
+    }
+    
+    // Totals by day (or ?interval) and by approach, over the same records as
+    // rawData; the junction rollups leave out records stored without a junction
+    const aggregatedData = await recordSeries({ match, interval });
+    const approaches = await recordSeries({
+      match,
+      interval,
+      groupBy: 'approach',
+      cameraApproaches: cameras.map(camera => ({ camera: camera._id, approach: camera.junction.approach }))
+    });
     
-    res.json(analytics);
+    res.json({
+      cameras: cameras.map(camera => ({ id: camera._id, name: camera.name, junction: camera.junction })),
+      rawData: analytics,
+      aggregatedData,
+      approaches: approaches.map(approach => ({
+        ...approach,
+        cameras: cameras.filter(camera => camera.junction.approach === approach.approach).map(camera => camera._id)
+      }))
+    });
   } catch (err) {
     console.error('Get junction analytics error:', err);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Get a junction's estimated delay, queue and level of service over time
+router.get('/junction/:junctionId/performance', authenticateToken, async (req, res) => {
+  try {
+    const { junctionId } = req.params;
+    if (!mongoose.isValidObjectId(junctionId)) {
+      return res.status(400).json({ message: 'Invalid junction id' });
+    }
+    const startDate = req.query.startDate ? new Date(req.query.startDate) : new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
+    const match = {
+      signal: new mongoose.Types.ObjectId(junctionId),
+      timestamp: { $gte: startDate, $lte: endDate }
+    };
+    
+    const history = await SignalPerformance.find(match)
+      .sort({ timestamp: -1 })
+      .limit(Math.min(parseInt(req.query.limit, 10) || 500, 5000));
+    
+    // Averages per approach over the period
+    const approaches = await SignalPerformance.aggregate([
+      { $match: match },
+      { $unwind: '$approaches' },
+      {
+        $group: {
+          _id: '$approaches.approach',
+          averageDelay: { $avg: '$approaches.delay' },
+          averageQueueLength: { $avg: '$approaches.queueLength' },
+          maxQueueLength: { $max: '$approaches.queueLength' },
+          maxQueueLengthMeters: { $max: '$approaches.queueLengthMeters' },
+          averageDegreeOfSaturation: { $avg: '$approaches.degreeOfSaturation' },
+          samples: { $sum: 1 }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+    
+    res.json({
+      latest: history[0] || null,
+      history,
+      approaches: approaches.map(({ _id, averageDelay, ...approach }) => ({
+        approach: _id,
+        averageDelay,
+        levelOfService: averageDelay === null ? null : levelOfService(averageDelay),
+        ...approach
+      }))
+    });
+  } catch (err) {
+    console.error('Get junction performance error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a camera's counts per counting line and zone
+router.get('/camera/:cameraId/regions', authenticateToken, async (req, res) => {
+  try {
+    const { cameraId } = req.params;
+    if (!mongoose.isValidObjectId(cameraId)) {
+      return res.status(400).json({ message: 'Invalid camera id' });
+    }
+    const startDate = req.query.startDate ? new Date(req.query.startDate) : new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
+    
+    const regions = await Analytics.aggregate([
+      {
+        $match: {
+          camera: new mongoose.Types.ObjectId(cameraId),
+          timestamp: { $gte: startDate, $lte: endDate },
+          'regions.0': { $exists: true }
+        }
+      },
+      { $unwind: '$regions' },
+      {
+        $group: {
+          _id: '$regions.region',
+          kind: { $last: '$regions.kind' },
+          label: { $last: '$regions.label' },
+          lane: { $last: '$regions.lane' },
+          direction: { $last: '$regions.direction' },
+          movement: { $last: '$regions.movement' },
+          totalVehicles: { $sum: '$regions.vehicleCount' },
+          averageSpeed: { $avg: '$regions.averageSpeed' },
+          cars: { $sum: '$regions.vehicleTypes.cars' },
+          motorcycles: { $sum: '$regions.vehicleTypes.motorcycles' },
+          trucks: { $sum: '$regions.vehicleTypes.trucks' },
+          reports: { $sum: 1 }
+        }
+      },
+      { $sort: { kind: 1, _id: 1 } }
+    ]);
+    
+    res.json(regions.map(({ _id, ...region }) => ({ region: _id, ...region })));
+  } catch (err) {
+    console.error('Get camera region analytics error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
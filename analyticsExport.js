@@ -0,0 +1,171 @@
+// services/analyticsExport.js
+// Streams raw Analytics records or their rollups as CSV or NDJSON. Rows come
+// straight off a database cursor and are written as the response drains, so
+// a month of data never sits in memory at once.
+const { pipeline, Transform } = require('stream');
+const mongoose = require('mongoose');
+const Analytics = require('../models/Analytics');
+const AnalyticsRollup = require('../models/AnalyticsRollup');
+const { INTERVALS } = require('./analyticsRollups');
+const { VEHICLE_CLASSES } = require('../utils/regions');
+const { toCsvLine } = require('../utils/csv');
+const { CONGESTION_LEVELS } = require('../utils/congestion');
+
+const FORMATS = {
+  csv: { type: 'text/csv', extension: 'csv' },
+  ndjson: { type: 'application/x-ndjson', extension: 'ndjson' }
+};
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const idOrNull = (value) => (value ? value.toString() : null);
+
+const parseDate = (value, fallback, name) => {
+  if (value === undefined) return fallback;
+  const date = new Date(value);
+  if (isNaN(date)) throw httpError(400, `Invalid ${name}`);
+  return date;
+};
+
+const parseId = (value, name) => {
+  if (value === undefined) return undefined;
+  if (!mongoose.isValidObjectId(value)) throw httpError(400, `Invalid ${name}`);
+  return new mongoose.Types.ObjectId(value);
+};
+
+/**
+ * Check export query parameters: format, source (raw or rollups), interval,
+ * startDate, endDate, junctionId, camera and vehicleClass (comma separated).
+ */
+const parseExportOptions = (query) => {
+  const format = query.format || 'csv';
+  if (!FORMATS[format]) throw httpError(400, `Format must be one of ${Object.keys(FORMATS).join(', ')}`);
+
+  const source = query.source || 'raw';
+  if (!['raw', 'rollups'].includes(source)) throw httpError(400, 'Source must be raw or rollups');
+
+  const interval = query.interval || '1h';
+  if (!INTERVALS[interval]) throw httpError(400, `Interval must be one of ${Object.keys(INTERVALS).join(', ')}`);
+
+  const to = parseDate(query.endDate, new Date(), 'endDate');
+  const from = parseDate(query.startDate, new Date(to.getTime() - 24 * 60 * 60 * 1000), 'startDate');
+  if (from >= to) throw httpError(400, 'startDate must be before endDate');
+
+  const vehicleClasses = query.vehicleClass ? String(query.vehicleClass).split(',').map(type => type.trim()) : VEHICLE_CLASSES;
+  if (!vehicleClasses.every(type => VEHICLE_CLASSES.includes(type))) {
+    throw httpError(400, `Vehicle class must be one of ${VEHICLE_CLASSES.join(', ')}`);
+  }
+
+  const junctionId = parseId(query.junctionId, 'junction id');
+  const camera = parseId(query.camera, 'camera id');
+  if (source === 'rollups' && junctionId && camera) {
+    throw httpError(400, 'Rollups are kept per camera or per junction, not both');
+  }
+
+  return { format, source, interval, from, to, junctionId, camera, vehicleClasses };
+};
+
+// Query, columns and row mapping for the chosen source
+const exportSource = ({ source, interval, from, to, junctionId, camera, vehicleClasses }) => {
+  // Only rows that counted a vehicle of a chosen class, unless all are chosen
+  const classFilter = vehicleClasses.length < VEHICLE_CLASSES.length
+    ? { $or: vehicleClasses.map(type => ({ [`vehicleTypes.${type}`]: { $gt: 0 } })) }
+    : {};
+
+  if (source === 'rollups') {
+    const filter = {
+      interval,
+      scope: camera ? 'camera' : junctionId ? 'junction' : 'all',
+      bucket: { $gte: from, $lt: to },
+      ...classFilter
+    };
+    if (camera) filter.camera = camera;
+    if (junctionId) filter.junctionId = junctionId;
+
+    return {
+      query: AnalyticsRollup.find(filter).sort({ bucket: 1, camera: 1, junctionId: 1, approach: 1 }),
+      columns: ['interval', 'bucket', 'scope', 'camera', 'junctionId', 'approach', 'reports', 'trafficVolume', 'averageSpeed',
+        ...vehicleClasses, ...CONGESTION_LEVELS.map(level => `congestion${level}`)],
+      toRecord: (rollup) => ({
+        interval: rollup.interval,
+        bucket: rollup.bucket.toISOString(),
+        scope: rollup.scope,
+        camera: idOrNull(rollup.camera),
+        junctionId: idOrNull(rollup.junctionId),
+        approach: rollup.approach || null,
+        reports: rollup.reports,
+        trafficVolume: rollup.trafficVolume,
+        averageSpeed: rollup.reports > 0 ? Math.round((rollup.speedSum / rollup.reports) * 100) / 100 : null,
+        ...vehicleClasses.reduce((types, type) => ({ ...types, [type]: (rollup.vehicleTypes || {})[type] || 0 }), {}),
+        ...CONGESTION_LEVELS.reduce((levels, level) => ({ ...levels, [`congestion${level}`]: (rollup.congestion || {})[level] || 0 }), {})
+      })
+    };
+  }
+
+  const filter = { timestamp: { $gte: from, $lt: to }, ...classFilter };
+  if (camera) filter.camera = camera;
+  if (junctionId) filter.junctionId = junctionId;
+
+  return {
+    query: Analytics.find(filter).select('-regions').sort({ timestamp: 1 }),
+    columns: ['timestamp', 'camera', 'junctionId', 'approach', 'trafficVolume', 'congestionLevel', 'deviceCongestionLevel', 'congestionBasis', 'averageSpeed', ...vehicleClasses],
+    toRecord: (record) => ({
+      timestamp: record.timestamp.toISOString(),
+      camera: idOrNull(record.camera),
+      junctionId: idOrNull(record.junctionId),
+      approach: record.approach || null,
+      trafficVolume: record.trafficVolume,
+      congestionLevel: record.congestionLevel,
+      deviceCongestionLevel: record.deviceCongestionLevel || null,
+      congestionBasis: (record.congestionBasis || []).join(' '),
+      averageSpeed: record.averageSpeed,
+      ...vehicleClasses.reduce((types, type) => ({ ...types, [type]: (record.vehicleTypes || {})[type] || 0 }), {})
+    })
+  };
+};
+
+const exportFilename = ({ source, interval, from, to, format }) => {
+  const day = (date) => date.toISOString().slice(0, 10);
+  const name = source === 'rollups' ? `analytics-${interval}` : 'analytics';
+  return `${name}-${day(from)}-${day(to)}.${FORMATS[format].extension}`;
+};
+
+/**
+ * Write the export to an HTTP response. `done` is called once the stream
+ * has finished or failed.
+ */
+const streamExport = (res, options, done) => {
+  const { query, columns, toRecord } = exportSource(options);
+  const cursor = query.lean().cursor();
+  let wroteHeader = false;
+
+  const serialize = new Transform({
+    writableObjectMode: true,
+    transform(doc, encoding, callback) {
+      const record = toRecord(doc);
+      if (options.format === 'ndjson') return callback(null, `${JSON.stringify(record)}\n`);
+
+      const header = wroteHeader ? '' : `${toCsvLine(columns)}\r\n`;
+      wroteHeader = true;
+      callback(null, `${header}${toCsvLine(columns.map(column => record[column]))}\r\n`);
+    },
+    flush(callback) {
+      // An empty CSV export still names its columns
+      callback(null, options.format === 'csv' && !wroteHeader ? `${toCsvLine(columns)}\r\n` : '');
+    }
+  });
+
+  res.set('Content-Disposition', `attachment; filename="${exportFilename(options)}"`);
+  res.type(FORMATS[options.format].type);
+
+  pipeline(cursor, serialize, res, done);
+};
+
+module.exports = {
+  parseExportOptions,
+  streamExport
+};
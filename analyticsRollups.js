@@ -0,0 +1,383 @@
+// services/analyticsRollups.js
+// Incremental rollups of the Analytics stream. Each stored record is added
+// to 1-minute, 15-minute, hourly and daily buckets for its camera, its
+// junction approach and the whole network, so charts read a handful of
+// bucket documents instead of grouping raw records. Dashboards get a
+// throttled analyticsUpdate built from the hourly buckets.
+const Analytics = require('../models/Analytics');
+const AnalyticsRollup = require('../models/AnalyticsRollup');
+const { CONGESTION_LEVELS } = require('../utils/congestion');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Bucket size, matching $dateTrunc arguments and how long buckets are kept
+const INTERVALS = {
+  '1m': { ms: 60 * 1000, unit: 'minute', binSize: 1, retentionMs: 2 * DAY_MS },
+  '15m': { ms: 15 * 60 * 1000, unit: 'minute', binSize: 15, retentionMs: 35 * DAY_MS },
+  '1h': { ms: HOUR_MS, unit: 'hour', binSize: 1, retentionMs: 400 * DAY_MS },
+  '1d': { ms: DAY_MS, unit: 'day', binSize: 1, retentionMs: null }
+};
+
+const config = {
+  // Least time between two analyticsUpdate emissions
+  updateIntervalMs: Number(process.env.ANALYTICS_UPDATE_INTERVAL_MS) || 5000
+};
+
+// Start of the bucket holding `date`; buckets are aligned to UTC
+const bucketStart = (date, interval) => {
+  const { ms } = INTERVALS[interval];
+  return new Date(Math.floor(new Date(date).getTime() / ms) * ms);
+};
+
+const expiresAt = (bucket, interval) => {
+  const { ms, retentionMs } = INTERVALS[interval];
+  return retentionMs ? new Date(bucket.getTime() + ms + retentionMs) : undefined;
+};
+
+// Rollup keys a record counts towards
+const keysFor = (record) => {
+  const keys = [{ scope: 'all', camera: null, junctionId: null, approach: null }];
+  if (record.camera) {
+    keys.push({ scope: 'camera', camera: record.camera, junctionId: null, approach: null });
+  }
+  if (record.junctionId) {
+    keys.push({ scope: 'junction', camera: null, junctionId: record.junctionId, approach: record.approach || null });
+  }
+  return keys;
+};
+
+/**
+ * Add one stored Analytics record to its buckets.
+ */
+async function rollupRecord(record) {
+  const types = record.vehicleTypes || {};
+  const level = CONGESTION_LEVELS.includes(record.congestionLevel) ? record.congestionLevel : 'Unknown';
+  const operations = [];
+
+  Object.keys(INTERVALS).forEach(interval => {
+    const bucket = bucketStart(record.timestamp, interval);
+
+    keysFor(record).forEach(key => {
+      operations.push({
+        updateOne: {
+          filter: { interval, bucket, ...key },
+          update: {
+            $inc: {
+              reports: 1,
+              trafficVolume: record.trafficVolume || 0,
+              speedSum: record.averageSpeed || 0,
+              'vehicleTypes.cars': types.cars || 0,
+              'vehicleTypes.motorcycles': types.motorcycles || 0,
+              'vehicleTypes.trucks': types.trucks || 0,
+              [`congestion.${level}`]: 1
+            },
+            $setOnInsert: { expiresAt: expiresAt(bucket, interval) }
+          },
+          upsert: true
+        }
+      });
+    });
+  });
+
+  await AnalyticsRollup.bulkWrite(operations, { ordered: false });
+}
+
+/**
+ * Recompute the buckets between `from` and `to` from the raw records, e.g.
+ * for data stored before rollups existed. Existing buckets are overwritten.
+ */
+async function rebuildRollups(from, to = new Date()) {
+  let written = 0;
+
+  for (const interval of Object.keys(INTERVALS)) {
+    const { unit, binSize, retentionMs } = INTERVALS[interval];
+    const start = retentionMs ? new Date(Math.max(from.getTime(), Date.now() - retentionMs)) : from;
+    if (start >= to) continue;
+
+    const scopes = {
+      all: {},
+      camera: { camera: '$camera' },
+      junction: { junctionId: '$junctionId', approach: { $ifNull: ['$approach', null] } }
+    };
+
+    for (const scope of Object.keys(scopes)) {
+      const match = { timestamp: { $gte: bucketStart(start, interval), $lt: to } };
+      if (scope === 'camera') match.camera = { $ne: null };
+      if (scope === 'junction') match.junctionId = { $ne: null };
+
+      const rows = await Analytics.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: {
+              bucket: { $dateTrunc: { date: '$timestamp', unit, binSize } },
+              ...scopes[scope]
+            },
+            reports: { $sum: 1 },
+            trafficVolume: { $sum: '$trafficVolume' },
+            speedSum: { $sum: '$averageSpeed' },
+            cars: { $sum: '$vehicleTypes.cars' },
+            motorcycles: { $sum: '$vehicleTypes.motorcycles' },
+            trucks: { $sum: '$vehicleTypes.trucks' },
+            ...CONGESTION_LEVELS.reduce((levels, level) => ({
+              ...levels,
+              [level]: { $sum: { $cond: [{ $eq: ['$congestionLevel', level] }, 1, 0] } }
+            }), {})
+          }
+        }
+      ]);
+
+      const operations = rows.map(row => {
+        const key = {
+          scope,
+          camera: row._id.camera || null,
+          junctionId: row._id.junctionId || null,
+          approach: row._id.approach || null
+        };
+        return {
+          updateOne: {
+            filter: { interval, bucket: row._id.bucket, ...key },
+            update: {
+              $set: {
+                reports: row.reports,
+                trafficVolume: row.trafficVolume,
+                speedSum: row.speedSum,
+                vehicleTypes: { cars: row.cars, motorcycles: row.motorcycles, trucks: row.trucks },
+                congestion: CONGESTION_LEVELS.reduce((levels, level) => ({ ...levels, [level]: row[level] }), {}),
+                expiresAt: expiresAt(row._id.bucket, interval)
+              }
+            },
+            upsert: true
+          }
+        };
+      });
+
+      for (let i = 0; i < operations.length; i += 1000) {
+        await AnalyticsRollup.bulkWrite(operations.slice(i, i + 1000), { ordered: false });
+      }
+      written += operations.length;
+    }
+  }
+
+  return written;
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// $group keys of rollupSeries
+const GROUP_KEYS = {
+  bucket: '$bucket',
+  approach: { $ifNull: ['$approach', 'Unknown'] }
+};
+
+/**
+ * Buckets of one interval between `from` and `to` for a scope, added up per
+ * bucket, per approach with groupBy 'approach' or into one row with groupBy
+ * null. `filter` narrows the scope to a camera or junction.
+ */
+async function rollupSeries({ scope = 'all', filter = {}, interval = '1d', from, to, groupBy = 'bucket' }) {
+  const rows = await AnalyticsRollup.aggregate([
+    {
+      $match: {
+        interval,
+        scope,
+        ...filter,
+        bucket: { $gte: bucketStart(from, interval), $lte: to }
+      }
+    },
+    {
+      $group: {
+        _id: groupBy ? GROUP_KEYS[groupBy] : null,
+        reports: { $sum: '$reports' },
+        trafficVolume: { $sum: '$trafficVolume' },
+        speedSum: { $sum: '$speedSum' },
+        cars: { $sum: '$vehicleTypes.cars' },
+        motorcycles: { $sum: '$vehicleTypes.motorcycles' },
+        trucks: { $sum: '$vehicleTypes.trucks' },
+        ...CONGESTION_LEVELS.reduce((levels, level) => ({ ...levels, [level]: { $sum: `$congestion.${level}` } }), {})
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return seriesRows(rows, groupBy);
+}
+
+/**
+ * The same series computed from raw records matching `match`, for views
+ * whose records do not line up with a rollup scope. `cameraApproaches`
+ * ([{ camera, approach }]) places records stored without an approach.
+ */
+async function recordSeries({ match, interval = '1d', groupBy = 'bucket', cameraApproaches = [] }) {
+  const { unit, binSize } = INTERVALS[interval];
+  const approach = cameraApproaches.length > 0
+    ? {
+      $ifNull: ['$approach', {
+        $switch: {
+          branches: cameraApproaches.map(entry => ({ case: { $eq: ['$camera', entry.camera] }, then: entry.approach })),
+          default: 'Unknown'
+        }
+      }]
+    }
+    : GROUP_KEYS.approach;
+  const keys = { bucket: { $dateTrunc: { date: '$timestamp', unit, binSize } }, approach };
+
+  const rows = await Analytics.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: groupBy ? keys[groupBy] : null,
+        reports: { $sum: 1 },
+        trafficVolume: { $sum: '$trafficVolume' },
+        speedSum: { $sum: '$averageSpeed' },
+        cars: { $sum: '$vehicleTypes.cars' },
+        motorcycles: { $sum: '$vehicleTypes.motorcycles' },
+        trucks: { $sum: '$vehicleTypes.trucks' },
+        ...CONGESTION_LEVELS.reduce((levels, level) => ({
+          ...levels,
+          [level]: { $sum: { $cond: [{ $eq: ['$congestionLevel', level] }, 1, 0] } }
+        }), {})
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return seriesRows(rows, groupBy);
+}
+
+// Output rows of rollupSeries and recordSeries from summed $group rows
+function seriesRows(rows, groupBy) {
+  return rows.map(row => ({
+    ...(groupBy ? { [groupBy === 'bucket' ? 'timestamp' : groupBy]: row._id } : {}),
+    reports: row.reports,
+    totalTrafficVolume: row.trafficVolume,
+    averageTrafficVolume: row.reports > 0 ? round(row.trafficVolume / row.reports) : 0,
+    averageSpeed: row.reports > 0 ? round(row.speedSum / row.reports) : 0,
+    vehicleTypes: { cars: row.cars, motorcycles: row.motorcycles, trucks: row.trucks },
+    congestionLevels: CONGESTION_LEVELS.reduce((levels, level) => ({ ...levels, [level]: row[level] }), {})
+  }));
+}
+
+function createAnalyticsRollups(io) {
+  let pending = null;
+  let lastEmitted = 0;
+  // Settles once start() has caught the rollups up with stored records
+  let ready = null;
+
+  /**
+   * Network totals over the last 24 hours, as sent with analyticsUpdate:
+   * { averageTrafficVolume, averageSpeed, vehicleTypes, congestionLevels,
+   * reports, updatedAt }. `_id` and `vehicleTypesAggregate` (a one-element
+   * list holding the totals, so summing it gives the same result as summing
+   * the per-record list it used to be) are kept for older clients.
+   */
+  async function summary(now = new Date()) {
+    const [totals] = await rollupSeries({
+      interval: '1h',
+      from: new Date(now.getTime() - DAY_MS),
+      to: now,
+      groupBy: null
+    });
+
+    return totals
+      ? {
+        averageTrafficVolume: totals.averageTrafficVolume,
+        averageSpeed: totals.averageSpeed,
+        vehicleTypes: totals.vehicleTypes,
+        congestionLevels: totals.congestionLevels,
+        reports: totals.reports,
+        updatedAt: now,
+        _id: null,
+        vehicleTypesAggregate: [totals.vehicleTypes]
+      }
+      : null;
+  }
+
+  async function emitUpdate() {
+    pending = null;
+    lastEmitted = Date.now();
+
+    try {
+      const update = await summary();
+      if (update) io.to('admin').emit('analyticsUpdate', update);
+    } catch (error) {
+      console.error('Analytics update error:', error);
+    }
+  }
+
+  // At most one analyticsUpdate per interval; later records wait for the next one
+  function scheduleUpdate() {
+    if (pending) return;
+    const wait = Math.max(0, lastEmitted + config.updateIntervalMs - Date.now());
+    pending = setTimeout(emitUpdate, wait);
+  }
+
+  async function record(analytics) {
+    try {
+      // A record must not be counted before the backfill overwrites its bucket
+      if (ready) await ready;
+      await rollupRecord(analytics);
+      scheduleUpdate();
+    } catch (error) {
+      console.error('Analytics rollup error:', error);
+    }
+  }
+
+  // Rebuild from the first day whose record count the daily buckets do not
+  // match: all of them on first use, or days whose records were stored while
+  // the rollups were failing. Only records from before `cutoff` are counted;
+  // later ones go through record().
+  async function backfill(cutoff) {
+    try {
+      const days = await Analytics.aggregate([
+        { $match: { timestamp: { $lt: cutoff } } },
+        { $group: { _id: { $dateTrunc: { date: '$timestamp', unit: 'day' } }, reports: { $sum: 1 } } }
+      ]);
+      if (days.length === 0) return;
+
+      const rolled = await AnalyticsRollup.find({
+        interval: '1d',
+        scope: 'all',
+        bucket: { $in: days.map(day => day._id) }
+      }).select('bucket reports');
+      const counted = new Map(rolled.map(rollup => [rollup.bucket.getTime(), rollup.reports]));
+
+      const behind = days.filter(day => counted.get(day._id.getTime()) !== day.reports);
+      if (behind.length === 0) return;
+
+      const from = new Date(Math.min(...behind.map(day => day._id.getTime())));
+      const written = await rebuildRollups(from, cutoff);
+      console.log(`Rebuilt ${written} analytics rollups from records since ${from.toISOString()}`);
+    } catch (error) {
+      console.error('Analytics rollup rebuild error:', error);
+    }
+  }
+
+  function start() {
+    if (!ready) ready = backfill(new Date());
+    return ready;
+  }
+
+  function stop() {
+    clearTimeout(pending);
+    pending = null;
+  }
+
+  return {
+    start,
+    stop,
+    record,
+    summary
+  };
+}
+
+module.exports = {
+  INTERVALS,
+  bucketStart,
+  rollupRecord,
+  rebuildRollups,
+  rollupSeries,
+  recordSeries,
+  createAnalyticsRollups
+};
@@ -0,0 +1,264 @@
+// services/anomalyDetector.js
+// Scores each camera report against what is usual for that camera and its
+// junction at this weekday and hour. Baselines are the mean and spread of
+// the hourly rollups for the same hour of the week over the last weeks. A
+// deviation that holds for several minutes becomes a trafficAnomaly alert
+// carrying the expected and observed volume, resolved again once the volume
+// is back within the usual range.
+const AnalyticsRollup = require('../models/AnalyticsRollup');
+const Signal = require('../models/Signal');
+const { DEFAULT_TIMEZONE, weekMinute } = require('../utils/schedule');
+const { raiseAlert, resolveAlert } = require('./alertService');
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const config = {
+  // Standard deviations from the baseline that count as anomalous
+  threshold: Number(process.env.ANOMALY_THRESHOLD) || 3,
+  // Reports scored together when deciding whether a deviation is sustained
+  windowMs: Number(process.env.ANOMALY_WINDOW_MS) || 10 * 60 * 1000,
+  // A deviation must span at least this long...
+  sustainMs: Number(process.env.ANOMALY_SUSTAIN_MS) || 5 * 60 * 1000,
+  // ...over at least this many reports, nearly all of them beyond the threshold
+  minSamples: Number(process.env.ANOMALY_MIN_SAMPLES) || 3,
+  sustainedShare: 0.8,
+  baselineWeeks: Number(process.env.ANOMALY_BASELINE_WEEKS) || 8,
+  // Fewer weeks of history than this is no baseline yet
+  minWeeks: Number(process.env.ANOMALY_MIN_WEEKS) || 3
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Weekday (0 = Sunday) and hour of `date` in the schedule timezone
+const hourOfWeek = (date) => {
+  const minute = weekMinute(date);
+  return { day: Math.floor(minute / (24 * 60)), hour: Math.floor((minute % (24 * 60)) / 60) };
+};
+
+/**
+ * Mean and standard deviation of hourly averages. The deviation has a
+ * floor so that a very regular history does not turn noise into anomalies.
+ */
+const summarizeBaseline = (values, settings = config) => {
+  if (values.length < settings.minWeeks) return null;
+
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / (values.length - 1);
+
+  return {
+    mean,
+    stdDev: Math.max(Math.sqrt(variance), mean * 0.1, 1),
+    weeks: values.length
+  };
+};
+
+const scoreOf = (observed, baseline) => (baseline ? (observed - baseline.mean) / baseline.stdDev : null);
+
+/**
+ * Whether the scored reports in a window ({ timestamp, score }, oldest
+ * first) deviate the same way for long enough. Returns 'high', 'low' or null.
+ */
+const sustainedDeviation = (window, settings = config) => {
+  const scored = window.filter(sample => sample.score !== null);
+  if (scored.length < settings.minSamples) return null;
+  if (scored[scored.length - 1].timestamp - scored[0].timestamp < settings.sustainMs) return null;
+
+  const above = scored.filter(sample => sample.score >= settings.threshold).length;
+  const below = scored.filter(sample => sample.score <= -settings.threshold).length;
+
+  if (above >= scored.length * settings.sustainedShare) return 'high';
+  if (below >= scored.length * settings.sustainedShare) return 'low';
+  return null;
+};
+
+function createAnomalyDetector(io) {
+  // 'camera-<id>' or 'junction-<id>' -> { window, direction }; direction is
+  // undefined until known, e.g. after a restart with an alert still open
+  const states = new Map();
+  // junction id -> latest reports of all its cameras
+  const junctionReports = new Map();
+  // key + hour of week -> { baseline, expires }
+  const baselines = new Map();
+
+  // Hourly averages at this weekday and hour over the last weeks
+  async function loadBaseline(scope, id, now) {
+    const { day, hour } = hourOfWeek(now);
+    const cacheKey = `${scope}-${id}-${day}-${hour}`;
+    const cached = baselines.get(cacheKey);
+    if (cached && cached.expires > now.getTime()) return cached.baseline;
+
+    const rows = await AnalyticsRollup.aggregate([
+      {
+        $match: {
+          interval: '1h',
+          scope,
+          [scope === 'camera' ? 'camera' : 'junctionId']: id,
+          bucket: {
+            $gte: new Date(now.getTime() - config.baselineWeeks * 7 * 24 * 60 * 60 * 1000),
+            $lt: new Date(now.getTime() - 60 * 60 * 1000)
+          }
+        }
+      },
+      {
+        $match: {
+          $expr: {
+            $and: [
+              { $eq: [{ $dayOfWeek: { date: '$bucket', timezone: DEFAULT_TIMEZONE } }, day + 1] },
+              { $eq: [{ $hour: { date: '$bucket', timezone: DEFAULT_TIMEZONE } }, hour] }
+            ]
+          }
+        }
+      },
+      // A junction's approaches add up to one hourly figure
+      { $group: { _id: '$bucket', reports: { $sum: '$reports' }, trafficVolume: { $sum: '$trafficVolume' } } },
+      { $match: { reports: { $gt: 0 } } }
+    ]);
+
+    const baseline = summarizeBaseline(rows.map(row => row.trafficVolume / row.reports));
+    baselines.set(cacheKey, { baseline, expires: now.getTime() + 60 * 60 * 1000 });
+
+    return baseline;
+  }
+
+  // Score a value and add it to the key's window; returns the score, what to
+  // alert about when the window starts deviating and whether a deviation ended
+  function track(key, observed, baseline, now) {
+    const state = states.get(key) || { window: [], direction: undefined };
+    const previous = state.direction;
+    const score = scoreOf(observed, baseline);
+
+    state.window = state.window.filter(sample => now - sample.timestamp <= config.windowMs);
+    state.window.push({ timestamp: now, observed, score });
+    states.set(key, state);
+
+    const direction = sustainedDeviation(state.window);
+    const started = direction && direction !== state.direction;
+
+    if (direction) {
+      state.direction = direction;
+    } else if (score === null || Math.abs(score) < config.threshold) {
+      // Back within the usual range
+      state.direction = null;
+    }
+
+    const ended = previous !== null && state.direction === null;
+
+    if (!started) return { score, deviation: null, ended };
+
+    const scored = state.window.filter(sample => sample.score !== null);
+    return {
+      score,
+      ended: false,
+      deviation: {
+        direction,
+        observed: scored.reduce((sum, sample) => sum + sample.observed, 0) / scored.length,
+        score: scored.reduce((sum, sample) => sum + sample.score, 0) / scored.length,
+        reports: scored.length,
+        since: scored[0].timestamp
+      }
+    };
+  }
+
+  async function raise(source, name, baseline, deviation, now) {
+    const { day, hour } = hourOfWeek(now);
+    const slot = `${WEEKDAYS[day]} ${String(hour).padStart(2, '0')}:00`;
+
+    await raiseAlert(io, {
+      type: 'trafficAnomaly',
+      severity: Math.abs(deviation.score) >= config.threshold * 2 ? 'high' : 'medium',
+      source,
+      message: `${name}: ${round(deviation.observed)} vehicles per report where about ${round(baseline.mean)} are usual on ${slot}`,
+      details: {
+        direction: deviation.direction,
+        expected: round(baseline.mean),
+        stdDev: round(baseline.stdDev),
+        observed: round(deviation.observed),
+        score: round(deviation.score),
+        reports: deviation.reports,
+        since: deviation.since,
+        slot,
+        baselineWeeks: baseline.weeks
+      }
+    });
+  }
+
+  /**
+   * Score a camera report against the camera's baseline and its junction's.
+   * Returns the camera score in standard deviations from usual, or null
+   * while there is no baseline yet.
+   */
+  async function checkSample(camera, junctionId, volume, now = new Date()) {
+    try {
+      if (!camera) return null;
+
+      const cameraBaseline = await loadBaseline('camera', camera._id, now);
+      const { score, deviation, ended } = track(`camera-${camera._id}`, volume, cameraBaseline, now);
+      if (deviation) {
+        await raise({ type: 'camera', id: camera._id }, camera.name, cameraBaseline, deviation, now);
+      } else if (ended) {
+        await resolveAlert(io, { type: 'trafficAnomaly', source: { type: 'camera', id: camera._id } });
+      }
+
+      if (junctionId) {
+        // The junction's figure is the average report across its cameras lately
+        const reports = (junctionReports.get(String(junctionId)) || [])
+          .filter(report => now - report.timestamp <= config.sustainMs);
+        reports.push({ timestamp: now, volume });
+        junctionReports.set(String(junctionId), reports);
+        const observed = reports.reduce((sum, report) => sum + report.volume, 0) / reports.length;
+
+        const junctionBaseline = await loadBaseline('junction', junctionId, now);
+        const junction = track(`junction-${junctionId}`, observed, junctionBaseline, now);
+        if (junction.deviation) {
+          const signal = await Signal.findById(junctionId).select('name');
+          await raise({ type: 'junction', id: junctionId }, signal ? signal.name : `Junction ${junctionId}`, junctionBaseline, junction.deviation, now);
+        } else if (junction.ended) {
+          await resolveAlert(io, { type: 'trafficAnomaly', source: { type: 'junction', id: junctionId } });
+        }
+      }
+
+      return score === null ? null : round(score);
+    } catch (error) {
+      console.error('Anomaly detection error:', error);
+      return null;
+    }
+  }
+
+  // Drop cameras and junctions that stopped reporting
+  function prune(now = new Date()) {
+    states.forEach((state, key) => {
+      const last = state.window[state.window.length - 1];
+      if (!last || now - last.timestamp > config.windowMs) states.delete(key);
+    });
+    junctionReports.forEach((reports, key) => {
+      const last = reports[reports.length - 1];
+      if (!last || now - last.timestamp > config.windowMs) junctionReports.delete(key);
+    });
+    baselines.forEach((entry, key) => {
+      if (entry.expires <= now.getTime()) baselines.delete(key);
+    });
+  }
+
+  let timer = null;
+
+  function start() {
+    if (!timer) timer = setInterval(prune, config.windowMs);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    start,
+    stop,
+    checkSample
+  };
+}
+
+module.exports = {
+  summarizeBaseline,
+  sustainedDeviation,
+  createAnomalyDetector
+};
@@ -0,0 +1,204 @@
+// services/cameraHealth.js
+// Health telemetry cameras send with deviceData ({ health: { fps, rssi, ... } }).
+// Every report is stored in the CameraHealth time series and checked against
+// the camera's thresholds; a camera degraded for several reports in a row
+// goes to 'warning' and comes back once it has been healthy as long.
+const Camera = require('../models/Camera');
+const CameraHealth = require('../models/CameraHealth');
+const { raiseAlert } = require('./alertService');
+const { recordStatusChange } = require('./deviceWatchdog');
+
+const HEALTH_FIELDS = ['fps', 'rssi', 'freeHeap', 'temperature', 'uptime', 'droppedFrames'];
+
+const DEFAULT_THRESHOLDS = {
+  // Share of settings.frameRate the camera must deliver
+  minFpsRatio: 0.7,
+  minRssi: -80,
+  minFreeHeap: 20000,
+  maxTemperature: 75,
+  maxDroppedFrames: 30,
+  degradedReports: 3,
+  recoveredReports: 3
+};
+
+const getThresholds = (camera) => {
+  const configured = (camera.settings && camera.settings.health) || {};
+  const thresholds = { ...DEFAULT_THRESHOLDS };
+
+  Object.keys(DEFAULT_THRESHOLDS).forEach(key => {
+    if (configured[key] !== undefined && configured[key] !== null) thresholds[key] = configured[key];
+  });
+
+  return thresholds;
+};
+
+// Numeric health fields of a report; anything else is dropped
+const sanitize = (health) => {
+  const sample = {};
+  HEALTH_FIELDS.forEach(field => {
+    const value = Number(health[field]);
+    if (health[field] !== undefined && health[field] !== null && Number.isFinite(value)) sample[field] = value;
+  });
+  return sample;
+};
+
+// Fields of a sample outside the thresholds, as readable messages
+const evaluateHealth = (camera, sample) => {
+  const thresholds = getThresholds(camera);
+  const issues = [];
+  const frameRate = camera.settings && camera.settings.frameRate;
+
+  if (sample.fps !== undefined && frameRate && sample.fps < frameRate * thresholds.minFpsRatio) {
+    issues.push(`FPS ${sample.fps} below ${Math.round(frameRate * thresholds.minFpsRatio)} (configured ${frameRate})`);
+  }
+  if (sample.rssi !== undefined && sample.rssi < thresholds.minRssi) {
+    issues.push(`Wi-Fi RSSI ${sample.rssi} dBm below ${thresholds.minRssi} dBm`);
+  }
+  if (sample.freeHeap !== undefined && sample.freeHeap < thresholds.minFreeHeap) {
+    issues.push(`Free heap ${sample.freeHeap} B below ${thresholds.minFreeHeap} B`);
+  }
+  if (sample.temperature !== undefined && sample.temperature > thresholds.maxTemperature) {
+    issues.push(`Temperature ${sample.temperature} °C above ${thresholds.maxTemperature} °C`);
+  }
+  if (sample.droppedFrames !== undefined && sample.droppedFrames > thresholds.maxDroppedFrames) {
+    issues.push(`${sample.droppedFrames} dropped frames (limit ${thresholds.maxDroppedFrames})`);
+  }
+
+  return issues;
+};
+
+function createCameraHealthMonitor(io) {
+  async function setStatus(camera, from, to, reason) {
+    const updated = await Camera.findOneAndUpdate(
+      { _id: camera._id, status: from },
+      { $set: { status: to } },
+      { new: true }
+    );
+    if (!updated) return null;
+
+    await recordStatusChange('camera', camera._id, to, reason);
+    return updated;
+  }
+
+  // Store a report and move the camera in or out of 'warning'
+  async function recordHealth(cameraId, health, now = new Date()) {
+    try {
+      const sample = sanitize(health || {});
+      if (Object.keys(sample).length === 0) return null;
+
+      const camera = await Camera.findById(cameraId);
+      if (!camera) return null;
+
+      await CameraHealth.create({ camera: camera._id, timestamp: now, ...sample });
+
+      const thresholds = getThresholds(camera);
+      const issues = evaluateHealth(camera, sample);
+      const previous = camera.health || {};
+      const badReports = issues.length > 0 ? (previous.badReports || 0) + 1 : 0;
+      const goodReports = issues.length > 0 ? 0 : (previous.goodReports || 0) + 1;
+
+      // Go by the camera's status rather than the stored flag, which goes
+      // stale when the watchdog or an operator changes the status
+      let changed = null;
+
+      if (camera.status === 'online' && badReports >= thresholds.degradedReports) {
+        changed = await setStatus(camera, 'online', 'warning', `health: ${issues.join('; ')}`);
+
+        if (changed) {
+          await raiseAlert(io, {
+            type: 'cameraHealth',
+            severity: 'medium',
+            source: { type: 'camera', id: camera._id },
+            message: `${camera.name}: ${issues.join('; ')}`,
+            details: { ...sample, thresholds }
+          });
+        }
+      } else if (camera.status === 'warning' && goodReports >= thresholds.recoveredReports) {
+        changed = await setStatus(camera, 'warning', 'online', 'health recovered');
+      }
+
+      const degraded = (changed || camera).status === 'warning';
+
+      const updated = await Camera.findByIdAndUpdate(
+        camera._id,
+        {
+          $set: {
+            health: {
+              ...sample,
+              reportedAt: now,
+              issues,
+              degraded,
+              badReports,
+              goodReports
+            }
+          }
+        },
+        { new: true }
+      );
+
+      if (changed) {
+        io.to('admin').emit('cameraUpdate', updated);
+        console.log(`Camera ${camera._id} is now ${updated.status} (health ${degraded ? 'degraded' : 'recovered'})`);
+      }
+      io.to('admin').emit('cameraHealth', { camera: camera._id, timestamp: now, ...sample, issues, degraded });
+
+      return updated;
+    } catch (error) {
+      console.error('Camera health error:', error);
+      return null;
+    }
+  }
+
+  return {
+    recordHealth
+  };
+}
+
+/**
+ * Health of a camera between `from` and `to` in buckets of `interval`
+ * seconds, for charting: averages per field, the lowest FPS, RSSI and free
+ * heap, the highest temperature and the dropped frames added up.
+ */
+async function healthSeries(cameraId, from, to, interval) {
+  const rows = await CameraHealth.aggregate([
+    {
+      $match: {
+        camera: cameraId,
+        timestamp: { $gte: from, $lte: to }
+      }
+    },
+    {
+      $group: {
+        _id: { $dateTrunc: { date: '$timestamp', unit: 'second', binSize: interval } },
+        fps: { $avg: '$fps' },
+        minFps: { $min: '$fps' },
+        rssi: { $avg: '$rssi' },
+        minRssi: { $min: '$rssi' },
+        freeHeap: { $avg: '$freeHeap' },
+        minFreeHeap: { $min: '$freeHeap' },
+        temperature: { $avg: '$temperature' },
+        maxTemperature: { $max: '$temperature' },
+        uptime: { $max: '$uptime' },
+        droppedFrames: { $sum: '$droppedFrames' },
+        reports: { $sum: 1 }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return rows.map(({ _id, ...row }) => {
+    Object.keys(row).forEach(key => {
+      if (typeof row[key] === 'number') row[key] = Number(row[key].toFixed(2));
+    });
+    return { timestamp: _id, ...row };
+  });
+}
+
+module.exports = {
+  HEALTH_FIELDS,
+  DEFAULT_THRESHOLDS,
+  getThresholds,
+  evaluateHealth,
+  healthSeries,
+  createCameraHealthMonitor
+};
@@ -1,13 +1,31 @@
 // routes/cameras.js
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Camera = require('../models/Camera');
+const Snapshot = require('../models/Snapshot');
 const { authenticateToken, isOperator } = require('../middleware/auth');
+const { authenticateDevice } = require('../middleware/deviceAuth');
+const { settingsHistoryRouter } = require('./settingsHistory');
+const { mergeSettings, settingsPaths, recordRevision } = require('../services/settingsRevisions');
+const { computeAvailability } = require('../services/deviceWatchdog');
+const { validateCoverage } = require('../services/junctionCoverage');
+const { getThresholds, healthSeries } = require('../services/cameraHealth');
+const { rowsFromCsv, rowsFromGeoJson, importDevices, exportCsv, exportGeoJson } = require('../services/deviceTransfer');
+const { sendCommand } = require('../services/deviceCommands');
+const { validateRegions, describeRegion } = require('../utils/regions');
+const { validateCongestionSettings } = require('../utils/congestion');
+const { imageUrl, thumbnailUrl, isValidSignature, storeSnapshot, openSnapshotStream, requestSnapshot, removeCameraSnapshots } = require('../services/snapshots');
+
+const MAX_SNAPSHOT_SIZE = process.env.SNAPSHOT_MAX_SIZE || '2mb';
+const IMPORT_MAX_SIZE = process.env.IMPORT_MAX_SIZE || '5mb';
 
 // Get all cameras
 router.get('/', authenticateToken, async (req, res) => {
   try {
-    const cameras = await Camera.find();
+    // Optionally only the cameras covering a signal
+    const filter = req.query.signal ? { 'junction.signal': req.query.signal } : {};
+    const cameras = await Camera.find(filter);
     res.json(cameras);
   } catch (err) {
     console.error('Get cameras error:', err);
@@ -15,6 +33,48 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
+// Export all cameras as CSV (default) or GeoJSON (?format=geojson)
+router.get('/export', authenticateToken, async (req, res) => {
+  try {
+    if (req.query.format === 'geojson') {
+      res.set('Content-Disposition', 'attachment; filename="cameras.geojson"');
+      res.type('application/geo+json');
+      return res.send(JSON.stringify(await exportGeoJson('camera')));
+    }
+    
+    res.set('Content-Disposition', 'attachment; filename="cameras.csv"');
+    res.type('text/csv');
+    res.send(await exportCsv('camera'));
+  } catch (err) {
+    console.error('Export cameras error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Import cameras from CSV (text/csv) or GeoJSON, upserting by externalId.
+// ?dryRun=true only validates and reports what would be created or updated.
+router.post('/import', authenticateToken, isOperator, express.text({ type: 'text/csv', limit: IMPORT_MAX_SIZE }), express.json({ type: ['application/json', 'application/geo+json'], limit: IMPORT_MAX_SIZE }), async (req, res) => {
+  try {
+    const rows = req.is('text/csv') ? rowsFromCsv(req.body) : rowsFromGeoJson(req.body);
+    
+    const summary = await importDevices(req.app.get('io'), 'camera', rows, {
+      dryRun: req.query.dryRun === 'true',
+      user: req.user
+    });
+    
+    res.status(summary.failed > 0 ? 422 : 200).json(summary);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    if (err instanceof SyntaxError) {
+      return res.status(400).json({ message: 'Invalid GeoJSON' });
+    }
+    console.error('Import cameras error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get single camera
 router.get('/:id', authenticateToken, async (req, res) => {
   try {
@@ -29,6 +89,332 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// Get availability (uptime/downtime intervals) of a camera
+router.get('/:id/availability', authenticateToken, async (req, res) => {
+  try {
+    const startDate = req.query.startDate ? new Date(req.query.startDate) : new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
+    
+    if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+      return res.status(400).json({ message: 'Invalid startDate or endDate' });
+    }
+    
+    const availability = await computeAvailability('camera', req.params.id, startDate, endDate);
+    
+    res.json(availability);
+  } catch (err) {
+    console.error('Get camera availability error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Upload a snapshot (camera). The body is the JPEG; metadata goes in the
+// query string: ?trigger=schedule|incident|manual&capturedAt=...&reason=...
+router.post('/:id/snapshots', authenticateDevice, express.raw({ type: 'image/jpeg', limit: MAX_SNAPSHOT_SIZE }), async (req, res) => {
+  try {
+    const { trigger, reason, capturedAt } = req.query;
+    
+    const snapshot = await storeSnapshot(req.app.get('io'), req.params.id, {
+      data: req.body,
+      contentType: req.get('content-type'),
+      trigger,
+      reason,
+      capturedAt
+    });
+    
+    res.status(201).json({ ...snapshot.toObject(), url: imageUrl(snapshot), thumbnailUrl: thumbnailUrl(snapshot) });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: err.message });
+    }
+    console.error('Upload snapshot error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get snapshots of a camera by time range (newest first)
+router.get('/:id/snapshots', authenticateToken, async (req, res) => {
+  try {
+    const startDate = req.query.startDate ? new Date(req.query.startDate) : null;
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : null;
+    
+    if ((startDate && isNaN(startDate.getTime())) || (endDate && isNaN(endDate.getTime()))) {
+      return res.status(400).json({ message: 'Invalid startDate or endDate' });
+    }
+    
+    const filter = { camera: req.params.id };
+    if (startDate || endDate) {
+      filter.capturedAt = {};
+      if (startDate) filter.capturedAt.$gte = startDate;
+      if (endDate) filter.capturedAt.$lte = endDate;
+    }
+    if (req.query.trigger) filter.trigger = req.query.trigger;
+    
+    const snapshots = await Snapshot.find(filter)
+      .sort({ capturedAt: -1 })
+      .limit(Math.min(parseInt(req.query.limit, 10) || 100, 500));
+    
+    res.json(snapshots.map(snapshot => ({ ...snapshot.toObject(), url: imageUrl(snapshot), thumbnailUrl: thumbnailUrl(snapshot) })));
+  } catch (err) {
+    console.error('Get snapshots error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Ask the camera to take a snapshot now
+router.post('/:id/snapshots/capture', authenticateToken, isOperator, async (req, res) => {
+  try {
+    const camera = await Camera.findById(req.params.id);
+    if (!camera) {
+      return res.status(404).json({ message: 'Camera not found' });
+    }
+    
+    const command = await requestSnapshot(req.app.get('io'), camera._id, {
+      reason: (req.body || {}).reason,
+      issuedBy: req.user.id
+    });
+    
+    res.status(202).json(command);
+  } catch (err) {
+    console.error('Request snapshot error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a snapshot's details
+router.get('/:id/snapshots/:snapshotId', authenticateToken, async (req, res) => {
+  try {
+    const snapshot = await Snapshot.findOne({ _id: req.params.snapshotId, camera: req.params.id });
+    if (!snapshot) {
+      return res.status(404).json({ message: 'Snapshot not found' });
+    }
+    res.json({ ...snapshot.toObject(), url: imageUrl(snapshot), thumbnailUrl: thumbnailUrl(snapshot) });
+  } catch (err) {
+    console.error('Get snapshot error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Image URLs are signed (see services/snapshots) so that an <img> can load
+// them; without a valid signature the usual token is required
+const authenticateImage = (variant) => (req, res, next) => {
+  if (isValidSignature(req.params.snapshotId, variant, req.query.signature)) return next();
+  return authenticateToken(req, res, next);
+};
+
+const sendImage = (variant) => async (req, res) => {
+  try {
+    const snapshot = await Snapshot.findOne({ _id: req.params.snapshotId, camera: req.params.id });
+    if (!snapshot) {
+      return res.status(404).json({ message: 'Snapshot not found' });
+    }
+    if (variant === 'thumbnail' && !(snapshot.thumbnail && snapshot.thumbnail.size)) {
+      return res.status(404).json({ message: 'Snapshot has no thumbnail' });
+    }
+    
+    res.set({
+      'Content-Type': variant === 'thumbnail' ? 'image/jpeg' : snapshot.contentType,
+      'Content-Length': variant === 'thumbnail' ? snapshot.thumbnail.size : snapshot.size,
+      'Cache-Control': 'private, max-age=86400'
+    });
+    
+    openSnapshotStream(snapshot, variant)
+      .on('error', error => {
+        console.error('Snapshot image error:', error);
+        res.destroy(error);
+      })
+      .pipe(res);
+  } catch (err) {
+    console.error('Snapshot image error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Get the snapshot image
+router.get('/:id/snapshots/:snapshotId/image', authenticateImage('image'), sendImage('image'));
+
+// Get the snapshot thumbnail
+router.get('/:id/snapshots/:snapshotId/thumbnail', authenticateImage('thumbnail'), sendImage('thumbnail'));
+
+// Get health telemetry of a camera for charting
+router.get('/:id/health', authenticateToken, async (req, res) => {
+  try {
+    const camera = await Camera.findById(req.params.id);
+    if (!camera) {
+      return res.status(404).json({ message: 'Camera not found' });
+    }
+    
+    const startDate = req.query.startDate ? new Date(req.query.startDate) : new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
+    
+    if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+      return res.status(400).json({ message: 'Invalid startDate or endDate' });
+    }
+    
+    // Bucket size in seconds; by default about 200 points over the range
+    const interval = req.query.interval !== undefined
+      ? Number(req.query.interval)
+      : Math.max(60, Math.ceil((endDate - startDate) / 1000 / 200));
+    
+    if (!Number.isInteger(interval) || interval < 1) {
+      return res.status(400).json({ message: 'Interval must be a positive whole number of seconds' });
+    }
+    
+    const series = await healthSeries(camera._id, startDate, endDate, interval);
+    
+    res.json({
+      current: camera.health,
+      status: camera.status,
+      frameRate: camera.settings.frameRate,
+      thresholds: getThresholds(camera),
+      interval,
+      series
+    });
+  } catch (err) {
+    console.error('Get camera health error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Map the camera to the signal and approach it covers
+router.put('/:id/junction', authenticateToken, isOperator, async (req, res) => {
+  try {
+    const junction = await validateCoverage(req.body || {});
+    
+    const camera = await Camera.findByIdAndUpdate(
+      req.params.id,
+      { $set: { junction } },
+      { new: true }
+    );
+    
+    if (!camera) {
+      return res.status(404).json({ message: 'Camera not found' });
+    }
+    
+    // Notify connected clients
+    req.app.get('io').to('admin').emit('cameraUpdate', camera);
+    
+    res.json(camera);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Update camera junction error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove the camera's junction mapping
+router.delete('/:id/junction', authenticateToken, isOperator, async (req, res) => {
+  try {
+    const camera = await Camera.findByIdAndUpdate(
+      req.params.id,
+      { $unset: { junction: 1 } },
+      { new: true }
+    );
+    
+    if (!camera) {
+      return res.status(404).json({ message: 'Camera not found' });
+    }
+    
+    // Notify connected clients
+    req.app.get('io').to('admin').emit('cameraUpdate', camera);
+    
+    res.json(camera);
+  } catch (err) {
+    console.error('Delete camera junction error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get counting lines and zones with their latest counts
+router.get('/:id/regions', authenticateToken, async (req, res) => {
+  try {
+    const camera = await Camera.findById(req.params.id).select('settings.countingLines settings.zones metrics lastSeen');
+    if (!camera) {
+      return res.status(404).json({ message: 'Camera not found' });
+    }
+    
+    const counts = new Map(((camera.metrics && camera.metrics.regions) || []).map(entry => [entry.region, entry]));
+    const withCounts = (region) => {
+      const latest = counts.get(region.id);
+      return {
+        ...region.toObject(),
+        label: describeRegion(region),
+        vehicleCount: latest ? latest.vehicleCount : null,
+        vehicleTypes: latest ? latest.vehicleTypes : null,
+        averageSpeed: latest ? latest.averageSpeed : null
+      };
+    };
+    
+    res.json({
+      countingLines: camera.settings.countingLines.map(withCounts),
+      zones: camera.settings.zones.map(withCounts),
+      updatedAt: camera.lastSeen
+    });
+  } catch (err) {
+    console.error('Get camera regions error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Replace the camera's counting lines and zones and push them to the device
+router.put('/:id/regions', authenticateToken, isOperator, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const countingLines = body.countingLines || [];
+    const zones = body.zones || [];
+    
+    const errors = validateRegions({ countingLines, zones });
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid regions', errors });
+    }
+    
+    const existing = await Camera.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ message: 'Camera not found' });
+    }
+    
+    const camera = await Camera.findByIdAndUpdate(
+      req.params.id,
+      { $set: { 'settings.countingLines': countingLines, 'settings.zones': zones } },
+      { new: true, runValidators: true }
+    );
+    
+    await recordRevision({
+      deviceType: 'camera',
+      device: camera._id,
+      before: existing.settings,
+      after: camera.settings,
+      user: req.user,
+      message: body.message || 'Counting lines and zones'
+    });
+    
+    // Notify connected clients
+    req.app.get('io').to('admin').emit('cameraUpdate', camera);
+    
+    // The device counts per line and zone from now on
+    await sendCommand(req.app.get('io'), {
+      deviceType: 'camera',
+      device: camera._id,
+      event: 'configUpdate',
+      payload: {
+        countingLines: camera.settings.countingLines,
+        zones: camera.settings.zones
+      },
+      issuedBy: req.user.id
+    });
+    
+    res.json(camera);
+  } catch (err) {
+    console.error('Update camera regions error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Create new camera (operator or admin only)
 router.post('/', authenticateToken, isOperator, async (req, res) => {
   try {
@@ -58,7 +444,45 @@ router.post('/', authenticateToken, isOperator, async (req, res) => {
 // Update camera
 router.put('/:id', authenticateToken, isOperator, async (req, res) => {
   try {
-    const { name, location, coordinates, ipAddress, status, settings } = req.body;
+    const { name, location, coordinates, ipAddress, status, settings, upstream } = req.body || {};
+    
+    if (settings !== undefined && (settings === null || typeof settings !== 'object' || Array.isArray(settings))) {
+      return res.status(400).json({ message: 'Settings must be an object' });
+    }
+    
+    const existing = await Camera.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ message: 'Camera not found' });
+    }
+    
+    // Settings merge into the stored ones, so check the result
+    if (settings !== undefined) {
+      const merged = mergeSettings(existing.settings, settings);
+      
+      const regionErrors = validateRegions(merged);
+      if (regionErrors.length > 0) {
+        return res.status(400).json({ message: 'Invalid regions', errors: regionErrors });
+      }
+      
+      const congestionErrors = validateCongestionSettings(merged);
+      if (congestionErrors.length > 0) {
+        return res.status(400).json({ message: 'Invalid congestion thresholds', errors: congestionErrors });
+      }
+    }
+    
+    // Upstream cameras must exist, and a camera is not upstream of itself
+    if (upstream !== undefined) {
+      if (!Array.isArray(upstream) || !upstream.every(id => mongoose.isValidObjectId(id))) {
+        return res.status(400).json({ message: 'Upstream must be a list of camera ids' });
+      }
+      if (upstream.some(id => String(id) === existing._id.toString())) {
+        return res.status(400).json({ message: 'A camera cannot be upstream of itself' });
+      }
+      const found = await Camera.countDocuments({ _id: { $in: upstream } });
+      if (found !== new Set(upstream.map(String)).size) {
+        return res.status(400).json({ message: 'Upstream camera not found' });
+      }
+    }
     
     const camera = await Camera.findByIdAndUpdate(
       req.params.id,
@@ -69,7 +493,8 @@ router.put('/:id', authenticateToken, isOperator, async (req, res) => {
           coordinates,
           ipAddress,
           status,
-          settings
+          upstream,
+          ...(settings !== undefined ? settingsPaths(settings) : {})
         }
       },
       { new: true }
@@ -79,11 +504,29 @@ router.put('/:id', authenticateToken, isOperator, async (req, res) => {
       return res.status(404).json({ message: 'Camera not found' });
     }
     
+    if (settings !== undefined) {
+      await recordRevision({
+        deviceType: 'camera',
+        device: camera._id,
+        before: existing.settings,
+        after: camera.settings,
+        user: req.user
+      });
+    }
+    
     // Notify connected clients
     req.app.get('io').to('admin').emit('cameraUpdate', camera);
     
-    // Notify device if online
-    req.app.get('io').to(`camera-${camera._id}`).emit('configUpdate', settings);
+    // Deliver changed settings to the device, queued until it acknowledges
+    if (settings !== undefined) {
+      await sendCommand(req.app.get('io'), {
+        deviceType: 'camera',
+        device: camera._id,
+        event: 'configUpdate',
+        payload: settings,
+        issuedBy: req.user.id
+      });
+    }
     
     res.json(camera);
   } catch (err) {
@@ -101,6 +544,8 @@ router.delete('/:id', authenticateToken, isOperator, async (req, res) => {
       return res.status(404).json({ message: 'Camera not found' });
     }
     
+    await removeCameraSnapshots(camera._id);
+    
     // Notify connected clients
     req.app.get('io').to('admin').emit('cameraDeleted', { id: req.params.id });
     
@@ -114,7 +559,22 @@ router.delete('/:id', authenticateToken, isOperator, async (req, res) => {
 // Update camera settings
 router.put('/:id/settings', authenticateToken, isOperator, async (req, res) => {
   try {
-    const { settings } = req.body;
+    const { settings, message } = req.body;
+    
+    const regionErrors = validateRegions(settings);
+    if (regionErrors.length > 0) {
+      return res.status(400).json({ message: 'Invalid regions', errors: regionErrors });
+    }
+    
+    const congestionErrors = validateCongestionSettings(settings);
+    if (congestionErrors.length > 0) {
+      return res.status(400).json({ message: 'Invalid congestion thresholds', errors: congestionErrors });
+    }
+    
+    const existing = await Camera.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ message: 'Camera not found' });
+    }
     
     const camera = await Camera.findByIdAndUpdate(
       req.params.id,
@@ -122,15 +582,27 @@ router.put('/:id/settings', authenticateToken, isOperator, async (req, res) => {
       { new: true }
     );
     
-    if (!camera) {
-      return res.status(404).json({ message: 'Camera not found' });
-    }
+    // Keep the change in the settings history
+    await recordRevision({
+      deviceType: 'camera',
+      device: camera._id,
+      before: existing.settings,
+      after: camera.settings,
+      user: req.user,
+      message
+    });
     
     // Notify connected clients
     req.app.get('io').to('admin').emit('cameraUpdate', camera);
     
-    // Notify device if online
-    req.app.get('io').to(`camera-${camera._id}`).emit('configUpdate', settings);
+    // Deliver to the device, queued until it acknowledges
+    await sendCommand(req.app.get('io'), {
+      deviceType: 'camera',
+      device: camera._id,
+      event: 'configUpdate',
+      payload: settings,
+      issuedBy: req.user.id
+    });
     
     res.json(camera);
   } catch (err) {
@@ -139,4 +611,12 @@ router.put('/:id/settings', authenticateToken, isOperator, async (req, res) => {
   }
 });
 
+// Settings revision history and rollback
+router.use('/:id/settings/revisions', settingsHistoryRouter({
+  deviceType: 'camera',
+  Model: Camera,
+  validate: settings => [...validateRegions(settings), ...validateCongestionSettings(settings)],
+  updateEvent: 'cameraUpdate'
+}));
+
 module.exports = router;
\ No newline at end of file
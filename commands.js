@@ -0,0 +1,42 @@
+// routes/commands.js
+const express = require('express');
+const router = express.Router();
+const DeviceCommand = require('../models/DeviceCommand');
+const { authenticateToken } = require('../middleware/auth');
+
+// Get device commands (optionally filtered by device, status or event)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.deviceType) filter.deviceType = req.query.deviceType;
+    if (req.query.device) filter.device = req.query.device;
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.event) filter.event = req.query.event;
+
+    const commands = await DeviceCommand.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(req.query.limit, 10) || 100, 500))
+      .populate('issuedBy', 'name email');
+
+    res.json(commands);
+  } catch (err) {
+    console.error('Get commands error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get single command
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const command = await DeviceCommand.findById(req.params.id).populate('issuedBy', 'name email');
+    if (!command) {
+      return res.status(404).json({ message: 'Command not found' });
+    }
+    res.json(command);
+  } catch (err) {
+    console.error('Get command error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,172 @@
+// services/conflictMonitor.js
+// Checks the states signals report through deviceData against their phase
+// plan: conflicting greens, phases stuck past their maximum and greens that
+// end without a yellow. What happens on a fault is set per signal in
+// settings.conflictMonitor.
+const Signal = require('../models/Signal');
+const { parsePhase } = require('../utils/phases');
+const { buildPhaseStateMachine } = require('../utils/phaseStateMachine');
+const { raiseAlert } = require('./alertService');
+const { recordStatusChange } = require('./deviceWatchdog');
+const { sendCommand } = require('./deviceCommands');
+
+const MONITOR_DEFAULTS = {
+  enabled: true,
+  setWarning: true,
+  raiseAlert: true,
+  flash: false,
+  stuckGrace: 10
+};
+
+const getMonitorSettings = (signal) => {
+  const configured = (signal.settings && signal.settings.conflictMonitor) || {};
+  const settings = { ...MONITOR_DEFAULTS };
+
+  Object.keys(MONITOR_DEFAULTS).forEach(key => {
+    if (configured[key] !== undefined && configured[key] !== null) settings[key] = configured[key];
+  });
+
+  return settings;
+};
+
+/**
+ * Faults in a signal report. `previous` is the signal as stored before the
+ * report ({ currentPhase, phaseStartedAt, lastSeen }), `signal` after it.
+ */
+const detectFaults = (previous, signal, metrics, now = new Date()) => {
+  const faults = [];
+  const machine = buildPhaseStateMachine(signal);
+  const current = parsePhase(signal.currentPhase);
+
+  // Greens shown together must all be served by one green phase of the plan
+  const indications = metrics.indications || {};
+  const greenApproaches = Object.keys(indications).filter(approach => /^green$/i.test(indications[approach]));
+  if (current.indication === 'Green') {
+    current.approaches
+      .filter(approach => !greenApproaches.includes(approach))
+      .forEach(approach => greenApproaches.push(approach));
+  }
+
+  const servedTogether = machine.phases
+    .map(parsePhase)
+    .some(phase => phase.indication === 'Green'
+      && greenApproaches.every(approach => phase.approaches.includes(approach)));
+
+  if (greenApproaches.length > 1 && !servedTogether) {
+    faults.push({
+      type: 'conflictingGreens',
+      severity: 'critical',
+      message: `Conflicting greens reported on ${greenApproaches.join(', ')}`,
+      details: { phase: signal.currentPhase, greenApproaches, indications }
+    });
+  }
+
+  // A phase running past its maximum (preemption holds are exempt)
+  const bounds = machine.bounds(signal.currentPhase);
+  if (bounds && signal.phaseStartedAt && signal.mode !== 'Preemption') {
+    const elapsed = (now - new Date(signal.phaseStartedAt)) / 1000;
+    const limit = bounds[1] + getMonitorSettings(signal).stuckGrace;
+
+    if (elapsed > limit) {
+      faults.push({
+        type: 'stuckPhase',
+        severity: 'high',
+        message: `'${signal.currentPhase}' has been running for ${Math.floor(elapsed)}s (maximum ${bounds[1]}s)`,
+        details: { phase: signal.currentPhase, elapsed: Math.floor(elapsed), maximum: bounds[1] }
+      });
+    }
+  }
+
+  // Green followed by anything but its yellow. Without the controller's own
+  // previousPhase, only trust the last report if a yellow could not have
+  // fitted in between.
+  const sincePrevious = previous && previous.lastSeen ? (now - new Date(previous.lastSeen)) / 1000 : Infinity;
+  const before = metrics.previousPhase
+    || (previous && sincePrevious < machine.limits.minYellow ? previous.currentPhase : null);
+
+  if (before && before !== signal.currentPhase) {
+    const left = parsePhase(before);
+    const skipped = left.indication === 'Green'
+      && !(current.indication === 'Yellow' && current.approaches.join() === left.approaches.join());
+
+    if (skipped) {
+      faults.push({
+        type: 'skippedYellow',
+        severity: 'high',
+        message: `'${before}' ended without a yellow interval (went to '${signal.currentPhase}')`,
+        details: { from: before, to: signal.currentPhase }
+      });
+    }
+  }
+
+  return faults;
+};
+
+function createConflictMonitor(io) {
+  async function handleFaults(signal, faults) {
+    const settings = getMonitorSettings(signal);
+    let updated = signal;
+
+    if (settings.setWarning && signal.status !== 'warning') {
+      updated = await Signal.findByIdAndUpdate(signal._id, { $set: { status: 'warning' } }, { new: true });
+      await recordStatusChange('signal', signal._id, 'warning', faults.map(fault => fault.type).join(', '));
+      io.to('admin').emit('signalUpdate', updated);
+    }
+
+    for (const fault of faults) {
+      console.error(`Conflict monitor: signal ${signal._id} ${fault.type}: ${fault.message}`);
+
+      if (settings.raiseAlert) {
+        await raiseAlert(io, {
+          type: fault.type,
+          severity: fault.severity,
+          source: { type: 'signal', id: signal._id },
+          message: `${signal.name}: ${fault.message}`,
+          details: fault.details
+        });
+      }
+    }
+
+    // All-way red flash is the controller's safe fallback state
+    if (settings.flash) {
+      await sendCommand(io, {
+        deviceType: 'signal',
+        device: signal._id,
+        event: 'controlCommand',
+        payload: {
+          mode: 'Flash',
+          flash: 'All-Way Red',
+          reason: faults.map(fault => fault.type).join(', ')
+        }
+      });
+    }
+
+    return updated;
+  }
+
+  // Check a report; returns the faults found
+  async function checkReport(previous, signal, metrics) {
+    try {
+      if (!signal || !getMonitorSettings(signal).enabled) return [];
+
+      const faults = detectFaults(previous, signal, metrics || {});
+      if (faults.length > 0) {
+        await handleFaults(signal, faults);
+      }
+
+      return faults;
+    } catch (error) {
+      console.error('Conflict monitor error:', error);
+      return [];
+    }
+  }
+
+  return {
+    checkReport
+  };
+}
+
+module.exports = {
+  detectFaults,
+  createConflictMonitor
+};
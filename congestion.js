@@ -0,0 +1,198 @@
+// utils/congestion.js
+// The congestion levels used throughout the server, and how a camera report
+// is classified into one. Speed against free flow, occupancy of the view
+// and volume per lane each give a level and the worst of them wins; what the
+// device itself reported is only used when the report has none of these.
+// Thresholds come from the camera's road class (settings.roadClass) and can
+// be overridden per camera (settings.congestionThresholds).
+
+const CONGESTION_LEVELS = ['Low', 'Medium', 'High', 'Unknown'];
+
+// Order of the known levels, e.g. to pick the worst of several
+const CONGESTION_RANK = { Low: 1, Medium: 2, High: 3 };
+
+const ROAD_CLASSES = ['highway', 'arterial', 'collector', 'local'];
+
+const DEFAULT_ROAD_CLASS = process.env.CONGESTION_DEFAULT_ROAD_CLASS || 'arterial';
+
+// Seconds of traffic one camera vehicleCount covers
+const COUNT_WINDOW = Number(process.env.CAMERA_COUNT_WINDOW_S) || 60;
+
+// Fields a camera can override in settings.congestionThresholds
+const THRESHOLD_FIELDS = [
+  'freeFlowSpeed',
+  'mediumSpeedRatio',
+  'highSpeedRatio',
+  'mediumOccupancy',
+  'highOccupancy',
+  'mediumVolume',
+  'highVolume'
+];
+
+/**
+ * Defaults per road class. Speeds are km/h, speed ratios the share of the
+ * free-flow speed at or below which traffic is Medium or High, occupancy the
+ * percentage of the view covered by vehicles and volume vehicles per lane
+ * per hour. CONGESTION_THRESHOLDS (JSON, keyed by road class) overrides them.
+ */
+const ROAD_CLASS_THRESHOLDS = {
+  highway: { freeFlowSpeed: 100, mediumSpeedRatio: 0.7, highSpeedRatio: 0.4, mediumOccupancy: 15, highOccupancy: 30, mediumVolume: 1400, highVolume: 1900 },
+  arterial: { freeFlowSpeed: 50, mediumSpeedRatio: 0.6, highSpeedRatio: 0.35, mediumOccupancy: 20, highOccupancy: 40, mediumVolume: 700, highVolume: 1100 },
+  collector: { freeFlowSpeed: 40, mediumSpeedRatio: 0.6, highSpeedRatio: 0.35, mediumOccupancy: 20, highOccupancy: 40, mediumVolume: 500, highVolume: 800 },
+  local: { freeFlowSpeed: 30, mediumSpeedRatio: 0.5, highSpeedRatio: 0.3, mediumOccupancy: 25, highOccupancy: 45, mediumVolume: 300, highVolume: 500 }
+};
+
+if (process.env.CONGESTION_THRESHOLDS) {
+  try {
+    const configured = JSON.parse(process.env.CONGESTION_THRESHOLDS);
+    ROAD_CLASSES.forEach(roadClass => {
+      Object.assign(ROAD_CLASS_THRESHOLDS[roadClass], configured[roadClass] || {});
+    });
+  } catch (error) {
+    console.error('Invalid CONGESTION_THRESHOLDS, using defaults:', error.message);
+  }
+}
+
+const isSet = (value) => value !== undefined && value !== null;
+
+// Level a device reported, in the server's vocabulary; null when unrecognized
+const normalizeLevel = (level) => {
+  if (typeof level !== 'string') return null;
+
+  switch (level.trim().toLowerCase()) {
+    case 'low':
+    case 'light':
+      return 'Low';
+    case 'medium':
+    case 'moderate':
+      return 'Medium';
+    case 'high':
+    case 'heavy':
+    case 'severe':
+      return 'High';
+    case 'unknown':
+      return 'Unknown';
+    default:
+      return null;
+  }
+};
+
+// Worst known level of a list, Unknown when there is none
+const worstLevel = (levels) => levels.reduce(
+  (worst, level) => ((CONGESTION_RANK[level] || 0) > (CONGESTION_RANK[worst] || 0) ? level : worst),
+  'Unknown'
+);
+
+// Level of an average rank (1 Low to 3 High), e.g. over many reports
+const levelFromScore = (score) => {
+  if (score === null || score === undefined) return 'Unknown';
+  return score < 1.5 ? 'Low' : score < 2.5 ? 'Medium' : 'High';
+};
+
+// Road class defaults overlaid with the camera's own thresholds
+const getCongestionThresholds = (camera) => {
+  const settings = (camera && camera.settings) || {};
+  const roadClass = ROAD_CLASSES.includes(settings.roadClass) ? settings.roadClass : DEFAULT_ROAD_CLASS;
+  const configured = settings.congestionThresholds || {};
+  const thresholds = { ...ROAD_CLASS_THRESHOLDS[roadClass] };
+
+  THRESHOLD_FIELDS.forEach(field => {
+    if (isSet(configured[field])) thresholds[field] = configured[field];
+  });
+
+  return { roadClass, ...thresholds };
+};
+
+/**
+ * Classify a camera report ({ vehicleCount, averageSpeed, occupancy,
+ * congestionLevel }). Returns the level, the indicators that reached it
+ * (speed, occupancy, volume or device) and the indicator values.
+ */
+const classifyCongestion = (metrics, thresholds, lanes = 1) => {
+  const indicators = {};
+  const levels = {};
+  const hasVehicles = !isSet(metrics.vehicleCount) || metrics.vehicleCount > 0;
+
+  // Speed says nothing about an empty road
+  if (typeof metrics.averageSpeed === 'number' && hasVehicles && thresholds.freeFlowSpeed > 0) {
+    indicators.speedRatio = Number((metrics.averageSpeed / thresholds.freeFlowSpeed).toFixed(2));
+    levels.speed = indicators.speedRatio <= thresholds.highSpeedRatio ? 'High'
+      : indicators.speedRatio <= thresholds.mediumSpeedRatio ? 'Medium' : 'Low';
+  }
+
+  if (typeof metrics.occupancy === 'number') {
+    indicators.occupancy = metrics.occupancy;
+    levels.occupancy = metrics.occupancy >= thresholds.highOccupancy ? 'High'
+      : metrics.occupancy >= thresholds.mediumOccupancy ? 'Medium' : 'Low';
+  }
+
+  if (typeof metrics.vehicleCount === 'number') {
+    indicators.volumePerLane = Math.round((metrics.vehicleCount * 3600) / COUNT_WINDOW / Math.max(lanes, 1));
+    levels.volume = indicators.volumePerLane >= thresholds.highVolume ? 'High'
+      : indicators.volumePerLane >= thresholds.mediumVolume ? 'Medium' : 'Low';
+  }
+
+  if (Object.keys(levels).length === 0) {
+    const reported = normalizeLevel(metrics.congestionLevel);
+    return reported && reported !== 'Unknown'
+      ? { level: reported, basis: ['device'], indicators }
+      : { level: 'Unknown', basis: [], indicators };
+  }
+
+  const level = worstLevel(Object.values(levels));
+  return {
+    level,
+    basis: Object.keys(levels).filter(indicator => levels[indicator] === level),
+    indicators
+  };
+};
+
+/**
+ * Validate settings.roadClass and settings.congestionThresholds before they
+ * are saved. Returns a list of { path, msg } errors, empty when they are valid.
+ */
+const validateCongestionSettings = (settings) => {
+  const { roadClass, congestionThresholds } = settings || {};
+  const errors = [];
+
+  if (isSet(roadClass) && !ROAD_CLASSES.includes(roadClass)) {
+    errors.push({ path: 'settings.roadClass', msg: `Road class must be one of ${ROAD_CLASSES.join(', ')}` });
+  }
+  if (!isSet(congestionThresholds)) return errors;
+
+  THRESHOLD_FIELDS.forEach(field => {
+    const value = congestionThresholds[field];
+    if (isSet(value) && (typeof value !== 'number' || !(value > 0))) {
+      errors.push({ path: `settings.congestionThresholds.${field}`, msg: 'Threshold must be a positive number' });
+    }
+  });
+
+  // Compare with the road class defaults where only one side is overridden
+  const thresholds = getCongestionThresholds({ settings: { roadClass, congestionThresholds } });
+  if (thresholds.mediumSpeedRatio > 1) {
+    errors.push({ path: 'settings.congestionThresholds.mediumSpeedRatio', msg: 'Speed ratio must be at most 1' });
+  }
+  if (thresholds.highSpeedRatio >= thresholds.mediumSpeedRatio) {
+    errors.push({ path: 'settings.congestionThresholds.highSpeedRatio', msg: 'High speed ratio must be below the medium one' });
+  }
+  if (thresholds.highOccupancy <= thresholds.mediumOccupancy) {
+    errors.push({ path: 'settings.congestionThresholds.highOccupancy', msg: 'High occupancy must be above the medium one' });
+  }
+  if (thresholds.highVolume <= thresholds.mediumVolume) {
+    errors.push({ path: 'settings.congestionThresholds.highVolume', msg: 'High volume must be above the medium one' });
+  }
+
+  return errors;
+};
+
+module.exports = {
+  CONGESTION_LEVELS,
+  CONGESTION_RANK,
+  ROAD_CLASSES,
+  normalizeLevel,
+  worstLevel,
+  levelFromScore,
+  getCongestionThresholds,
+  classifyCongestion,
+  validateCongestionSettings
+};
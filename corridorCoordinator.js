@@ -0,0 +1,224 @@
+// services/corridorCoordinator.js
+// Green-wave coordination: gives the signals of a corridor a common cycle and
+// offsets matching the travel time at the design speed, then keeps the
+// reported green starts aligned with those offsets.
+const Corridor = require('../models/Corridor');
+const Signal = require('../models/Signal');
+const { parsePhase, getPhasePlan } = require('../utils/phases');
+const { sendCommand } = require('./deviceCommands');
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const mod = (value, cycle) => ((value % cycle) + cycle) % cycle;
+
+// Wrap an offset difference into (-cycle/2, cycle/2]
+const wrapError = (value, cycle) => {
+  const wrapped = mod(value, cycle);
+  return wrapped > cycle / 2 ? wrapped - cycle : wrapped;
+};
+
+// Stretch or shrink the green phases of a plan so the cycle sums to `cycle`
+const scalePlanToCycle = (plan, cycle) => {
+  const greens = plan.filter(phase => parsePhase(phase.name).indication === 'Green');
+  const lostTime = plan
+    .filter(phase => !greens.includes(phase))
+    .reduce((sum, phase) => sum + phase.duration, 0);
+  const greenTotal = greens.reduce((sum, phase) => sum + phase.duration, 0);
+  const available = Math.max(cycle - lostTime, greens.length);
+
+  const scaled = plan.map(phase => (greens.includes(phase)
+    ? { name: phase.name, duration: Math.max(1, Math.round(available * phase.duration / (greenTotal || greens.length))) }
+    : { ...phase }));
+
+  // Give rounding leftovers to the first green so the cycle is exact
+  const total = scaled.reduce((sum, phase) => sum + phase.duration, 0);
+  const first = scaled.find(phase => parsePhase(phase.name).indication === 'Green');
+  if (first) first.duration += cycle - total;
+
+  return scaled;
+};
+
+/**
+ * Longest contiguous period (seconds) in which a vehicle leaving the first
+ * signal at the design speed meets green everywhere. Each entry gives the
+ * offset of its coordinated green, its green time and its travel time.
+ */
+const computeBandwidth = (entries, cycle) => {
+  if (entries.length === 0 || !cycle) return 0;
+
+  const steps = Math.round(cycle);
+  const covered = [];
+
+  for (let t = 0; t < steps; t++) {
+    covered.push(entries.every(entry => mod(t - (entry.offset - entry.travelTime), cycle) < entry.greenTime));
+  }
+
+  if (covered.every(Boolean)) return steps;
+
+  // Longest run, allowing it to wrap around the end of the cycle
+  let best = 0;
+  let run = 0;
+  for (let i = 0; i < steps * 2; i++) {
+    run = covered[i % steps] ? run + 1 : 0;
+    best = Math.max(best, Math.min(run, steps));
+  }
+
+  return best;
+};
+
+/**
+ * Compute the common cycle, offsets and design bandwidth of a corridor.
+ * `signals` holds the Signal documents in the corridor's order.
+ */
+const computeCorridorTiming = (corridor, signals) => {
+  const speed = corridor.designSpeed / 3.6;
+  const plans = signals.map(signal => getPhasePlan(signal));
+  const cycle = corridor.cycleLength
+    || Math.max(...plans.map(plan => plan.reduce((sum, phase) => sum + phase.duration, 0)));
+
+  let cumulative = 0;
+  const entries = corridor.signals.map((entry, i) => {
+    cumulative += entry.distance || 0;
+
+    const phases = scalePlanToCycle(plans[i], cycle);
+    const coordinatedPhase = entry.coordinatedPhase
+      || (phases.find(phase => parsePhase(phase.name).indication === 'Green') || {}).name;
+    const green = phases.find(phase => phase.name === coordinatedPhase);
+    const travelTime = cumulative / speed;
+
+    return {
+      signal: signals[i]._id,
+      distance: entry.distance || 0,
+      coordinatedPhase,
+      travelTime: Number(travelTime.toFixed(1)),
+      offset: Number(mod(travelTime, cycle).toFixed(1)),
+      greenTime: green ? green.duration : 0,
+      phases
+    };
+  });
+
+  return {
+    cycleLength: cycle,
+    signals: entries,
+    bandwidth: computeBandwidth(entries, cycle)
+  };
+};
+
+// Recompute a corridor's timing, persist it and send it to its signals
+async function applyCorridorTiming(corridor, io) {
+  const ids = corridor.signals.map(entry => entry.signal);
+  const found = await Signal.find({ _id: { $in: ids } });
+  const signals = ids.map(id => found.find(signal => signal._id.equals(id)));
+
+  if (signals.some(signal => !signal)) {
+    throw httpError(404, 'Corridor references a signal that does not exist');
+  }
+
+  const timing = computeCorridorTiming(corridor, signals);
+
+  corridor.commonCycle = timing.cycleLength;
+  corridor.referenceTime = corridor.referenceTime || new Date();
+  corridor.signals = timing.signals.map(({ phases, ...entry }) => entry);
+  corridor.bandwidth = {
+    design: timing.bandwidth,
+    achieved: null,
+    efficiency: null,
+    updatedAt: new Date()
+  };
+
+  await corridor.save();
+
+  if (corridor.enabled) {
+    for (const entry of timing.signals) {
+      await sendCommand(io, {
+        deviceType: 'signal',
+        device: entry.signal,
+        event: 'controlCommand',
+        payload: {
+          corridor: corridor._id,
+          cycleLength: timing.cycleLength,
+          referenceTime: corridor.referenceTime,
+          coordinatedPhase: entry.coordinatedPhase,
+          offset: entry.offset,
+          phases: entry.phases
+        }
+      });
+    }
+  }
+
+  io.to('admin').emit('corridorUpdate', corridor);
+
+  return corridor;
+}
+
+function createCorridorCoordinator(io) {
+  // Called when a signal reports a new phase; phaseStartedAt is its start
+  async function handlePhaseChange(signal) {
+    try {
+      const corridors = await Corridor.find({ enabled: true, 'signals.signal': signal._id });
+
+      for (const corridor of corridors) {
+        const entry = corridor.signals.find(item => item.signal.equals(signal._id));
+        if (!entry || entry.coordinatedPhase !== signal.currentPhase || !corridor.commonCycle) continue;
+
+        const cycle = corridor.commonCycle;
+        const elapsed = (new Date(signal.phaseStartedAt) - corridor.referenceTime) / 1000;
+
+        entry.lastGreenStart = signal.phaseStartedAt;
+        entry.actualOffset = Math.round(mod(elapsed, cycle));
+        entry.offsetError = Math.round(wrapError(entry.actualOffset - entry.offset, cycle));
+
+        // Signals that have not reported yet are assumed to run to plan
+        const achieved = computeBandwidth(corridor.signals.map(item => ({
+          offset: item.actualOffset !== undefined && item.actualOffset !== null ? item.actualOffset : item.offset,
+          greenTime: item.greenTime,
+          travelTime: item.travelTime
+        })), cycle);
+
+        corridor.bandwidth = {
+          design: corridor.bandwidth && corridor.bandwidth.design,
+          achieved,
+          efficiency: Number((achieved / cycle).toFixed(3)),
+          updatedAt: new Date()
+        };
+
+        await corridor.save();
+
+        if (Math.abs(entry.offsetError) > corridor.tolerance) {
+          await sendCommand(io, {
+            deviceType: 'signal',
+            device: signal._id,
+            event: 'controlCommand',
+            payload: {
+              corridor: corridor._id,
+              cycleLength: cycle,
+              offset: entry.offset,
+              correction: -entry.offsetError
+            }
+          });
+        }
+
+        io.to('admin').emit('corridorUpdate', corridor);
+      }
+    } catch (error) {
+      console.error('Corridor coordination error:', error);
+    }
+  }
+
+  return {
+    handlePhaseChange,
+    apply: (corridor) => applyCorridorTiming(corridor, io)
+  };
+}
+
+module.exports = {
+  computeBandwidth,
+  computeCorridorTiming,
+  scalePlanToCycle,
+  applyCorridorTiming,
+  createCorridorCoordinator
+};
@@ -0,0 +1,161 @@
+// routes/corridors.js
+const express = require('express');
+const router = express.Router();
+const Corridor = require('../models/Corridor');
+const { authenticateToken, isOperator } = require('../middleware/auth');
+const { applyCorridorTiming } = require('../services/corridorCoordinator');
+
+// Check the corridor definition supplied by the client
+const validateCorridor = ({ designSpeed, signals, cycleLength }) => {
+  if (!(designSpeed > 0)) return 'Design speed must be a positive number (km/h)';
+  if (!Array.isArray(signals) || signals.length < 2) return 'A corridor needs at least two signals';
+  if (signals.some(entry => !entry.signal)) return 'Every corridor entry needs a signal id';
+  if (signals.some(entry => entry.distance !== undefined && !(entry.distance >= 0))) {
+    return 'Distances must be non-negative numbers of metres';
+  }
+  if (cycleLength !== undefined && cycleLength !== null && !(cycleLength > 0)) {
+    return 'Cycle length must be a positive number of seconds';
+  }
+  return null;
+};
+
+// Get all corridors
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const corridors = await Corridor.find().populate('signals.signal', 'name location');
+    res.json(corridors);
+  } catch (err) {
+    console.error('Get corridors error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get single corridor
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const corridor = await Corridor.findById(req.params.id).populate('signals.signal', 'name location');
+    if (!corridor) {
+      return res.status(404).json({ message: 'Corridor not found' });
+    }
+    res.json(corridor);
+  } catch (err) {
+    console.error('Get corridor error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get design and achieved bandwidth of a corridor
+router.get('/:id/bandwidth', authenticateToken, async (req, res) => {
+  try {
+    const corridor = await Corridor.findById(req.params.id);
+    if (!corridor) {
+      return res.status(404).json({ message: 'Corridor not found' });
+    }
+
+    res.json({
+      id: corridor._id,
+      cycleLength: corridor.commonCycle,
+      bandwidth: corridor.bandwidth,
+      signals: corridor.signals.map(entry => ({
+        signal: entry.signal,
+        offset: entry.offset,
+        actualOffset: entry.actualOffset,
+        offsetError: entry.offsetError
+      }))
+    });
+  } catch (err) {
+    console.error('Get corridor bandwidth error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create new corridor
+router.post('/', authenticateToken, isOperator, async (req, res) => {
+  try {
+    const { name, designSpeed, cycleLength, tolerance, signals } = req.body;
+
+    const error = validateCorridor(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const corridor = new Corridor({
+      name,
+      designSpeed,
+      cycleLength,
+      tolerance,
+      signals: signals.map(({ signal, distance, coordinatedPhase }) => ({ signal, distance, coordinatedPhase }))
+    });
+
+    await applyCorridorTiming(corridor, req.app.get('io'));
+
+    res.status(201).json(corridor);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Create corridor error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update corridor and recompute its offsets
+router.put('/:id', authenticateToken, isOperator, async (req, res) => {
+  try {
+    const { name, designSpeed, cycleLength, tolerance, enabled, signals } = req.body;
+
+    const corridor = await Corridor.findById(req.params.id);
+    if (!corridor) {
+      return res.status(404).json({ message: 'Corridor not found' });
+    }
+
+    const error = validateCorridor({
+      designSpeed: designSpeed !== undefined ? designSpeed : corridor.designSpeed,
+      signals: signals || corridor.signals,
+      cycleLength
+    });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    if (name) corridor.name = name;
+    if (designSpeed !== undefined) corridor.designSpeed = designSpeed;
+    if (cycleLength !== undefined) corridor.cycleLength = cycleLength;
+    if (tolerance !== undefined) corridor.tolerance = tolerance;
+    if (enabled !== undefined) corridor.enabled = enabled;
+    if (signals) {
+      corridor.signals = signals.map(({ signal, distance, coordinatedPhase }) => ({ signal, distance, coordinatedPhase }));
+    }
+
+    await applyCorridorTiming(corridor, req.app.get('io'));
+
+    res.json(corridor);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Update corridor error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete corridor
+router.delete('/:id', authenticateToken, isOperator, async (req, res) => {
+  try {
+    const corridor = await Corridor.findByIdAndDelete(req.params.id);
+
+    if (!corridor) {
+      return res.status(404).json({ message: 'Corridor not found' });
+    }
+
+    // Notify connected clients
+    req.app.get('io').to('admin').emit('corridorDeleted', { id: req.params.id });
+
+    res.json({ message: 'Corridor deleted successfully' });
+  } catch (err) {
+    console.error('Delete corridor error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,79 @@
+// utils/csv.js
+// Minimal RFC 4180 CSV reading and writing: quoted fields may contain
+// commas, quotes (doubled) and line breaks.
+
+// Parse CSV text into an array of rows (arrays of strings)
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = String(text || '').replace(/^﻿/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines carry no data
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+// Parse CSV with a header line into objects keyed by column name
+const parseCsvObjects = (text) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+
+  const columns = header.map(column => column.trim());
+  return rows.map(cells => {
+    const record = {};
+    columns.forEach((column, index) => {
+      record[column] = cells[index] !== undefined ? cells[index] : '';
+    });
+    return record;
+  });
+};
+
+const escapeCsv = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV line from a list of values, without the line break
+const toCsvLine = (values) => values.map(escapeCsv).join(',');
+
+module.exports = {
+  parseCsv,
+  parseCsvObjects,
+  escapeCsv,
+  toCsvLine
+};
@@ -4,6 +4,11 @@ const jwt = require('jsonwebtoken');
 const Camera = require('../models/Camera');
 const Signal = require('../models/Signal');
 const Analytics = require('../models/Analytics');
+const Incident = require('../models/Incident');
+const Alert = require('../models/Alert');
+const { rollupSeries } = require('../services/analyticsRollups');
+const { latestForecasts } = require('../services/trafficForecast');
+const { CONGESTION_RANK, levelFromScore } = require('../utils/congestion');
 
 // Middleware to verify JWT token
 const verifyToken = (req, res, next) => {
@@ -37,7 +42,7 @@ router.get('/overview', verifyToken, async (req, res) => {
       .limit(1);
     
     // Current congestion level calculation (from most recent analytics)
-    let congestionLevel = 'Low';
+    let congestionLevel = 'Unknown';
     if (recentAnalytics.length > 0) {
       const latestRecord = recentAnalytics[0];
       congestionLevel = latestRecord.congestionLevel;
@@ -79,43 +84,16 @@ router.get('/overview', verifyToken, async (req, res) => {
       timestamp: signal.lastSeen
     }));
     
-    // Get 24-hour traffic trend
-    const last24Hours = new Date(Date.now() - 24 * 60 * 60 * 1000);
-    const hourlyTraffic = await Analytics.aggregate([
-      {
-        $match: {
-          timestamp: { $gte: last24Hours }
-        }
-      },
-      {
-        $group: {
-          _id: {
-            hour: { $hour: '$timestamp' },
-            day: { $dayOfMonth: '$timestamp' },
-            month: { $month: '$timestamp' },
-            year: { $year: '$timestamp' }
-          },
-          averageTrafficVolume: { $avg: '$trafficVolume' },
-          averageCongestion: { $avg: { $cond: [
-            { $eq: ['$congestionLevel', 'High'] }, 
-            3, 
-            { $cond: [
-              { $eq: ['$congestionLevel', 'Moderate'] }, 
-              2, 
-              1
-            ]}
-          ]}}
-        }
-      },
-      {
-        $sort: {
-          '_id.year': 1,
-          '_id.month': 1,
-          '_id.day': 1,
-          '_id.hour': 1
-        }
-      }
-    ]);
+    // Get 24-hour traffic trend from the hourly rollups
+    const now = new Date();
+    const hourlyTraffic = await rollupSeries({
+      interval: '1h',
+      from: new Date(now.getTime() - 24 * 60 * 60 * 1000),
+      to: now
+    });
+    
+    // Latest volume and congestion forecasts per junction
+    const forecasts = await latestForecasts();
     
     // Get performance metrics
     const systemUptime = process.uptime(); // Server uptime in seconds
@@ -134,10 +112,22 @@ router.get('/overview', verifyToken, async (req, res) => {
       events: {
         recent: [...cameraEvents, ...signalEvents].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp)).slice(0, 10)
       },
-      trafficTrend: hourlyTraffic.map(hour => ({
-        time: `${hour._id.hour}:00`,
-        trafficVolume: Math.round(hour.averageTrafficVolume),
-        congestionLevel: hour.averageCongestion < 1.5 ? 'Low' : hour.averageCongestion < 2.5 ? 'Moderate' : 'High'
+      trafficTrend: hourlyTraffic.map(hour => {
+        // Reports without a known level do not count towards the average
+        const levels = hour.congestionLevels;
+        const known = levels.Low + levels.Medium + levels.High;
+        return {
+          time: `${hour.timestamp.getUTCHours()}:00`,
+          trafficVolume: Math.round(hour.averageTrafficVolume),
+          congestionLevel: levelFromScore(known > 0 ? (levels.High * 3 + levels.Medium * 2 + levels.Low) / known : null)
+        };
+      }),
+      forecasts: forecasts.map(forecast => ({
+        junction: forecast.junction,
+        name: forecast.junctionName,
+        location: forecast.location,
+        issuedAt: forecast.issuedAt,
+        horizons: forecast.horizons
       })),
       performance: {
         uptime: systemUptime,
@@ -157,8 +147,7 @@ router.get('/overview', verifyToken, async (req, res) => {
 router.get('/hotspots', verifyToken, async (req, res) => {
   try {
     const cameras = await Camera.find()
-      .select('location coordinates metrics status')
-      .sort({ 'metrics.congestionLevel': -1 });
+      .select('location coordinates metrics status latestSnapshot');
     
     const signals = await Signal.find()
       .select('location coordinates currentPhase metrics status')
@@ -168,12 +157,12 @@ router.get('/hotspots', verifyToken, async (req, res) => {
     const hotspots = cameras
       .filter(camera => camera.coordinates && camera.metrics)
       .map(camera => {
-        let congestionLevel = 'Low';
+        let congestionLevel = 'Unknown';
         let trafficVolume = 0;
         
         if (camera.metrics) {
           trafficVolume = camera.metrics.vehicleCount || 0;
-          congestionLevel = camera.metrics.congestionLevel || 'Low';
+          congestionLevel = camera.metrics.congestionLevel || 'Unknown';
         }
         
         return {
@@ -183,9 +172,12 @@ router.get('/hotspots', verifyToken, async (req, res) => {
           coordinates: camera.coordinates,
           congestionLevel: congestionLevel,
           trafficVolume: trafficVolume,
-          status: camera.status
+          status: camera.status,
+          snapshot: camera.latestSnapshot && camera.latestSnapshot.url ? camera.latestSnapshot : null
         };
-      });
+      })
+      // Most congested first
+      .sort((a, b) => (CONGESTION_RANK[b.congestionLevel] || 0) - (CONGESTION_RANK[a.congestionLevel] || 0));
     
     // Process signals to include in the response
     const trafficSignals = signals
@@ -198,6 +190,8 @@ router.get('/hotspots', verifyToken, async (req, res) => {
           coordinates: signal.coordinates,
           currentPhase: signal.currentPhase || 'Unknown',
           waitTime: signal.metrics?.waitTime || 0,
+          levelOfService: signal.metrics?.levelOfService || null,
+          queueLength: signal.metrics?.queueLength || 0,
           status: signal.status
         };
       });
@@ -220,14 +214,80 @@ router.get('/alert-zones', verifyToken, async (req, res) => {
       'metrics.congestionLevel': 'High'
     }).select('location coordinates metrics');
     
-    // Get signals with long wait times
+    // Get signals whose estimated delay is at level of service E or F,
+    // ignoring estimates that have gone stale
     const longWaitSignals = await Signal.find({
-      'metrics.waitTime': { $gt: 120 } // Wait time greater than 120 seconds
+      'metrics.levelOfService': { $in: ['E', 'F'] },
+      'metrics.updatedAt': { $gte: new Date(Date.now() - 10 * 60 * 1000) }
     }).select('location coordinates metrics');
     
+    // Get detected and confirmed incidents
+    const incidents = await Incident.find({
+      status: { $in: ['detected', 'confirmed'] }
+    }).select('type severity status location coordinates message camera detectedAt');
+    
+    // Get open volume anomalies; junction anomalies sit at their signal
+    const anomalies = await Alert.find({
+      type: 'trafficAnomaly',
+      status: { $ne: 'resolved' }
+    }).select('severity source message details lastOccurredAt');
+    
+    const anomalyCameras = await Camera.find({
+      _id: { $in: anomalies.filter(alert => alert.source.type === 'camera').map(alert => alert.source.id) }
+    }).select('location coordinates');
+    const anomalySignals = await Signal.find({
+      _id: { $in: anomalies.filter(alert => alert.source.type === 'junction').map(alert => alert.source.id) }
+    }).select('location coordinates');
+    const anomalyPlaces = new Map([...anomalyCameras, ...anomalySignals].map(device => [device._id.toString(), device]));
+    
     // Process to create alert zones
     const alertZones = [];
     
+    // Add incident alerts
+    incidents.forEach(incident => {
+      if (incident.coordinates && incident.coordinates.lat !== undefined) {
+        alertZones.push({
+          id: `zone-incident-${incident._id}`,
+          type: 'incident',
+          incidentType: incident.type,
+          severity: incident.severity,
+          status: incident.status,
+          location: incident.location || 'Unknown',
+          coordinates: incident.coordinates,
+          radius: 300, // meters
+          message: incident.message,
+          detectedAt: incident.detectedAt,
+          source: {
+            type: 'camera',
+            id: incident.camera
+          }
+        });
+      }
+    });
+    
+    // Add volume anomaly alerts
+    anomalies.forEach(alert => {
+      const place = alert.source.id && anomalyPlaces.get(alert.source.id.toString());
+      if (place && place.coordinates) {
+        alertZones.push({
+          id: `zone-anomaly-${alert._id}`,
+          type: 'anomaly',
+          severity: alert.severity,
+          location: place.location || 'Unknown',
+          coordinates: place.coordinates,
+          radius: alert.source.type === 'junction' ? 200 : 300, // meters
+          message: alert.message,
+          expected: alert.details && alert.details.expected,
+          observed: alert.details && alert.details.observed,
+          detectedAt: alert.lastOccurredAt,
+          source: {
+            type: alert.source.type,
+            id: alert.source.id
+          }
+        });
+      }
+    });
+    
     // Add camera-based alerts
     highCongestionCameras.forEach(camera => {
       if (camera.coordinates) {
@@ -253,11 +313,14 @@ router.get('/alert-zones', verifyToken, async (req, res) => {
         alertZones.push({
           id: `zone-signal-${signal._id}`,
           type: 'waiting',
-          severity: signal.metrics.waitTime > 180 ? 'high' : 'medium',
+          severity: signal.metrics.levelOfService === 'F' ? 'high' : 'medium',
           location: signal.location || 'Unknown',
           coordinates: signal.coordinates,
           radius: 200, // meters
           waitTime: signal.metrics.waitTime,
+          levelOfService: signal.metrics.levelOfService,
+          queueLength: signal.metrics.queueLength,
+          approaches: signal.metrics.approaches,
           source: {
             type: 'signal',
             id: signal._id
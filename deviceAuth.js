@@ -0,0 +1,16 @@
+// middleware/deviceAuth.js
+const { authenticateToken, isOperator } = require('./auth');
+
+// Devices call HTTP endpoints with the shared device key; anyone else needs an operator token
+const authenticateDevice = (req, res, next) => {
+  const key = req.get('x-device-key');
+  if (key && process.env.DEVICE_API_KEY && key === process.env.DEVICE_API_KEY) {
+    req.device = true;
+    return next();
+  }
+  return authenticateToken(req, res, () => isOperator(req, res, next));
+};
+
+module.exports = {
+  authenticateDevice
+};
@@ -0,0 +1,223 @@
+// services/deviceCommands.js
+// Reliable delivery of configUpdate/controlCommand to devices. Every command
+// is persisted with an id and must be acknowledged by the device with
+// 'commandAck'; unacknowledged commands are retried, and commands for
+// offline devices wait until the device connects. A device has at most one
+// command in flight per lane: the next is only sent once the previous one has
+// been acknowledged or given up on, so commands are applied in the order
+// issued. Time-critical controlCommands have a lane of their own, so they
+// neither queue nor wait behind configuration and other slower commands.
+const DeviceCommand = require('../models/DeviceCommand');
+
+const config = {
+  intervalMs: Number(process.env.DEVICE_COMMAND_SWEEP_MS) || 5000,
+  ackTimeoutMs: Number(process.env.DEVICE_COMMAND_ACK_TIMEOUT_MS) || 10000,
+  maxAttempts: Number(process.env.DEVICE_COMMAND_MAX_ATTEMPTS) || 3
+};
+
+// How long a command stays deliverable; a stale phase change must not run later
+const TTL_MS = {
+  controlCommand: Number(process.env.CONTROL_COMMAND_TTL_MS) || 2 * 60 * 1000,
+  default: Number(process.env.DEVICE_COMMAND_TTL_MS) || 24 * 60 * 60 * 1000
+};
+
+// Events of the time-critical lane (phase changes, preemption, flash)
+const URGENT_EVENTS = ['controlCommand'];
+
+// Lanes in the order they are served
+const LANES = ['urgent', 'normal'];
+
+const laneOf = (command) => (URGENT_EVENTS.includes(command.event) ? 'urgent' : 'normal');
+
+const roomOf = (command) => `${command.deviceType}-${command.device}`;
+
+const isConnected = (io, room) => {
+  const members = io.sockets.adapter.rooms.get(room);
+  return Boolean(members && members.size > 0);
+};
+
+const notify = (io, command) => {
+  io.to('admin').emit('commandUpdate', command);
+};
+
+async function transmit(io, command) {
+  const sent = await DeviceCommand.findOneAndUpdate(
+    { _id: command._id, status: { $in: ['pending', 'sent'] } },
+    { $set: { status: 'sent', lastSentAt: new Date() }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!sent) return null;
+
+  const payload = sent.payload && typeof sent.payload === 'object' && !Array.isArray(sent.payload)
+    ? { ...sent.payload, commandId: sent._id }
+    : { value: sent.payload, commandId: sent._id };
+
+  io.to(roomOf(sent)).emit(sent.event, payload);
+  notify(io, sent);
+
+  return sent;
+}
+
+/**
+ * Persist a command for a device and send it right away if the device is
+ * connected. Returns the stored command.
+ */
+async function sendCommand(io, { deviceType, device, event, payload, issuedBy }) {
+  const command = await DeviceCommand.create({
+    deviceType,
+    device,
+    event,
+    // Stored as it goes over the wire (ids and dates as strings)
+    payload: payload === undefined ? null : JSON.parse(JSON.stringify(payload)),
+    issuedBy,
+    maxAttempts: config.maxAttempts,
+    expiresAt: new Date(Date.now() + (TTL_MS[event] || TTL_MS.default))
+  });
+
+  // Goes out now only if nothing older in its lane is still unacknowledged
+  const sent = (await deliverNext(io, deviceType, device)).find(other => other._id.equals(command._id));
+  if (sent) return sent;
+
+  notify(io, command);
+  return command;
+}
+
+/**
+ * Send the oldest unacknowledged command of each lane of a connected device.
+ * One that is already in flight is left to its acknowledgement or the retry
+ * sweep, unless `resend` is set (the device reconnected and may have missed
+ * it). Returns the commands sent.
+ */
+async function deliverNext(io, deviceType, device, { resend = false } = {}) {
+  if (!isConnected(io, `${deviceType}-${device}`)) return [];
+
+  let queued = await DeviceCommand.find({ deviceType, device, status: { $in: ['pending', 'sent'] } })
+    .sort({ createdAt: 1 });
+
+  const now = new Date();
+  for (const command of queued.filter(other => other.expiresAt && other.expiresAt < now)) {
+    await failCommand(io, command, 'Expired before it could be delivered');
+  }
+  queued = queued.filter(command => !(command.expiresAt && command.expiresAt < now));
+
+  const sent = [];
+  for (const lane of LANES) {
+    const next = queued.find(command => laneOf(command) === lane);
+    if (!next || (next.status === 'sent' && !resend)) continue;
+
+    const transmitted = await transmit(io, next);
+    if (transmitted) sent.push(transmitted);
+  }
+
+  return sent;
+}
+
+// A device connected: resend what it has not acknowledged, oldest first in each lane
+const deliverPending = (io, deviceType, device) => deliverNext(io, deviceType, device, { resend: true });
+
+async function failCommand(io, command, error) {
+  const failed = await DeviceCommand.findOneAndUpdate(
+    { _id: command._id, status: { $in: ['pending', 'sent'] } },
+    { $set: { status: 'failed', error } },
+    { new: true }
+  );
+  if (failed) notify(io, failed);
+  return failed;
+}
+
+// Withdraw a command the device has not received yet
+async function cancelCommand(io, commandId, reason) {
+  const cancelled = await DeviceCommand.findOneAndUpdate(
+    { _id: commandId, status: 'pending' },
+    { $set: { status: 'failed', error: reason || 'Cancelled' } },
+    { new: true }
+  );
+  if (cancelled) {
+    notify(io, cancelled);
+    await deliverNext(io, cancelled.deviceType, cancelled.device);
+  }
+  return cancelled;
+}
+
+// A device reports the outcome of a command
+async function acknowledge(io, deviceType, device, { commandId, status, error }) {
+  const applied = status !== 'failed';
+  const command = await DeviceCommand.findOneAndUpdate(
+    { _id: commandId, deviceType, device, status: { $in: ['pending', 'sent'] } },
+    {
+      $set: {
+        status: applied ? 'applied' : 'failed',
+        acknowledgedAt: new Date(),
+        error: applied ? undefined : (error || 'Rejected by device')
+      }
+    },
+    { new: true }
+  );
+
+  if (command) {
+    notify(io, command);
+    await deliverNext(io, deviceType, device);
+  }
+  return command;
+}
+
+function createCommandDispatcher(io) {
+  let timer = null;
+
+  // Retry unacknowledged commands and give up on ones out of attempts or time
+  async function sweep() {
+    try {
+      const now = new Date();
+
+      const expired = await DeviceCommand.find({ status: { $in: ['pending', 'sent'] }, expiresAt: { $lt: now } });
+      for (const command of expired) {
+        await failCommand(io, command, 'Expired without acknowledgement');
+        await deliverNext(io, command.deviceType, command.device);
+      }
+
+      const overdue = await DeviceCommand.find({
+        status: 'sent',
+        lastSentAt: { $lt: new Date(now.getTime() - config.ackTimeoutMs) }
+      }).sort({ createdAt: 1 });
+
+      for (const command of overdue) {
+        if (command.attempts >= command.maxAttempts) {
+          await failCommand(io, command, `No acknowledgement after ${command.attempts} attempts`);
+          await deliverNext(io, command.deviceType, command.device);
+        } else if (isConnected(io, roomOf(command))) {
+          await transmit(io, command);
+        } else {
+          // Device went away; queue it again for the next connection
+          await DeviceCommand.updateOne({ _id: command._id, status: 'sent' }, { $set: { status: 'pending' } });
+        }
+      }
+    } catch (error) {
+      console.error('Device command sweep error:', error);
+    }
+  }
+
+  function start() {
+    if (!timer) {
+      timer = setInterval(sweep, config.intervalMs);
+    }
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    start,
+    stop,
+    sweep
+  };
+}
+
+module.exports = {
+  sendCommand,
+  deliverPending,
+  cancelCommand,
+  acknowledge,
+  createCommandDispatcher
+};
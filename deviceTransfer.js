@@ -0,0 +1,328 @@
+// services/deviceTransfer.js
+// Bulk import and export of cameras and signals as CSV or GeoJSON. Rows are
+// matched on externalId; each is checked with the route validation rules
+// and the model schema, a row for an existing device together with the
+// fields it leaves as they are, and a dry run reports what would happen without
+// writing anything. Both formats carry coordinates and settings, so an
+// export can be imported again as is.
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const Camera = require('../models/Camera');
+const Signal = require('../models/Signal');
+const { cameraValidation, signalValidation } = require('../middleware/validation');
+const { parseCsvObjects, toCsvLine } = require('../utils/csv');
+const { validateSchedule } = require('../utils/schedule');
+const { validateRegions } = require('../utils/regions');
+const { validateCongestionSettings } = require('../utils/congestion');
+const { snapshot, recordRevision } = require('./settingsRevisions');
+const { sendCommand } = require('./deviceCommands');
+
+const DEVICES = {
+  camera: { Model: Camera, rules: cameraValidation },
+  signal: { Model: Signal, rules: signalValidation }
+};
+
+const COLUMNS = ['externalId', 'name', 'location', 'lat', 'lng', 'ipAddress', 'model', 'firmware'];
+
+// Fields a row may set; status, metrics and the like belong to the devices
+const IMPORTED_FIELDS = ['externalId', 'name', 'location', 'coordinates', 'ipAddress', 'model', 'firmware', 'settings'];
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// { settings: { a: 1 } } -> { 'settings.a': 1 }; arrays stay whole
+const flatten = (value, prefix) => {
+  if (!isObject(value)) return { [prefix]: value };
+  return Object.keys(value).reduce((flat, key) => ({ ...flat, ...flatten(value[key], `${prefix}.${key}`) }), {});
+};
+
+// $set paths for the fields of a row, so nested settings merge
+const toUpdate = (data) => Object.keys(data).reduce((update, key) => ({ ...update, ...flatten(data[key], key) }), {});
+
+const unflatten = (flat) => {
+  const nested = {};
+  Object.keys(flat).forEach(path => {
+    const keys = path.split('.');
+    let target = nested;
+    keys.slice(0, -1).forEach(key => {
+      if (!isObject(target[key])) target[key] = {};
+      target = target[key];
+    });
+    target[keys[keys.length - 1]] = flat[path];
+  });
+  return nested;
+};
+
+// CSV cells: empty means not given; lists and objects are written as JSON
+const parseCell = (value) => {
+  const text = value.trim();
+  if (text === '') return undefined;
+  if (/^[[{]/.test(text)) return JSON.parse(text);
+  return text;
+};
+
+// Import rows as { line, data } with data shaped like a request body
+const rowsFromCsv = (text) => parseCsvObjects(text).map((record, index) => {
+  const line = index + 2;
+  const flat = {};
+
+  try {
+    Object.keys(record).forEach(column => {
+      const value = parseCell(record[column]);
+      if (value !== undefined) flat[column] = value;
+    });
+  } catch (err) {
+    return { line, data: {}, errors: [{ field: null, msg: `Invalid JSON in a cell: ${err.message}` }] };
+  }
+
+  const { lat, lng, ...rest } = flat;
+  const data = unflatten(rest);
+  if (lat !== undefined || lng !== undefined) data.coordinates = { lat, lng };
+
+  return { line, data };
+});
+
+const rowsFromGeoJson = (geojson) => {
+  const collection = typeof geojson === 'string' ? JSON.parse(geojson) : geojson;
+  if (!collection || collection.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+    throw httpError(400, 'GeoJSON must be a FeatureCollection');
+  }
+
+  return collection.features.map((feature, index) => {
+    if (!isObject(feature)) {
+      return { line: index + 1, data: {}, errors: [{ field: null, msg: 'Feature must be an object' }] };
+    }
+
+    const data = { ...(isObject(feature.properties) ? feature.properties : {}) };
+    const geometry = feature.geometry;
+
+    if (geometry && geometry.type === 'Point' && Array.isArray(geometry.coordinates)) {
+      data.coordinates = { lng: geometry.coordinates[0], lat: geometry.coordinates[1] };
+    }
+
+    return { line: index + 1, data };
+  });
+};
+
+// Coordinates given in a row, as numbers
+const rowCoordinates = (coordinates) => Object.keys(coordinates)
+  .filter(key => coordinates[key] !== undefined)
+  .reduce((numbers, key) => ({ ...numbers, [key]: Number(coordinates[key]) }), {});
+
+/**
+ * Route validation rules plus the schema itself. A row for an existing
+ * device is checked as the device will be after the update, so it only
+ * needs the fields it changes.
+ */
+async function validateRow(type, data, existing = null) {
+  const { Model, rules } = DEVICES[type];
+  const errors = [];
+
+  if (typeof data.externalId !== 'string' && typeof data.externalId !== 'number') {
+    errors.push({ field: 'externalId', msg: 'External id is required' });
+  }
+
+  // Fields the row leaves out keep their stored values
+  const stored = existing ? existing.toObject() : null;
+  const device = stored ? { ...stored, ...data } : data;
+  if (stored && isObject(data.coordinates)) {
+    device.coordinates = { ...(stored.coordinates || {}), ...rowCoordinates(data.coordinates) };
+  } else if (stored && data.coordinates === undefined) {
+    device.coordinates = stored.coordinates;
+  }
+
+  const req = { body: device };
+  await Promise.all(rules.map(rule => rule.run(req)));
+  validationResult(req).array().forEach(error => {
+    errors.push({ field: error.path, msg: error.msg });
+  });
+
+  if (type === 'signal' && isObject(data.settings)) {
+    validateSchedule(data.settings.schedule).forEach(error => {
+      errors.push({ field: error.path, msg: error.msg });
+    });
+  }
+
+  if (type === 'camera' && isObject(data.settings)) {
+    [...validateRegions(data.settings), ...validateCongestionSettings(data.settings)].forEach(error => {
+      errors.push({ field: error.path, msg: error.msg });
+    });
+  }
+
+  const invalid = new Model(device).validateSync();
+  if (invalid) {
+    Object.values(invalid.errors).forEach(error => {
+      if (!errors.some(existing => existing.field === error.path)) {
+        errors.push({ field: error.path, msg: error.message });
+      }
+    });
+  }
+
+  return errors;
+}
+
+// Exported rows of devices without an externalId carry their _id instead
+const findExisting = (Model, externalId) => {
+  const filter = mongoose.isValidObjectId(externalId) && String(new mongoose.Types.ObjectId(externalId)) === externalId
+    ? { $or: [{ externalId }, { _id: externalId, externalId: { $exists: false } }] }
+    : { externalId };
+  return Model.findOne(filter);
+};
+
+/**
+ * Import rows of one device type. Returns a per-row summary; with dryRun
+ * nothing is written. Only the fields given in a row change on update.
+ */
+async function importDevices(io, type, rows, { dryRun = false, user } = {}) {
+  const { Model } = DEVICES[type];
+  const seen = new Set();
+  const results = [];
+
+  for (const row of rows) {
+    const result = { line: row.line, externalId: row.data.externalId, action: null, errors: row.errors || [] };
+    results.push(result);
+
+    const externalId = row.data.externalId !== undefined ? String(row.data.externalId) : undefined;
+    const existing = result.errors.length === 0 && externalId !== undefined ? await findExisting(Model, externalId) : null;
+
+    if (result.errors.length === 0) {
+      result.errors = await validateRow(type, row.data, existing);
+    }
+
+    if (externalId !== undefined && seen.has(externalId)) {
+      result.errors.push({ field: 'externalId', msg: `Duplicate external id ${externalId} in this file` });
+    }
+    if (externalId !== undefined) seen.add(externalId);
+
+    if (result.errors.length > 0) {
+      result.action = 'error';
+      continue;
+    }
+
+    const data = {};
+    IMPORTED_FIELDS.forEach(field => {
+      if (row.data[field] !== undefined) data[field] = row.data[field];
+    });
+    data.externalId = externalId;
+    if (isObject(data.coordinates)) data.coordinates = rowCoordinates(data.coordinates);
+
+    result.action = existing ? 'update' : 'create';
+    if (dryRun) continue;
+
+    try {
+      let device;
+      if (existing) {
+        device = await Model.findByIdAndUpdate(existing._id, { $set: toUpdate(data) }, { new: true, runValidators: true });
+
+        if (data.settings) {
+          await recordRevision({
+            deviceType: type,
+            device: device._id,
+            before: existing.settings,
+            after: device.settings,
+            user,
+            message: 'Bulk import'
+          });
+
+          // Deliver the imported settings to the device
+          await sendCommand(io, {
+            deviceType: type,
+            device: device._id,
+            event: 'configUpdate',
+            payload: snapshot(device.settings),
+            issuedBy: user && user.id
+          });
+        }
+      } else {
+        device = await Model.create(data);
+      }
+      result.id = device._id;
+    } catch (err) {
+      result.action = 'error';
+      result.errors.push({ field: null, msg: err.message });
+    }
+  }
+
+  const summary = {
+    dryRun,
+    total: results.length,
+    created: results.filter(result => result.action === 'create').length,
+    updated: results.filter(result => result.action === 'update').length,
+    failed: results.filter(result => result.action === 'error').length,
+    rows: results
+  };
+
+  if (!dryRun && summary.created + summary.updated > 0) {
+    io.to('admin').emit('devicesImported', { type, created: summary.created, updated: summary.updated });
+  }
+
+  return summary;
+}
+
+// Flat export record of a device
+const exportRecord = (device) => ({
+  externalId: device.externalId || device._id.toString(),
+  name: device.name,
+  location: device.location,
+  lat: device.coordinates ? device.coordinates.lat : undefined,
+  lng: device.coordinates ? device.coordinates.lng : undefined,
+  ipAddress: device.ipAddress,
+  model: device.model,
+  firmware: device.firmware,
+  ...flatten(snapshot(device.settings), 'settings')
+});
+
+const cellValue = (value) => (Array.isArray(value) || isObject(value) ? JSON.stringify(value) : value);
+
+async function exportCsv(type) {
+  const devices = await DEVICES[type].Model.find().sort({ name: 1 });
+  const records = devices.map(exportRecord);
+
+  // Settings columns in order of first appearance
+  const columns = [...COLUMNS];
+  records.forEach(record => {
+    Object.keys(record).forEach(column => {
+      if (!columns.includes(column)) columns.push(column);
+    });
+  });
+
+  return [toCsvLine(columns), ...records.map(record => toCsvLine(columns.map(column => cellValue(record[column]))))]
+    .join('\r\n') + '\r\n';
+}
+
+async function exportGeoJson(type) {
+  const devices = await DEVICES[type].Model.find().sort({ name: 1 });
+
+  return {
+    type: 'FeatureCollection',
+    features: devices.map(device => {
+      const hasPoint = device.coordinates && device.coordinates.lat !== undefined && device.coordinates.lng !== undefined;
+      return {
+        type: 'Feature',
+        geometry: hasPoint ? { type: 'Point', coordinates: [device.coordinates.lng, device.coordinates.lat] } : null,
+        properties: {
+          externalId: device.externalId || device._id.toString(),
+          name: device.name,
+          location: device.location,
+          ipAddress: device.ipAddress,
+          model: device.model,
+          firmware: device.firmware,
+          settings: snapshot(device.settings)
+        }
+      };
+    })
+  };
+}
+
+module.exports = {
+  rowsFromCsv,
+  rowsFromGeoJson,
+  importDevices,
+  exportCsv,
+  exportGeoJson
+};
@@ -0,0 +1,205 @@
+// services/deviceWatchdog.js
+// Tracks device sockets and heartbeats. A device that disconnects or goes
+// quiet is moved to 'warning' and then to 'offline'; every status change is
+// recorded as an interval for availability reporting.
+const Camera = require('../models/Camera');
+const Signal = require('../models/Signal');
+const DeviceStatusInterval = require('../models/DeviceStatusInterval');
+
+const config = {
+  intervalMs: Number(process.env.DEVICE_WATCHDOG_INTERVAL_MS) || 10000,
+  // No heartbeat for this long moves a device to 'warning'...
+  warningAfterMs: Number(process.env.DEVICE_STALE_WARNING_MS) || 30000,
+  // ...and for this long to 'offline'
+  offlineAfterMs: Number(process.env.DEVICE_STALE_OFFLINE_MS) || 90000
+};
+
+const MODELS = { camera: Camera, signal: Signal };
+
+// Reasons the watchdog records, telling its own 'warning' apart from the one
+// the health and conflict monitors set
+const WATCHDOG_REASON = /^(disconnected|no heartbeat for )/;
+
+// Close the device's open interval and open one for its new status
+async function recordStatusChange(deviceType, device, status, reason) {
+  const now = new Date();
+
+  await DeviceStatusInterval.updateMany(
+    { deviceType, device, endedAt: null },
+    { $set: { endedAt: now } }
+  );
+
+  return DeviceStatusInterval.create({ deviceType, device, status, reason, startedAt: now });
+}
+
+/**
+ * Time spent in each status between `from` and `to`, in seconds.
+ * Time before the first recorded interval counts as 'unknown'.
+ */
+async function computeAvailability(deviceType, device, from, to) {
+  const intervals = await DeviceStatusInterval.find({
+    deviceType,
+    device,
+    startedAt: { $lt: to },
+    $or: [{ endedAt: null }, { endedAt: { $gt: from } }]
+  }).sort({ startedAt: 1 });
+
+  const totals = { online: 0, warning: 0, offline: 0, unknown: 0 };
+  let covered = 0;
+
+  intervals.forEach(interval => {
+    const start = Math.max(interval.startedAt.getTime(), from.getTime());
+    const end = Math.min((interval.endedAt || new Date()).getTime(), to.getTime());
+    if (end > start) {
+      totals[interval.status] += (end - start) / 1000;
+      covered += (end - start) / 1000;
+    }
+  });
+
+  const span = Math.max(0, (Math.min(to.getTime(), Date.now()) - from.getTime()) / 1000);
+  totals.unknown = Math.max(0, span - covered);
+
+  Object.keys(totals).forEach(key => {
+    totals[key] = Math.round(totals[key]);
+  });
+
+  return {
+    from,
+    to,
+    seconds: totals,
+    // Share of the known time the device was fully online
+    availability: covered > 0 ? Number((totals.online / covered).toFixed(4)) : null,
+    intervals: intervals.map(interval => ({
+      status: interval.status,
+      reason: interval.reason,
+      startedAt: interval.startedAt,
+      endedAt: interval.endedAt
+    }))
+  };
+}
+
+function createDeviceWatchdog(io) {
+  let timer = null;
+  // socket id -> { type, id }
+  const sockets = new Map();
+
+  const key = (type, id) => `${type}-${id}`;
+
+  async function setStatus(type, id, status, reason, filter = {}) {
+    const Model = MODELS[type];
+    const device = await Model.findOneAndUpdate(
+      { _id: id, status: { $ne: status }, ...filter },
+      { $set: { status } },
+      { new: true }
+    );
+    if (!device) return null;
+
+    await recordStatusChange(type, device._id, status, reason);
+    io.to('admin').emit(`${type}Update`, device);
+    console.log(`Device ${key(type, id)} is now ${status} (${reason})`);
+
+    return device;
+  }
+
+  async function deviceConnected(socket, type, id) {
+    sockets.set(socket.id, { type, id });
+
+    await MODELS[type].updateOne({ _id: id }, { $set: { lastSeen: new Date() } });
+    const device = await setStatus(type, id, 'online', 'connected');
+    if (device) return device;
+
+    // Already online: still let dashboards know it reconnected
+    const existing = await MODELS[type].findById(id);
+    io.to('admin').emit(`${type}Update`, existing);
+    return existing;
+  }
+
+  // Whether the device's current status was set by the watchdog, going by
+  // its open status interval so that this holds across restarts
+  async function degradedByWatchdog(type, id) {
+    const open = await DeviceStatusInterval.findOne({ deviceType: type, device: id, endedAt: null })
+      .select('status reason');
+    return Boolean(open && open.status !== 'online' && WATCHDOG_REASON.test(open.reason || ''));
+  }
+
+  // Refresh lastSeen and bring back devices that are offline or that the
+  // watchdog had moved to 'warning'
+  async function heartbeat(type, id) {
+    const device = await MODELS[type].findByIdAndUpdate(id, { $set: { lastSeen: new Date() } }).select('status');
+    if (!device || device.status === 'online') return;
+
+    if (device.status === 'offline' || await degradedByWatchdog(type, id)) {
+      await setStatus(type, id, 'online', 'heartbeat resumed', { status: device.status });
+    }
+  }
+
+  // Device registered on this socket, if any
+  const deviceFor = (socket) => sockets.get(socket.id) || null;
+
+  async function handleDisconnect(socket) {
+    const device = sockets.get(socket.id);
+    sockets.delete(socket.id);
+    if (!device) return;
+
+    // Another socket may still carry the same device
+    const stillConnected = [...sockets.values()].some(other => other.type === device.type && other.id === device.id);
+    if (stillConnected) return;
+
+    await setStatus(device.type, device.id, 'warning', 'disconnected', { status: 'online' });
+  }
+
+  async function sweep() {
+    const now = Date.now();
+
+    for (const type of Object.keys(MODELS)) {
+      try {
+        const stale = await MODELS[type].find({
+          status: { $in: ['online', 'warning'] },
+          $or: [
+            { lastSeen: { $lt: new Date(now - config.warningAfterMs) } },
+            { lastSeen: null }
+          ]
+        }).select('_id status lastSeen');
+
+        for (const device of stale) {
+          const silentFor = device.lastSeen ? now - device.lastSeen.getTime() : Infinity;
+
+          if (silentFor >= config.offlineAfterMs) {
+            await setStatus(type, device._id, 'offline', `no heartbeat for ${Math.round(silentFor / 1000)}s`);
+          } else if (device.status === 'online') {
+            await setStatus(type, device._id, 'warning', `no heartbeat for ${Math.round(silentFor / 1000)}s`);
+          }
+        }
+      } catch (error) {
+        console.error(`Device watchdog error for ${type}s:`, error);
+      }
+    }
+  }
+
+  function start() {
+    if (!timer) {
+      timer = setInterval(sweep, config.intervalMs);
+    }
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    start,
+    stop,
+    sweep,
+    deviceConnected,
+    deviceFor,
+    heartbeat,
+    handleDisconnect
+  };
+}
+
+module.exports = {
+  recordStatusChange,
+  computeAvailability,
+  createDeviceWatchdog
+};
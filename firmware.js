@@ -0,0 +1,106 @@
+// routes/firmware.js
+const express = require('express');
+const router = express.Router();
+const Firmware = require('../models/Firmware');
+const { authenticateToken, isAdmin } = require('../middleware/auth');
+const { authenticateDevice } = require('../middleware/deviceAuth');
+const { storeFirmware, openFirmwareStream, deleteFirmware } = require('../services/firmwareRollout');
+
+const MAX_IMAGE_SIZE = process.env.FIRMWARE_MAX_SIZE || '8mb';
+
+// Get firmware registry (optionally filtered by device type or model)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.deviceType) filter.deviceType = req.query.deviceType;
+    if (req.query.model) filter.models = req.query.model;
+
+    const firmware = await Firmware.find(filter).sort({ createdAt: -1 });
+    res.json(firmware);
+  } catch (err) {
+    console.error('Get firmware error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get single firmware
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const firmware = await Firmware.findById(req.params.id);
+    if (!firmware) {
+      return res.status(404).json({ message: 'Firmware not found' });
+    }
+    res.json(firmware);
+  } catch (err) {
+    console.error('Get firmware error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Upload a firmware image. The body is the raw binary; metadata goes in the
+// query string: ?deviceType=camera&version=v2.5.0&models=ESP32-CAM,ESP32-S3&notes=...
+router.post('/', authenticateToken, isAdmin, express.raw({ type: 'application/octet-stream', limit: MAX_IMAGE_SIZE }), async (req, res) => {
+  try {
+    const { deviceType, version, models, notes } = req.query;
+
+    const firmware = await storeFirmware({
+      deviceType,
+      version,
+      models: models ? models.split(',').map(model => model.trim()).filter(Boolean) : [],
+      notes,
+      data: req.body,
+      uploadedBy: req.user.id
+    });
+
+    res.status(201).json(firmware);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Upload firmware error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Download the image
+router.get('/:id/download', authenticateDevice, async (req, res) => {
+  try {
+    const firmware = await Firmware.findById(req.params.id);
+    if (!firmware) {
+      return res.status(404).json({ message: 'Firmware not found' });
+    }
+
+    res.set({
+      'Content-Type': 'application/octet-stream',
+      'Content-Length': firmware.size,
+      'Content-Disposition': `attachment; filename="${firmware.deviceType}-${firmware.version}.bin"`,
+      'X-Checksum-SHA256': firmware.checksum
+    });
+
+    openFirmwareStream(firmware)
+      .on('error', error => {
+        console.error('Firmware download error:', error);
+        res.destroy(error);
+      })
+      .pipe(res);
+  } catch (err) {
+    console.error('Firmware download error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete firmware
+router.delete('/:id', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    await deleteFirmware(req.params.id);
+    res.json({ message: 'Firmware deleted' });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Delete firmware error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
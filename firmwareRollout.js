@@ -0,0 +1,419 @@
+// services/firmwareRollout.js
+// Firmware registry and staged rollouts. Images are kept in GridFS; a rollout
+// notifies its devices stage by stage with a 'firmwareUpdate' command, the
+// devices download the image from /api/firmware/:id/download and report back
+// with 'firmwareStatus'. Too many failures pause the rollout.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Camera = require('../models/Camera');
+const Signal = require('../models/Signal');
+const Firmware = require('../models/Firmware');
+const FirmwareRollout = require('../models/FirmwareRollout');
+const { sendCommand, cancelCommand } = require('./deviceCommands');
+const { raiseAlert } = require('./alertService');
+
+const DEFAULT_STAGES = [10, 100];
+const REPORTED_STATUSES = ['downloading', 'installing', 'succeeded', 'failed'];
+const FINISHED = ['succeeded', 'failed'];
+
+const MODELS = { camera: Camera, signal: Signal };
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const bucket = () => new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: 'firmware' });
+
+const notify = (io, rollout) => {
+  if (rollout) io.to('admin').emit('firmwareRolloutUpdate', rollout);
+};
+
+// Store an uploaded image and register it
+async function storeFirmware({ deviceType, version, models, notes, data, uploadedBy }) {
+  if (!MODELS[deviceType]) {
+    throw httpError(400, 'Device type must be camera or signal');
+  }
+  if (!version) {
+    throw httpError(400, 'Version is required');
+  }
+  if (!Buffer.isBuffer(data) || data.length === 0) {
+    throw httpError(400, 'Firmware image is empty');
+  }
+  if (await Firmware.exists({ deviceType, version })) {
+    throw httpError(409, `Firmware ${version} for ${deviceType}s already exists`);
+  }
+
+  const checksum = crypto.createHash('sha256').update(data).digest('hex');
+  const fileId = new mongoose.Types.ObjectId();
+
+  await new Promise((resolve, reject) => {
+    bucket()
+      .openUploadStreamWithId(fileId, `${deviceType}-${version}.bin`, { metadata: { checksum } })
+      .on('error', reject)
+      .on('finish', resolve)
+      .end(data);
+  });
+
+  return Firmware.create({
+    deviceType,
+    version,
+    models,
+    checksum,
+    size: data.length,
+    fileId,
+    notes,
+    uploadedBy
+  });
+}
+
+const openFirmwareStream = (firmware) => bucket().openDownloadStream(firmware.fileId);
+
+async function deleteFirmware(id) {
+  const firmware = await Firmware.findById(id);
+  if (!firmware) throw httpError(404, 'Firmware not found');
+
+  if (await FirmwareRollout.exists({ firmware: firmware._id, status: { $in: ['draft', 'running', 'paused'] } })) {
+    throw httpError(409, 'Firmware is used by an unfinished rollout');
+  }
+
+  await bucket().delete(firmware.fileId).catch(error => {
+    console.error('Delete firmware image error:', error);
+  });
+  await firmware.deleteOne();
+
+  return firmware;
+}
+
+// Stage percentages must be rising and within 1-100
+const validateStages = (stages) => {
+  if (!Array.isArray(stages) || stages.length === 0) return false;
+  return stages.every((percent, index) => Number.isFinite(percent)
+    && percent >= 1 && percent <= 100
+    && (index === 0 || percent > stages[index - 1]));
+};
+
+// Share of failed reports, between 0 and 1
+const isFailureThreshold = (value) => typeof value === 'number' && value >= 0 && value <= 1;
+
+// Rollout options other than the stages, as given in a request body
+const validateRolloutOptions = ({ firmware, devices, autoAdvance, failureThreshold, minReports }) => {
+  if (!mongoose.isValidObjectId(firmware)) return 'Firmware must be a firmware id';
+  if (devices !== undefined && (!Array.isArray(devices) || !devices.every(id => mongoose.isValidObjectId(id)))) {
+    return 'Devices must be a list of device ids';
+  }
+  if (autoAdvance !== undefined && typeof autoAdvance !== 'boolean') return 'autoAdvance must be true or false';
+  if (failureThreshold !== undefined && !isFailureThreshold(failureThreshold)) {
+    return 'Failure threshold must be a number between 0 and 1';
+  }
+  if (minReports !== undefined && (!Number.isInteger(minReports) || minReports < 0)) {
+    return 'minReports must be a whole number of at least 0';
+  }
+  return null;
+};
+
+const shuffle = (items) => {
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+};
+
+/**
+ * Create a draft rollout. Targets default to every compatible device not
+ * already on the version; they are shuffled once so each stage is a random
+ * sample, and assigned to the first stage whose share covers them.
+ */
+async function createRollout({ firmware: firmwareId, name, stages = DEFAULT_STAGES, devices, autoAdvance, failureThreshold, minReports, createdBy }) {
+  const invalid = validateRolloutOptions({ firmware: firmwareId, devices, autoAdvance, failureThreshold, minReports });
+  if (invalid) throw httpError(400, invalid);
+
+  const percents = Array.isArray(stages) ? stages.map(Number) : null;
+  if (!validateStages(percents)) {
+    throw httpError(400, 'Stages must be rising percentages between 1 and 100');
+  }
+
+  const firmware = await Firmware.findById(firmwareId);
+  if (!firmware) throw httpError(404, 'Firmware not found');
+
+  const filter = { firmware: { $ne: firmware.version } };
+  if (firmware.models && firmware.models.length > 0) filter.model = { $in: firmware.models };
+  if (Array.isArray(devices) && devices.length > 0) filter._id = { $in: devices };
+
+  const targets = shuffle(await MODELS[firmware.deviceType].find(filter).select('firmware'));
+  if (targets.length === 0) {
+    throw httpError(409, 'No compatible devices need this firmware');
+  }
+
+  const cutoffs = percents.map(percent => Math.ceil(targets.length * percent / 100));
+
+  return FirmwareRollout.create({
+    name: name || `${firmware.deviceType} ${firmware.version}`,
+    firmware: firmware._id,
+    deviceType: firmware.deviceType,
+    stages: percents.map(percent => ({ percent })),
+    autoAdvance,
+    failureThreshold,
+    minReports,
+    devices: targets.map((device, index) => ({
+      device: device._id,
+      stage: cutoffs.findIndex(cutoff => index < cutoff),
+      previousFirmware: device.firmware
+    })),
+    createdBy
+  });
+}
+
+// Send the update command to the devices of the current and earlier stages still waiting
+async function notifyDevices(io, rollout) {
+  const firmware = await Firmware.findById(rollout.firmware);
+  const waiting = rollout.devices.filter(entry => entry.stage !== -1
+    && entry.stage <= rollout.currentStage
+    && entry.status === 'pending');
+
+  for (const entry of waiting) {
+    const command = await sendCommand(io, {
+      deviceType: rollout.deviceType,
+      device: entry.device,
+      event: 'firmwareUpdate',
+      payload: {
+        rollout: rollout._id,
+        firmware: firmware._id,
+        version: firmware.version,
+        checksum: firmware.checksum,
+        size: firmware.size,
+        url: `/api/firmware/${firmware._id}/download`
+      },
+      issuedBy: rollout.createdBy
+    });
+
+    await FirmwareRollout.updateOne(
+      { _id: rollout._id, 'devices.device': entry.device },
+      { $set: { 'devices.$.status': 'notified', 'devices.$.command': command._id, 'devices.$.notifiedAt': new Date() } }
+    );
+  }
+
+  return FirmwareRollout.findById(rollout._id);
+}
+
+// Start the first stage, or the next one
+async function advanceRollout(io, id) {
+  const rollout = await FirmwareRollout.findById(id);
+  if (!rollout) throw httpError(404, 'Rollout not found');
+
+  if (!['draft', 'running'].includes(rollout.status)) {
+    throw httpError(409, `Rollout is ${rollout.status}`);
+  }
+  if (rollout.currentStage >= rollout.stages.length - 1) {
+    throw httpError(409, 'Rollout is already at its last stage');
+  }
+
+  const now = new Date();
+  if (rollout.currentStage >= 0) {
+    rollout.stages[rollout.currentStage].completedAt = rollout.stages[rollout.currentStage].completedAt || now;
+  }
+  rollout.currentStage += 1;
+  rollout.stages[rollout.currentStage].startedAt = now;
+  rollout.status = 'running';
+  await rollout.save();
+
+  console.log(`Firmware rollout ${rollout._id} stage ${rollout.currentStage + 1}/${rollout.stages.length} started`);
+
+  const updated = await notifyDevices(io, rollout);
+  notify(io, updated);
+
+  return evaluateRollout(io, updated);
+}
+
+// Withdraw queued commands so offline devices do not pick the update up later
+async function withdrawQueued(io, rollout, reason) {
+  const queued = rollout.devices.filter(entry => entry.status === 'notified' && entry.command);
+
+  for (const entry of queued) {
+    const cancelled = await cancelCommand(io, entry.command, reason);
+    if (cancelled) {
+      await FirmwareRollout.updateOne(
+        { _id: rollout._id, 'devices.device': entry.device },
+        { $set: { 'devices.$.status': 'pending' }, $unset: { 'devices.$.command': 1, 'devices.$.notifiedAt': 1 } }
+      );
+    }
+  }
+}
+
+async function pauseRollout(io, id, reason = 'Paused by operator') {
+  const rollout = await FirmwareRollout.findOneAndUpdate(
+    { _id: id, status: 'running' },
+    { $set: { status: 'paused', pausedReason: reason } },
+    { new: true }
+  );
+  if (!rollout) throw httpError(409, 'Rollout is not running');
+
+  await withdrawQueued(io, rollout, `Rollout paused: ${reason}`);
+
+  const updated = await FirmwareRollout.findById(rollout._id);
+  notify(io, updated);
+
+  console.log(`Firmware rollout ${rollout._id} paused (${reason})`);
+
+  return updated;
+}
+
+async function resumeRollout(io, id, { failureThreshold } = {}) {
+  if (failureThreshold !== undefined && !isFailureThreshold(failureThreshold)) {
+    throw httpError(400, 'Failure threshold must be a number between 0 and 1');
+  }
+
+  const $set = { status: 'running' };
+  if (failureThreshold !== undefined) $set.failureThreshold = failureThreshold;
+
+  const rollout = await FirmwareRollout.findOneAndUpdate(
+    { _id: id, status: 'paused' },
+    { $set, $unset: { pausedReason: 1 } },
+    { new: true, runValidators: true }
+  );
+  if (!rollout) throw httpError(409, 'Rollout is not paused');
+
+  const updated = await notifyDevices(io, rollout);
+  notify(io, updated);
+
+  return updated;
+}
+
+async function cancelRollout(io, id) {
+  const rollout = await FirmwareRollout.findOneAndUpdate(
+    { _id: id, status: { $in: ['draft', 'running', 'paused'] } },
+    { $set: { status: 'cancelled', endedAt: new Date() } },
+    { new: true }
+  );
+  if (!rollout) throw httpError(409, 'Rollout has already ended');
+
+  await withdrawQueued(io, rollout, 'Rollout cancelled');
+
+  const updated = await FirmwareRollout.findById(rollout._id);
+  notify(io, updated);
+
+  return updated;
+}
+
+// Pause on too many failures; finish the stage or the rollout once everyone reported
+async function evaluateRollout(io, rollout) {
+  if (!rollout || rollout.status !== 'running') return rollout;
+
+  const started = rollout.devices.filter(entry => entry.stage !== -1 && entry.stage <= rollout.currentStage);
+  const reported = started.filter(entry => FINISHED.includes(entry.status));
+  const failed = reported.filter(entry => entry.status === 'failed');
+  const failureRate = reported.length > 0 ? failed.length / reported.length : 0;
+
+  if (reported.length >= rollout.minReports && failureRate > rollout.failureThreshold) {
+    const reason = `${failed.length} of ${reported.length} devices failed to update`;
+    const paused = await pauseRollout(io, rollout._id, reason);
+
+    await raiseAlert(io, {
+      type: 'firmwareRolloutPaused',
+      severity: 'high',
+      source: { type: 'system' },
+      message: `Firmware rollout ${rollout.name} paused: ${reason}`,
+      details: { rollout: rollout._id, failed: failed.length, reported: reported.length, failureRate }
+    });
+
+    return paused;
+  }
+
+  if (reported.length < started.length) return rollout;
+
+  const lastStage = rollout.currentStage >= rollout.stages.length - 1;
+  if (lastStage) {
+    const completed = await FirmwareRollout.findOneAndUpdate(
+      { _id: rollout._id, status: 'running' },
+      { $set: { status: 'completed', endedAt: new Date(), [`stages.${rollout.currentStage}.completedAt`]: new Date() } },
+      { new: true }
+    );
+    notify(io, completed);
+    return completed;
+  }
+
+  // Too few reports to pause on, but enough to hold back the next stage
+  if (rollout.autoAdvance && failureRate <= rollout.failureThreshold) {
+    return advanceRollout(io, rollout._id);
+  }
+
+  return rollout;
+}
+
+const setDeviceFirmware = async (io, deviceType, deviceId, version) => {
+  const device = await MODELS[deviceType].findByIdAndUpdate(deviceId, { $set: { firmware: version } }, { new: true });
+  if (device) io.to('admin').emit(`${deviceType}Update`, device);
+};
+
+// A device reports progress: downloading, installing, succeeded or failed
+async function reportStatus(io, deviceType, deviceId, { rollout: rolloutId, status, error }) {
+  if (!REPORTED_STATUSES.includes(status)) return null;
+
+  const update = { 'devices.$.status': status, 'devices.$.reportedAt': new Date() };
+  if (status === 'failed') update['devices.$.error'] = error || 'Update failed';
+
+  // Finished devices keep their result
+  const rollout = await FirmwareRollout.findOneAndUpdate(
+    {
+      _id: rolloutId,
+      deviceType,
+      devices: { $elemMatch: { device: deviceId, status: { $nin: FINISHED } } }
+    },
+    { $set: update },
+    { new: true }
+  ).populate('firmware', 'version');
+  if (!rollout) return null;
+
+  if (status === 'succeeded') {
+    await setDeviceFirmware(io, deviceType, deviceId, rollout.firmware.version);
+  }
+
+  notify(io, rollout);
+
+  return evaluateRollout(io, rollout);
+}
+
+/**
+ * Devices announce their version when they connect. After an update they
+ * reboot, so a device back on the new version has succeeded, and one back
+ * on its old version after installing has failed.
+ */
+async function handleDeviceVersion(io, deviceType, deviceId, version) {
+  if (!version) return;
+
+  const rollouts = await FirmwareRollout.find({
+    deviceType,
+    status: { $in: ['running', 'paused'] },
+    devices: { $elemMatch: { device: deviceId, status: { $in: ['notified', 'downloading', 'installing'] } } }
+  }).populate('firmware', 'version');
+
+  for (const rollout of rollouts) {
+    const entry = rollout.devices.find(item => item.device.equals(deviceId));
+
+    if (version === rollout.firmware.version) {
+      await reportStatus(io, deviceType, deviceId, { rollout: rollout._id, status: 'succeeded' });
+    } else if (entry.status === 'installing') {
+      await reportStatus(io, deviceType, deviceId, {
+        rollout: rollout._id,
+        status: 'failed',
+        error: `Device restarted on ${version}`
+      });
+    }
+  }
+}
+
+module.exports = {
+  storeFirmware,
+  openFirmwareStream,
+  deleteFirmware,
+  createRollout,
+  advanceRollout,
+  pauseRollout,
+  resumeRollout,
+  cancelRollout,
+  reportStatus,
+  handleDeviceVersion
+};
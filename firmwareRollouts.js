@@ -0,0 +1,136 @@
+// routes/firmwareRollouts.js
+const express = require('express');
+const router = express.Router();
+const FirmwareRollout = require('../models/FirmwareRollout');
+const { authenticateToken, isAdmin } = require('../middleware/auth');
+const {
+  createRollout,
+  advanceRollout,
+  pauseRollout,
+  resumeRollout,
+  cancelRollout
+} = require('../services/firmwareRollout');
+
+// Device counts by update status
+const summarize = (rollout) => {
+  const counts = {};
+  rollout.devices.forEach(entry => {
+    counts[entry.status] = (counts[entry.status] || 0) + 1;
+  });
+  return counts;
+};
+
+// Get rollouts (optionally filtered by status or device type)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.deviceType) filter.deviceType = req.query.deviceType;
+
+    const rollouts = await FirmwareRollout.find(filter)
+      .sort({ createdAt: -1 })
+      .select('-devices')
+      .populate('firmware', 'version deviceType models');
+
+    res.json(rollouts);
+  } catch (err) {
+    console.error('Get rollouts error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get single rollout with per-device results
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const rollout = await FirmwareRollout.findById(req.params.id).populate('firmware', 'version deviceType models checksum');
+    if (!rollout) {
+      return res.status(404).json({ message: 'Rollout not found' });
+    }
+    res.json({ ...rollout.toObject(), summary: summarize(rollout) });
+  } catch (err) {
+    console.error('Get rollout error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a rollout, e.g. { firmware, stages: [10, 100], failureThreshold: 0.2 }
+router.post('/', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { firmware, name, stages, devices, autoAdvance, failureThreshold, minReports, start } = req.body || {};
+
+    let rollout = await createRollout({
+      firmware,
+      name,
+      stages,
+      devices,
+      autoAdvance,
+      failureThreshold,
+      minReports,
+      createdBy: req.user.id
+    });
+
+    if (start) {
+      rollout = await advanceRollout(req.app.get('io'), rollout._id);
+    }
+
+    res.status(201).json(rollout);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Create rollout error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Start the first or next stage
+router.post('/:id/advance', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    res.json(await advanceRollout(req.app.get('io'), req.params.id));
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Advance rollout error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/:id/pause', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    res.json(await pauseRollout(req.app.get('io'), req.params.id, (req.body || {}).reason));
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Pause rollout error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Resume a paused rollout, optionally with a new failure threshold
+router.post('/:id/resume', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    res.json(await resumeRollout(req.app.get('io'), req.params.id, { failureThreshold: (req.body || {}).failureThreshold }));
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Resume rollout error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/:id/cancel', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    res.json(await cancelRollout(req.app.get('io'), req.params.id));
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Cancel rollout error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,88 @@
+// routes/forecasts.js
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Forecast = require('../models/Forecast');
+const Signal = require('../models/Signal');
+const { authenticateToken } = require('../middleware/auth');
+const { forecastJunction, latestForecasts, forecastAccuracy } = require('../services/trafficForecast');
+
+// Get the latest forecast of every junction
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    res.json(await latestForecasts());
+  } catch (err) {
+    console.error('Get forecasts error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get forecast accuracy per horizon (?junctionId, ?days, default 7)
+router.get('/accuracy', authenticateToken, async (req, res) => {
+  try {
+    const { junctionId } = req.query;
+    if (junctionId && !mongoose.isValidObjectId(junctionId)) {
+      return res.status(400).json({ message: 'Invalid junction id' });
+    }
+    const days = Math.min(parseInt(req.query.days, 10) || 7, 90);
+
+    const accuracy = await forecastAccuracy({
+      junction: junctionId ? new mongoose.Types.ObjectId(junctionId) : undefined,
+      from: new Date(Date.now() - days * 24 * 60 * 60 * 1000)
+    });
+
+    res.json({ days, horizons: accuracy });
+  } catch (err) {
+    console.error('Get forecast accuracy error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Forecast a junction now
+router.get('/junction/:junctionId', authenticateToken, async (req, res) => {
+  try {
+    const { junctionId } = req.params;
+    if (!mongoose.isValidObjectId(junctionId)) {
+      return res.status(400).json({ message: 'Invalid junction id' });
+    }
+
+    const signal = await Signal.findById(junctionId).select('name location');
+    if (!signal) {
+      return res.status(404).json({ message: 'Signal not found' });
+    }
+
+    const forecast = await forecastJunction(signal._id);
+    res.json({ ...forecast, junctionName: signal.name, location: signal.location });
+  } catch (err) {
+    console.error('Get junction forecast error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get stored forecasts of a junction with their actual values
+router.get('/junction/:junctionId/history', authenticateToken, async (req, res) => {
+  try {
+    const { junctionId } = req.params;
+    if (!mongoose.isValidObjectId(junctionId)) {
+      return res.status(400).json({ message: 'Invalid junction id' });
+    }
+
+    const filter = { junction: junctionId };
+    if (req.query.startDate || req.query.endDate) {
+      filter.issuedAt = {};
+      if (req.query.startDate) filter.issuedAt.$gte = new Date(req.query.startDate);
+      if (req.query.endDate) filter.issuedAt.$lte = new Date(req.query.endDate);
+    }
+
+    const forecasts = await Forecast.find(filter)
+      .sort({ issuedAt: -1 })
+      .limit(Math.min(parseInt(req.query.limit, 10) || 96, 1000));
+
+    res.json(forecasts);
+  } catch (err) {
+    console.error('Get forecast history error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
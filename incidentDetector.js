@@ -0,0 +1,321 @@
+// services/incidentDetector.js
+// Watches each camera's metric stream for signs of an incident: speeds
+// collapsing while vehicles are still present, volume falling to zero at a
+// time of day that is normally busy, and heavy congestion spreading back
+// through upstream cameras. Incidents are stored, pushed to dashboards and
+// wait for an operator to confirm or dismiss them. Unconfirmed ones the
+// detector stops seeing are resolved automatically; confirmed ones are
+// resolved by the operator.
+const Analytics = require('../models/Analytics');
+const Camera = require('../models/Camera');
+const Incident = require('../models/Incident');
+const { DEFAULT_TIMEZONE } = require('../utils/schedule');
+const { requestSnapshot } = require('./snapshots');
+
+const config = {
+  intervalMs: Number(process.env.INCIDENT_CHECK_INTERVAL_MS) || 60000,
+  // Metric history kept per camera
+  windowMs: Number(process.env.INCIDENT_WINDOW_MS) || 10 * 60 * 1000,
+  // Speed falling to this share of the recent average is a collapse...
+  speedDropRatio: Number(process.env.INCIDENT_SPEED_DROP_RATIO) || 0.4,
+  // ...if traffic was moving at least this fast before (km/h)
+  minBaselineSpeed: Number(process.env.INCIDENT_MIN_SPEED) || 20,
+  // Consecutive empty reports at a busy time
+  zeroReports: Number(process.env.INCIDENT_ZERO_REPORTS) || 3,
+  // Vehicles per report that make an hour of the day busy
+  busyVolume: Number(process.env.INCIDENT_BUSY_VOLUME) || 10,
+  // Cameras in a row, origin included, for spreading congestion
+  spreadCameras: Number(process.env.INCIDENT_SPREAD_CAMERAS) || 3,
+  // Unconfirmed incidents not seen for this long are resolved
+  resolveAfterMs: Number(process.env.INCIDENT_RESOLVE_AFTER_MS) || 15 * 60 * 1000
+};
+
+const OPEN = ['detected', 'confirmed'];
+
+const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// `history` holds { timestamp, vehicleCount, averageSpeed, congestionLevel }, oldest first
+const detectSpeedCollapse = (history, settings = config) => {
+  const recent = history.slice(-2);
+  const earlier = history.slice(0, -2).filter(reading => reading.averageSpeed > 0);
+  if (recent.length < 2 || earlier.length < 3) return null;
+
+  const baselineSpeed = average(earlier.map(reading => reading.averageSpeed));
+  const currentSpeed = average(recent.map(reading => reading.averageSpeed || 0));
+  const vehiclesPresent = recent.every(reading => reading.vehicleCount > 0);
+
+  if (baselineSpeed < settings.minBaselineSpeed || !vehiclesPresent) return null;
+  if (currentSpeed > baselineSpeed * settings.speedDropRatio) return null;
+
+  return {
+    type: 'speedCollapse',
+    severity: currentSpeed <= baselineSpeed * settings.speedDropRatio / 2 ? 'high' : 'medium',
+    message: `Average speed fell from ${round(baselineSpeed)} to ${round(currentSpeed)} km/h`,
+    evidence: { baselineSpeed: round(baselineSpeed), currentSpeed: round(currentSpeed), readings: recent }
+  };
+};
+
+// `expectedVolume` is the usual vehicles per report at this time of day
+const detectVolumeDrop = (history, expectedVolume, settings = config) => {
+  const recent = history.slice(-settings.zeroReports);
+  if (recent.length < settings.zeroReports || expectedVolume === null) return null;
+  if (expectedVolume < settings.busyVolume) return null;
+  if (!recent.every(reading => reading.vehicleCount === 0)) return null;
+
+  return {
+    type: 'volumeDrop',
+    severity: 'high',
+    message: `No vehicles in ${recent.length} reports where about ${round(expectedVolume)} are usual`,
+    evidence: { expectedVolume: round(expectedVolume), readings: recent }
+  };
+};
+
+/**
+ * Follow congestion from `cameraId` downstream. `highSince` maps camera ids
+ * to when they became High; `downstreamOf` maps a camera id to the cameras
+ * listing it as upstream. Congestion spreads back, so each step downstream
+ * must have become High no later than the one before. Returns the longest
+ * chain, starting at `cameraId` and ending at the origin.
+ */
+const traceSpread = (cameraId, highSince, downstreamOf, visited = new Set()) => {
+  visited.add(cameraId);
+  let longest = [cameraId];
+
+  (downstreamOf.get(cameraId) || []).forEach(next => {
+    if (visited.has(next) || !highSince.has(next)) return;
+    if (highSince.get(next) > highSince.get(cameraId)) return;
+
+    const chain = traceSpread(next, highSince, downstreamOf, new Set(visited));
+    if (chain.length + 1 > longest.length) longest = [cameraId, ...chain];
+  });
+
+  return longest;
+};
+
+const detectSpreadingCongestion = (cameraId, highSince, downstreamOf, settings = config) => {
+  if (!highSince.has(cameraId)) return null;
+
+  const chain = traceSpread(cameraId, highSince, downstreamOf);
+  if (chain.length < settings.spreadCameras) return null;
+
+  const origin = chain[chain.length - 1];
+  return {
+    type: 'spreadingCongestion',
+    camera: origin,
+    cameras: [...chain].reverse(),
+    severity: chain.length > settings.spreadCameras ? 'high' : 'medium',
+    message: `Heavy congestion has spread back across ${chain.length} cameras`,
+    evidence: {
+      chain: [...chain].reverse().map(id => ({ camera: id, highSince: highSince.get(id) }))
+    }
+  };
+};
+
+function createIncidentDetector(io) {
+  let timer = null;
+  // camera id -> metric readings within the window
+  const histories = new Map();
+  // camera id -> when its congestion became High
+  const highSince = new Map();
+  // camera id + hour -> { volume, expires }
+  const baselines = new Map();
+  let downstreamOf = new Map();
+
+  async function loadTopology() {
+    const cameras = await Camera.find({ 'upstream.0': { $exists: true } }).select('upstream');
+    const map = new Map();
+
+    cameras.forEach(camera => {
+      camera.upstream.forEach(upstream => {
+        const key = upstream.toString();
+        if (!map.has(key)) map.set(key, []);
+        map.get(key).push(camera._id.toString());
+      });
+    });
+
+    downstreamOf = map;
+  }
+
+  // Usual vehicles per report for this camera at the current hour, from the last week
+  async function expectedVolume(camera, now) {
+    const hour = Number(new Intl.DateTimeFormat('en-US', { hour: 'numeric', hourCycle: 'h23', timeZone: DEFAULT_TIMEZONE }).format(now));
+    const key = `${camera._id}-${hour}`;
+    const cached = baselines.get(key);
+    if (cached && cached.expires > now.getTime()) return cached.volume;
+
+    const [row] = await Analytics.aggregate([
+      {
+        $match: {
+          camera: camera._id,
+          timestamp: { $gte: new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000), $lt: new Date(now.getTime() - config.windowMs) }
+        }
+      },
+      { $match: { $expr: { $eq: [{ $hour: { date: '$timestamp', timezone: DEFAULT_TIMEZONE } }, hour] } } },
+      { $group: { _id: null, volume: { $avg: '$trafficVolume' }, reports: { $sum: 1 } } }
+    ]);
+
+    // A handful of reports is not a usual level yet
+    const volume = row && row.reports >= 10 ? row.volume : null;
+    baselines.set(key, { volume, expires: now.getTime() + 60 * 60 * 1000 });
+
+    return volume;
+  }
+
+  // Create the incident or refresh the open one; a recently dismissed one stays dismissed
+  async function recordIncident(camera, detection, now) {
+    const cameraId = detection.camera || camera._id;
+    const existing = await Incident.findOne({
+      camera: cameraId,
+      type: detection.type,
+      $or: [
+        { status: { $in: OPEN } },
+        { status: 'dismissed', lastDetectedAt: { $gte: new Date(now.getTime() - config.resolveAfterMs) } }
+      ]
+    });
+
+    if (existing) {
+      existing.lastDetectedAt = now;
+      if (existing.status === 'dismissed') {
+        await existing.save();
+        return existing;
+      }
+
+      existing.severity = detection.severity;
+      existing.message = detection.message;
+      existing.evidence = detection.evidence;
+      if (detection.cameras) existing.cameras = detection.cameras;
+      await existing.save();
+
+      io.to('admin').emit('incidentUpdate', existing);
+      return existing;
+    }
+
+    const origin = cameraId.toString() === camera._id.toString() ? camera : await Camera.findById(cameraId);
+    let incident;
+    try {
+      incident = await Incident.create({
+        type: detection.type,
+        severity: detection.severity,
+        camera: cameraId,
+        cameras: detection.cameras || [cameraId],
+        junction: origin && origin.junction ? origin.junction.signal : undefined,
+        location: origin ? origin.location : undefined,
+        coordinates: origin ? origin.coordinates : undefined,
+        message: detection.message,
+        evidence: detection.evidence,
+        detectedAt: now,
+        lastDetectedAt: now
+      });
+    } catch (err) {
+      // A report handled at the same time created it first; refresh that one
+      if (err.code !== 11000) throw err;
+      return recordIncident(camera, detection, now);
+    }
+
+    io.to('admin').emit('incidentDetected', incident);
+    console.log(`Incident ${incident.type} detected at camera ${cameraId}: ${incident.message}`);
+
+    // Let operators see the scene
+    await requestSnapshot(io, cameraId, { trigger: 'incident', reason: `${incident.type} ${incident._id}` });
+
+    return incident;
+  }
+
+  // Feed one camera report through the detectors
+  async function checkMetrics(camera, metrics, now = new Date()) {
+    try {
+      if (!camera || !metrics) return [];
+
+      const id = camera._id.toString();
+      const history = (histories.get(id) || []).filter(reading => now - reading.timestamp <= config.windowMs);
+      history.push({
+        timestamp: now,
+        vehicleCount: metrics.vehicleCount || 0,
+        averageSpeed: metrics.averageSpeed,
+        congestionLevel: metrics.congestionLevel
+      });
+      histories.set(id, history);
+
+      if (metrics.congestionLevel === 'High') {
+        if (!highSince.has(id)) highSince.set(id, now);
+      } else {
+        highSince.delete(id);
+      }
+
+      const detections = [
+        detectSpeedCollapse(history),
+        detectVolumeDrop(history, await expectedVolume(camera, now)),
+        detectSpreadingCongestion(id, highSince, downstreamOf)
+      ].filter(Boolean);
+
+      const incidents = [];
+      for (const detection of detections) {
+        incidents.push(await recordIncident(camera, detection, now));
+      }
+
+      return incidents;
+    } catch (error) {
+      console.error('Incident detection error:', error);
+      return [];
+    }
+  }
+
+  // Resolve unconfirmed incidents that went quiet and drop cameras that stopped reporting
+  async function sweep(now = new Date()) {
+    try {
+      await loadTopology();
+
+      const stale = await Incident.find({
+        status: 'detected',
+        lastDetectedAt: { $lt: new Date(now.getTime() - config.resolveAfterMs) }
+      });
+
+      for (const incident of stale) {
+        const resolved = await Incident.findOneAndUpdate(
+          { _id: incident._id, status: 'detected' },
+          { $set: { status: 'resolved', resolvedAt: now } },
+          { new: true }
+        );
+        if (resolved) io.to('admin').emit('incidentUpdate', resolved);
+      }
+
+      histories.forEach((history, id) => {
+        const last = history[history.length - 1];
+        if (!last || now - last.timestamp > config.windowMs) {
+          histories.delete(id);
+          highSince.delete(id);
+        }
+      });
+    } catch (error) {
+      console.error('Incident sweep error:', error);
+    }
+  }
+
+  function start() {
+    if (!timer) {
+      sweep();
+      timer = setInterval(sweep, config.intervalMs);
+    }
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    start,
+    stop,
+    sweep,
+    checkMetrics
+  };
+}
+
+module.exports = {
+  detectSpeedCollapse,
+  detectVolumeDrop,
+  detectSpreadingCongestion,
+  createIncidentDetector
+};
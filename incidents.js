@@ -0,0 +1,120 @@
+// routes/incidents.js
+const express = require('express');
+const router = express.Router();
+const Incident = require('../models/Incident');
+const { authenticateToken, isOperator } = require('../middleware/auth');
+
+// Get incidents (unresolved and not dismissed by default)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const filter = {
+      status: req.query.status ? req.query.status : { $in: ['detected', 'confirmed'] }
+    };
+    if (req.query.type) filter.type = req.query.type;
+    if (req.query.camera) filter.cameras = req.query.camera;
+    if (req.query.junction) filter.junction = req.query.junction;
+    if (req.query.startDate || req.query.endDate) {
+      filter.detectedAt = {};
+      if (req.query.startDate) filter.detectedAt.$gte = new Date(req.query.startDate);
+      if (req.query.endDate) filter.detectedAt.$lte = new Date(req.query.endDate);
+    }
+
+    const incidents = await Incident.find(filter)
+      .sort({ detectedAt: -1 })
+      .limit(Math.min(parseInt(req.query.limit, 10) || 100, 500))
+      .populate('camera', 'name location latestSnapshot');
+
+    res.json(incidents);
+  } catch (err) {
+    console.error('Get incidents error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get single incident
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const incident = await Incident.findById(req.params.id)
+      .populate('camera', 'name location latestSnapshot')
+      .populate('cameras', 'name location');
+    if (!incident) {
+      return res.status(404).json({ message: 'Incident not found' });
+    }
+    res.json(incident);
+  } catch (err) {
+    console.error('Get incident error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Confirm a detected incident
+router.post('/:id/confirm', authenticateToken, isOperator, async (req, res) => {
+  try {
+    const incident = await Incident.findOneAndUpdate(
+      { _id: req.params.id, status: 'detected' },
+      { $set: { status: 'confirmed', confirmedBy: req.user.id, confirmedAt: new Date(), note: (req.body || {}).note } },
+      { new: true }
+    );
+
+    if (!incident) {
+      return res.status(404).json({ message: 'Detected incident not found' });
+    }
+
+    req.app.get('io').to('admin').emit('incidentUpdate', incident);
+
+    res.json(incident);
+  } catch (err) {
+    console.error('Confirm incident error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Dismiss a detected incident as a false alarm
+router.post('/:id/dismiss', authenticateToken, isOperator, async (req, res) => {
+  try {
+    const incident = await Incident.findOneAndUpdate(
+      { _id: req.params.id, status: 'detected' },
+      { $set: { status: 'dismissed', dismissedBy: req.user.id, dismissedAt: new Date(), note: (req.body || {}).note } },
+      { new: true }
+    );
+
+    if (!incident) {
+      return res.status(404).json({ message: 'Detected incident not found' });
+    }
+
+    req.app.get('io').to('admin').emit('incidentUpdate', incident);
+
+    res.json(incident);
+  } catch (err) {
+    console.error('Dismiss incident error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Resolve an incident once the road is clear
+router.post('/:id/resolve', authenticateToken, isOperator, async (req, res) => {
+  try {
+    const { note } = req.body || {};
+    const update = { status: 'resolved', resolvedAt: new Date() };
+    if (note) update.note = note;
+
+    const incident = await Incident.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: ['detected', 'confirmed'] } },
+      { $set: update },
+      { new: true }
+    );
+
+    if (!incident) {
+      return res.status(404).json({ message: 'Open incident not found' });
+    }
+
+    req.app.get('io').to('admin').emit('incidentUpdate', incident);
+
+    res.json(incident);
+  } catch (err) {
+    console.error('Resolve incident error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
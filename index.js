@@ -65,31 +65,49 @@ const signalSchema = new mongoose.Schema({
   status: { type: String, enum: ['online', 'offline'], default: 'offline' },
   mode: { type: String, enum: ['AI', 'Manual', 'Scheduled'], default: 'Scheduled' },
   currentPhase: { type: String, default: 'All-Way Red' },
-  remainingTime: { type: String, default: '0s' },
+  phaseStartedAt: { type: Date },
+  phaseDuration: { type: Number },
   congestionLevel: { type: String, enum: ['Low', 'Medium', 'High', 'Unknown'], default: 'Unknown' },
   lastUpdate: { type: Date, default: Date.now }
+}, {
+  toJSON: {
+    // Derive a readable remaining time from the phase start and duration
+    transform: (doc, ret) => {
+      const remaining = ret.phaseStartedAt && typeof ret.phaseDuration === 'number'
+        ? Math.max(0, Math.ceil((new Date(ret.phaseStartedAt).getTime() + ret.phaseDuration * 1000 - Date.now()) / 1000))
+        : null;
+      ret.remainingSeconds = remaining;
+      ret.remainingTime = remaining === null ? '-' : `${remaining}s`;
+      return ret;
+    }
+  }
 });
 
+// Traffic records stored for each camera report
 const analyticsSchema = new mongoose.Schema({
-  date: { type: Date, default: Date.now },
-  trafficVolume: {
-    total: { type: Number, default: 0 },
-    peakHour: { type: String },
-    average: { type: Number }
-  },
-  congestion: {
-    mostCongestedDay: { type: String },
-    averageWaitTime: { type: Number }
-  },
-  vehicleDistribution: {
-    cars: { type: Number },
-    motorcycles: { type: Number },
-    trucks: { type: Number }
+  timestamp: { type: Date, default: Date.now },
+  trafficVolume: { type: Number, default: 0 },
+  congestionLevel: { type: String, enum: ['Low', 'Medium', 'High', 'Unknown'], default: 'Unknown' },
+  deviceCongestionLevel: { type: String },
+  congestionBasis: [{ type: String }],
+  occupancy: { type: Number },
+  averageSpeed: { type: Number, default: 0 },
+  vehicleTypes: {
+    cars: { type: Number, default: 0 },
+    motorcycles: { type: Number, default: 0 },
+    trucks: { type: Number, default: 0 }
   },
-  signalPerformance: {
-    avgGreenTime: { type: Number },
-    optimizationRate: { type: Number }
-  }
+  junctionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Signal' },
+  camera: { type: mongoose.Schema.Types.ObjectId, ref: 'Camera' }
+});
+
+// Timing plans chosen for AI-mode signals
+const signalDecisionSchema = new mongoose.Schema({
+  signal: { type: mongoose.Schema.Types.ObjectId, ref: 'Signal' },
+  timestamp: { type: Date, default: Date.now },
+  cycleLength: { type: Number },
+  phases: [{ name: String, duration: Number }],
+  changed: { type: Boolean, default: true }
 });
 
 // Create models
@@ -97,6 +115,7 @@ const User = mongoose.model('User', userSchema);
 const Camera = mongoose.model('Camera', cameraSchema);
 const Signal = mongoose.model('Signal', signalSchema);
 const Analytics = mongoose.model('Analytics', analyticsSchema);
+const SignalDecision = mongoose.model('SignalDecision', signalDecisionSchema);
 
 // Authentication middleware
 const authenticateToken = (req, res, next) => {
@@ -121,6 +140,257 @@ const authorizeRole = (roles) => {
   };
 };
 
+// Analytics summaries are computed from the recorded data; hours and days
+// follow the same local time zone as signal schedules
+const ANALYTICS_TIMEZONE = process.env.SIGNAL_SCHEDULE_TZ || 'UTC';
+const HOUR_MS = 60 * 60 * 1000;
+const TIMEFRAMES = { day: 24 * HOUR_MS, week: 7 * 24 * HOUR_MS, month: 30 * 24 * HOUR_MS };
+// Longest custom from/to range; the summary walks it hour by hour
+const MAX_RANGE_MS = 366 * 24 * HOUR_MS;
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// '17' -> '5:00 PM - 6:00 PM'
+const formatHourRange = (hour) => {
+  const label = (h) => `${h % 12 === 0 ? 12 : h % 12}:00 ${h % 24 < 12 ? 'AM' : 'PM'}`;
+  return `${label(hour)} - ${label(hour + 1)}`;
+};
+
+const round = (value, digits = 1) => (value === null || value === undefined ? null : Number(value.toFixed(digits)));
+
+// { from, to, timeframe } from ?timeframe=day|week|month or ?from=&to=,
+// null when invalid or longer than MAX_RANGE_MS
+const parseTimeframe = (query) => {
+  if (query.from || query.to) {
+    const to = query.to ? new Date(query.to) : new Date();
+    const from = query.from ? new Date(query.from) : new Date(to.getTime() - TIMEFRAMES.day);
+    if (isNaN(from) || isNaN(to) || from >= to || to - from > MAX_RANGE_MS) return null;
+    return { timeframe: 'custom', from, to };
+  }
+
+  const timeframe = query.timeframe || 'day';
+  if (!TIMEFRAMES[timeframe]) return null;
+  const to = new Date();
+  return { timeframe, from: new Date(to.getTime() - TIMEFRAMES[timeframe]), to };
+};
+
+// Hourly spans between from and to without any traffic record
+const findGaps = (from, to, hoursWithData) => {
+  const gaps = [];
+  let gapStart = null;
+
+  for (let hour = Math.floor(from.getTime() / HOUR_MS) * HOUR_MS; hour < to.getTime(); hour += HOUR_MS) {
+    if (!hoursWithData.has(hour)) {
+      if (gapStart === null) gapStart = hour;
+    } else if (gapStart !== null) {
+      gaps.push({ from: new Date(Math.max(gapStart, from.getTime())), to: new Date(hour) });
+      gapStart = null;
+    }
+  }
+  if (gapStart !== null) gaps.push({ from: new Date(Math.max(gapStart, from.getTime())), to });
+
+  return gaps;
+};
+
+/**
+ * Traffic and signal figures between `from` and `to`. Figures without data
+ * behind them are null; hours without any record are listed in `gaps`.
+ */
+const summarizeAnalytics = async (from, to) => {
+  const match = { timestamp: { $gte: from, $lt: to } };
+
+  const [totals] = await Analytics.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: '$trafficVolume' },
+        reports: { $sum: 1 },
+        cars: { $sum: '$vehicleTypes.cars' },
+        motorcycles: { $sum: '$vehicleTypes.motorcycles' },
+        trucks: { $sum: '$vehicleTypes.trucks' }
+      }
+    }
+  ]);
+
+  // Volume per clock hour, for coverage and the hourly average
+  const hours = await Analytics.aggregate([
+    { $match: match },
+    { $group: { _id: { $dateTrunc: { date: '$timestamp', unit: 'hour' } }, volume: { $sum: '$trafficVolume' } } }
+  ]);
+
+  // Busiest hour of the day across the period
+  const [peak] = await Analytics.aggregate([
+    { $match: match },
+    { $group: { _id: { $hour: { date: '$timestamp', timezone: ANALYTICS_TIMEZONE } }, volume: { $sum: '$trafficVolume' } } },
+    { $sort: { volume: -1 } },
+    { $limit: 1 }
+  ]);
+
+  // Day with the highest average congestion (High 3, Medium 2, Low 1)
+  const [congestedDay] = await Analytics.aggregate([
+    { $match: { ...match, congestionLevel: { $in: ['Low', 'Medium', 'High'] } } },
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp', timezone: ANALYTICS_TIMEZONE } },
+        dayOfWeek: { $first: { $dayOfWeek: { date: '$timestamp', timezone: ANALYTICS_TIMEZONE } } },
+        score: { $avg: { $switch: { branches: [
+          { case: { $eq: ['$congestionLevel', 'High'] }, then: 3 },
+          { case: { $eq: ['$congestionLevel', 'Medium'] }, then: 2 }
+        ], default: 1 } } }
+      }
+    },
+    { $sort: { score: -1, _id: 1 } },
+    { $limit: 1 }
+  ]);
+
+  const decisions = await SignalDecision.find({ timestamp: { $gte: from, $lt: to } }).select('cycleLength phases changed');
+
+  // Green time per green phase, and the wait of vehicles arriving evenly
+  // over the cycle: red time squared over twice the cycle length
+  let greenSum = 0;
+  let greenPhases = 0;
+  let waitSum = 0;
+  decisions.forEach(decision => {
+    (decision.phases || []).filter(phase => /green/i.test(phase.name) && phase.duration > 0).forEach(phase => {
+      greenSum += phase.duration;
+      greenPhases++;
+      if (decision.cycleLength > phase.duration) {
+        const red = decision.cycleLength - phase.duration;
+        waitSum += (red * red) / (2 * decision.cycleLength);
+      }
+    });
+  });
+
+  const vehicles = totals ? totals.cars + totals.motorcycles + totals.trucks : 0;
+  const share = (count) => (vehicles > 0 ? round((count / vehicles) * 100) : null);
+  const hoursWithData = new Set(hours.map(hour => hour._id.getTime()));
+  const totalHours = Math.ceil((to - from) / HOUR_MS);
+
+  return {
+    from,
+    to,
+    trafficVolume: {
+      total: totals ? totals.total : null,
+      peakHour: peak ? formatHourRange(peak._id) : null,
+      // Vehicles per hour over the hours with data
+      average: hours.length > 0 ? round(hours.reduce((sum, hour) => sum + hour.volume, 0) / hours.length) : null
+    },
+    congestion: {
+      mostCongestedDay: congestedDay ? DAY_NAMES[congestedDay.dayOfWeek - 1] : null,
+      mostCongestedDate: congestedDay ? congestedDay._id : null,
+      // Seconds, estimated from the signal timing assuming vehicles arrive
+      // evenly over the cycle; no waits are measured
+      averageWaitTime: greenPhases > 0 ? round(waitSum / greenPhases) : null,
+      averageWaitTimeSource: 'estimate'
+    },
+    // Percent of counted vehicles
+    vehicleDistribution: {
+      cars: totals ? share(totals.cars) : null,
+      motorcycles: totals ? share(totals.motorcycles) : null,
+      trucks: totals ? share(totals.trucks) : null
+    },
+    signalPerformance: {
+      avgGreenTime: greenPhases > 0 ? round(greenSum / greenPhases) : null,
+      // Percent of timing decisions that re-timed the signal
+      optimizationRate: decisions.length > 0 ? round((decisions.filter(decision => decision.changed).length / decisions.length) * 100) : null,
+      decisions: decisions.length
+    },
+    coverage: {
+      reports: totals ? totals.reports : 0,
+      hoursWithData: hoursWithData.size,
+      totalHours
+    },
+    gaps: findGaps(from, to, hoursWithData)
+  };
+};
+
+// Change of a figure against the previous period; null when either is missing
+const compareFigure = (current, previous) => ({
+  previous,
+  change: current === null || previous === null ? null : round(current - previous),
+  changePercent: current === null || previous === null || previous === 0 ? null : round(((current - previous) / previous) * 100)
+});
+
+// Simulated signal cycle: each phase clears through yellow and all-red;
+// after all-red either approach may go next
+const NEXT_PHASES = {
+  'North-South Green': ['North-South Yellow'],
+  'North-South Yellow': ['All-Way Red'],
+  'East-West Green': ['East-West Yellow'],
+  'East-West Yellow': ['All-Way Red'],
+  'All-Way Red': ['North-South Green', 'East-West Green']
+};
+const PHASE_DURATIONS = { Green: [20, 45], Yellow: [4, 4], Red: [2, 2] };
+const SIMULATED_CONGESTION = ['Low', 'Medium', 'High'];
+
+// Seconds a phase runs for in the simulation
+const simulatedDuration = (phase) => {
+  const [min, max] = PHASE_DURATIONS[phase.split(' ').pop()] || PHASE_DURATIONS.Red;
+  return min + Math.floor(Math.random() * (max - min + 1));
+};
+
+// One timer per online signal, due when its phase runs out
+const signalTimers = new Map();
+
+const phaseEndsAt = (signal) => (signal.phaseStartedAt && typeof signal.phaseDuration === 'number'
+  ? signal.phaseStartedAt.getTime() + signal.phaseDuration * 1000
+  : 0);
+
+const broadcastPhaseChange = (signal, previousPhase) => {
+  io.emit('signalUpdate', signal);
+  io.emit('phaseChange', {
+    id: signal._id,
+    phase: signal.currentPhase,
+    previousPhase,
+    phaseStartedAt: signal.phaseStartedAt,
+    phaseDuration: signal.phaseDuration
+  });
+};
+
+function scheduleSignal(signal) {
+  const id = signal._id.toString();
+  clearTimeout(signalTimers.get(id));
+  signalTimers.delete(id);
+  if (signal.status !== 'online') return;
+
+  // setTimeout cannot wait longer than 2^31 - 1 ms
+  const delay = Math.min(Math.max(0, phaseEndsAt(signal) - Date.now()), 2147483647);
+  signalTimers.set(id, setTimeout(() => {
+    advanceSignal(id).catch(error => console.error('Error in signal simulation:', error));
+  }, delay));
+}
+
+async function advanceSignal(id) {
+  signalTimers.delete(id);
+  const signal = await Signal.findById(id);
+  if (!signal || signal.status !== 'online') return;
+
+  // The phase was changed in the meantime; wait for the new one to run out
+  const now = Date.now();
+  if (phaseEndsAt(signal) > now) return scheduleSignal(signal);
+
+  const candidates = NEXT_PHASES[signal.currentPhase] || ['All-Way Red'];
+  const previousPhase = signal.currentPhase;
+  signal.currentPhase = candidates[Math.floor(Math.random() * candidates.length)];
+  signal.phaseStartedAt = new Date(now);
+  signal.phaseDuration = simulatedDuration(signal.currentPhase);
+  signal.congestionLevel = SIMULATED_CONGESTION[Math.floor(Math.random() * SIMULATED_CONGESTION.length)];
+  signal.lastUpdate = new Date(now);
+
+  await signal.save();
+  broadcastPhaseChange(signal, previousPhase);
+  scheduleSignal(signal);
+}
+
+async function startSignalSimulation() {
+  try {
+    const signals = await Signal.find({ status: 'online' });
+    signals.forEach(scheduleSignal);
+  } catch (error) {
+    console.error('Error starting signal simulation:', error);
+  }
+}
+
 // Socket.IO connection handling
 io.on('connection', (socket) => {
   console.log('New client connected:', socket.id);
@@ -130,7 +400,8 @@ io.on('connection', (socket) => {
     try {
       const cameras = await Camera.find();
       const signals = await Signal.find();
-      const analytics = await Analytics.findOne().sort({ date: -1 });
+      const to = new Date();
+      const analytics = await summarizeAnalytics(new Date(to.getTime() - TIMEFRAMES.day), to);
       
       socket.emit('initialData', { cameras, signals, analytics });
     } catch (error) {
@@ -164,33 +435,9 @@ io.on('connection', (socket) => {
       }
     }, 8000);
     
-    const signalInterval = setInterval(async () => {
-      try {
-        const signals = await Signal.find({ status: 'online' });
-        if (signals.length > 0) {
-          const randomSignal = signals[Math.floor(Math.random() * signals.length)];
-          
-          // Update signal properties
-          const phases = ['North-South Green', 'East-West Green', 'All-Way Red', 'North-South Yellow', 'East-West Yellow'];
-          const congestionLevels = ['Low', 'Medium', 'High'];
-          
-          randomSignal.currentPhase = phases[Math.floor(Math.random() * phases.length)];
-          randomSignal.remainingTime = `${Math.floor(Math.random() * 45) + 5}s`;
-          randomSignal.congestionLevel = congestionLevels[Math.floor(Math.random() * congestionLevels.length)];
-          randomSignal.lastUpdate = new Date();
-          
-          await randomSignal.save();
-          socket.emit('signalUpdate', randomSignal);
-        }
-      } catch (error) {
-        console.error('Error in signal simulation:', error);
-      }
-    }, 5000);
-    
     // Clean up on disconnect
     socket.on('disconnect', () => {
       clearInterval(cameraInterval);
-      clearInterval(signalInterval);
       console.log('Client disconnected:', socket.id);
     });
   };
@@ -407,7 +654,13 @@ app.put('/api/signals/:id', authenticateToken, authorizeRole(['admin', 'operator
     if (location) signal.location = location;
     if (status) signal.status = status;
     if (mode) signal.mode = mode;
-    if (currentPhase) signal.currentPhase = currentPhase;
+    const previousPhase = signal.currentPhase;
+    const phaseChanged = Boolean(currentPhase) && currentPhase !== signal.currentPhase;
+    if (phaseChanged) {
+      signal.currentPhase = currentPhase;
+      signal.phaseStartedAt = new Date();
+      signal.phaseDuration = simulatedDuration(currentPhase);
+    }
     if (congestionLevel) signal.congestionLevel = congestionLevel;
     
     signal.lastUpdate = new Date();
@@ -415,7 +668,14 @@ app.put('/api/signals/:id', authenticateToken, authorizeRole(['admin', 'operator
     await signal.save();
     
     // Emit to all connected clients
-    io.emit('signalUpdate', signal);
+    if (phaseChanged) {
+      broadcastPhaseChange(signal, previousPhase);
+    } else {
+      io.emit('signalUpdate', signal);
+    }
+    
+    // Status or phase may have changed when the next phase is due
+    scheduleSignal(signal);
     
     res.json(signal);
   } catch (error) {
@@ -429,6 +689,9 @@ app.delete('/api/signals/:id', authenticateToken, authorizeRole(['admin']), asyn
     const signal = await Signal.findByIdAndDelete(req.params.id);
     if (!signal) return res.status(404).json({ message: 'Signal not found' });
     
+    clearTimeout(signalTimers.get(signal._id.toString()));
+    signalTimers.delete(signal._id.toString());
+    
     // Emit to all connected clients
     io.emit('signalRemoved', { id: req.params.id });
     
@@ -442,53 +705,30 @@ app.delete('/api/signals/:id', authenticateToken, authorizeRole(['admin']), asyn
 // Analytics routes
 app.get('/api/analytics', authenticateToken, async (req, res) => {
   try {
-    const timeframe = req.query.timeframe || 'day';
-    
-    // Find the most recent analytics or create default if none exists
-    let analytics = await Analytics.findOne().sort({ date: -1 });
-    
-    if (!analytics) {
-      // Create default analytics for demonstration
-      analytics = new Analytics({
-        trafficVolume: {
-          total: 12450,
-          peakHour: '5:00 PM - 6:00 PM',
-          average: 520
-        },
-        congestion: {
-          mostCongestedDay: 'Friday',
-          averageWaitTime: 4.2
-        },
-        vehicleDistribution: {
-          cars: 68,
-          motorcycles: 12,
-          trucks: 20
-        },
-        signalPerformance: {
-          avgGreenTime: 45,
-          optimizationRate: 87
-        }
-      });
-      
-      await analytics.save();
+    const range = parseTimeframe(req.query);
+    if (!range) {
+      return res.status(400).json({ message: 'Use timeframe=day|week|month or a from/to range of at most a year' });
     }
     
-    // Format analytics based on timeframe
-    const formattedAnalytics = {
-      ...analytics.toObject(),
-      timeframe
-    };
-    
-    // Adjust values based on timeframe for demo purposes
-    if (timeframe === 'week') {
-      formattedAnalytics.trafficVolume.total *= 7;
-      formattedAnalytics.trafficVolume.average *= 1.2;
-    } else if (timeframe === 'month') {
-      formattedAnalytics.trafficVolume.total *= 30;
-      formattedAnalytics.trafficVolume.average *= 1.5;
-    }
+    const { timeframe, from, to } = range;
+    const current = await summarizeAnalytics(from, to);
     
-    res.json(formattedAnalytics);
+    // The period of the same length right before
+    const previous = await summarizeAnalytics(new Date(from.getTime() - (to - from)), from);
+    
+    res.json({
+      ...current,
+      timeframe,
+      comparison: {
+        from: previous.from,
+        to: previous.to,
+        trafficVolumeTotal: compareFigure(current.trafficVolume.total, previous.trafficVolume.total),
+        trafficVolumeAverage: compareFigure(current.trafficVolume.average, previous.trafficVolume.average),
+        averageWaitTime: compareFigure(current.congestion.averageWaitTime, previous.congestion.averageWaitTime),
+        avgGreenTime: compareFigure(current.signalPerformance.avgGreenTime, previous.signalPerformance.avgGreenTime),
+        optimizationRate: compareFigure(current.signalPerformance.optimizationRate, previous.signalPerformance.optimizationRate)
+      }
+    });
   } catch (error) {
     console.error('Error fetching analytics:', error);
     res.status(500).json({ message: 'Server error' });
@@ -519,7 +759,7 @@ app.get('/api/dashboard', authenticateToken, async (req, res) => {
     let congestionLevel = 'Low';
     
     if (avgCongestion >= 2.5) congestionLevel = 'High';
-    else if (avgCongestion >= 1.5) congestionLevel = 'Moderate';
+    else if (avgCongestion >= 1.5) congestionLevel = 'Medium';
     
     // Generate recent events
     const recentEvents = [
@@ -592,10 +832,10 @@ const createDemoData = async () => {
     if (signalCount === 0) {
       // Create sample signals
       const signals = [
-        { name: 'Junction 1', location: 'Main St & 1st Ave', status: 'online', mode: 'AI', currentPhase: 'North-South Green', remainingTime: '35s', congestionLevel: 'Medium' },
-        { name: 'Junction 2', location: 'Broadway & 5th St', status: 'online', mode: 'AI', currentPhase: 'East-West Green', remainingTime: '15s', congestionLevel: 'High' },
-        { name: 'Junction 3', location: 'Park Ave & 3rd St', status: 'online', mode: 'Manual', currentPhase: 'All-Way Red', remainingTime: '5s', congestionLevel: 'Low' },
-        { name: 'Highway Entrance', location: 'Highway 101 Entrance', status: 'offline', mode: 'Scheduled', currentPhase: 'Unknown', remainingTime: '-', congestionLevel: 'Unknown' }
+        { name: 'Junction 1', location: 'Main St & 1st Ave', status: 'online', mode: 'AI', currentPhase: 'North-South Green', phaseStartedAt: new Date(), phaseDuration: 35, congestionLevel: 'Medium' },
+        { name: 'Junction 2', location: 'Broadway & 5th St', status: 'online', mode: 'AI', currentPhase: 'East-West Green', phaseStartedAt: new Date(), phaseDuration: 15, congestionLevel: 'High' },
+        { name: 'Junction 3', location: 'Park Ave & 3rd St', status: 'online', mode: 'Manual', currentPhase: 'All-Way Red', phaseStartedAt: new Date(), phaseDuration: 5, congestionLevel: 'Low' },
+        { name: 'Highway Entrance', location: 'Highway 101 Entrance', status: 'offline', mode: 'Scheduled', currentPhase: 'Unknown', congestionLevel: 'Unknown' }
       ];
       
       await Signal.insertMany(signals);
@@ -624,4 +864,5 @@ server.listen(PORT, async () => {
   // Create default admin and demo data
   await createDefaultAdmin();
   await createDemoData();
+  await startSignalSimulation();
 });
\ No newline at end of file
@@ -0,0 +1,129 @@
+// services/junctionCoverage.js
+// Which camera watches which signal approach (Camera.junction). Camera
+// metrics are attributed to a junction and approach through this mapping,
+// and a signal's live per-approach counts are built from its cameras.
+const mongoose = require('mongoose');
+const Camera = require('../models/Camera');
+const Signal = require('../models/Signal');
+const { APPROACHES } = require('../utils/phases');
+const { CONGESTION_RANK } = require('../utils/congestion');
+
+// Camera metrics older than this are not live any more
+const STALE_AFTER_MS = Number(process.env.SIGNAL_METRICS_STALE_MS) || 2 * 60 * 1000;
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Check a { signal, approach, lanes } mapping; returns it cleaned up
+async function validateCoverage({ signal, approach, lanes }) {
+  if (!APPROACHES.includes(approach)) {
+    throw httpError(400, `Approach must be one of ${APPROACHES.join(', ')}`);
+  }
+  if (!mongoose.isValidObjectId(signal)) {
+    throw httpError(400, 'Signal must be a signal id');
+  }
+  if (!(await Signal.exists({ _id: signal }))) {
+    throw httpError(404, 'Signal not found');
+  }
+  if (lanes !== undefined && (!Array.isArray(lanes) || !lanes.every(lane => Number.isInteger(lane) && lane > 0))) {
+    throw httpError(400, 'Lanes must be a list of lane numbers');
+  }
+
+  return { signal, approach, lanes: lanes || [] };
+}
+
+// Junction and approach for a camera's metrics; an explicit mapping wins
+// over a junctionId sent by the device
+const attributionFor = (camera, metrics = {}) => {
+  const junction = camera && camera.junction;
+
+  if (junction && junction.signal) {
+    return { junctionId: junction.signal, approach: junction.approach };
+  }
+
+  return { junctionId: metrics.junctionId, approach: undefined };
+};
+
+const junctionCameras = (signalId) => Camera.find({ 'junction.signal': signalId });
+
+const isLive = (camera, now = Date.now()) => camera.status !== 'offline'
+  && Boolean(camera.metrics)
+  && Boolean(camera.lastSeen)
+  && now - new Date(camera.lastSeen) <= STALE_AFTER_MS;
+
+/**
+ * Live counts per approach of a signal, summed over the cameras covering
+ * each approach. Approaches without a live camera have null counts.
+ */
+async function approachCounts(signalId) {
+  const cameras = await junctionCameras(signalId);
+  const now = Date.now();
+  const approaches = {};
+
+  cameras.forEach(camera => {
+    const { approach, lanes } = camera.junction;
+    const entry = approaches[approach] || (approaches[approach] = {
+      cameras: [],
+      lanes: [],
+      vehicleCount: null,
+      vehicleTypes: null,
+      averageSpeed: null,
+      congestionLevel: null,
+      updatedAt: null
+    });
+
+    entry.cameras.push({ id: camera._id, name: camera.name, status: camera.status, live: isLive(camera, now) });
+    (lanes || []).forEach(lane => {
+      if (!entry.lanes.includes(lane)) entry.lanes.push(lane);
+    });
+
+    if (!isLive(camera, now)) return;
+
+    const metrics = camera.metrics;
+    const count = metrics.vehicleCount || 0;
+    const types = metrics.vehicleTypes || {};
+
+    // Speed is averaged weighted by each camera's count
+    const counted = entry.vehicleCount || 0;
+    if (metrics.averageSpeed !== undefined && metrics.averageSpeed !== null) {
+      entry.averageSpeed = counted + count > 0
+        ? ((entry.averageSpeed || 0) * counted + metrics.averageSpeed * count) / (counted + count)
+        : metrics.averageSpeed;
+    }
+
+    entry.vehicleCount = counted + count;
+    entry.vehicleTypes = {
+      cars: ((entry.vehicleTypes && entry.vehicleTypes.cars) || 0) + (types.cars || 0),
+      motorcycles: ((entry.vehicleTypes && entry.vehicleTypes.motorcycles) || 0) + (types.motorcycles || 0),
+      trucks: ((entry.vehicleTypes && entry.vehicleTypes.trucks) || 0) + (types.trucks || 0)
+    };
+
+    // The most congested view of an approach stands for it
+    if ((CONGESTION_RANK[metrics.congestionLevel] || 0) > (CONGESTION_RANK[entry.congestionLevel] || 0)) {
+      entry.congestionLevel = metrics.congestionLevel;
+    }
+
+    if (!entry.updatedAt || camera.lastSeen < entry.updatedAt) {
+      entry.updatedAt = camera.lastSeen;
+    }
+  });
+
+  Object.values(approaches).forEach(entry => {
+    entry.lanes.sort((a, b) => a - b);
+    if (entry.averageSpeed !== null) entry.averageSpeed = Number(entry.averageSpeed.toFixed(1));
+  });
+
+  return approaches;
+}
+
+module.exports = {
+  STALE_AFTER_MS,
+  validateCoverage,
+  attributionFor,
+  junctionCameras,
+  isLive,
+  approachCounts
+};
@@ -0,0 +1,105 @@
+// services/overrideManager.js
+// Manual overrides expire: once an override's expiresAt passes, the signal
+// goes back to its previous mode and plan and its schedule is re-evaluated.
+const Signal = require('../models/Signal');
+const { getPhasePlan } = require('../utils/phases');
+const { createSignalScheduler } = require('./signalScheduler');
+const { sendCommand } = require('./deviceCommands');
+
+const config = {
+  intervalMs: Number(process.env.OVERRIDE_CHECK_INTERVAL_MS) || 5000,
+  defaultDuration: Number(process.env.OVERRIDE_DEFAULT_S) || 15 * 60,
+  maxDuration: Number(process.env.OVERRIDE_MAX_S) || 4 * 60 * 60
+};
+
+// Signal as sent to dashboards; an override also carries the seconds left
+// until it expires, so clients can count down without comparing clocks
+const withOverrideExpiry = (signal, now = new Date()) => {
+  const payload = signal.toJSON();
+  if (signal.override && signal.override.expiresAt) {
+    payload.override.remaining = Math.max(0, Math.round((signal.override.expiresAt - now) / 1000));
+  }
+  return payload;
+};
+
+// End the override on a signal. Signals under preemption keep theirs until released.
+async function releaseOverride(io, signalId, reason) {
+  const signal = await Signal.findOne({ _id: signalId, 'override.expiresAt': { $exists: true } });
+  if (!signal || signal.mode === 'Preemption') return null;
+
+  const override = signal.override.toObject();
+
+  if (signal.mode === 'Manual') {
+    signal.mode = override.previousMode || 'AI';
+  }
+  signal.override = undefined;
+
+  await signal.save();
+
+  await sendCommand(io, {
+    deviceType: 'signal',
+    device: signal._id,
+    event: 'configUpdate',
+    payload: {
+      mode: signal.mode,
+      phases: getPhasePlan(signal)
+    }
+  });
+  io.to('admin').emit('signalUpdate', signal);
+
+  // Apply any schedule window that opened or closed during the override
+  await createSignalScheduler(io).evaluateSignal(signal);
+
+  console.log(`Override on signal ${signal._id} held by ${override.ownerEmail} ended (${reason}), mode ${signal.mode}`);
+
+  return signal;
+}
+
+function createOverrideManager(io) {
+  let timer = null;
+
+  async function run() {
+    try {
+      const expired = await Signal.find({
+        mode: 'Manual',
+        'override.expiresAt': { $lte: new Date() }
+      });
+
+      for (const signal of expired) {
+        try {
+          await releaseOverride(io, signal._id, 'expired');
+        } catch (error) {
+          console.error(`Override release error for signal ${signal._id}:`, error);
+        }
+      }
+    } catch (error) {
+      console.error('Override manager error:', error);
+    }
+  }
+
+  function start() {
+    if (!timer) {
+      // Release overrides that expired while the server was down
+      run();
+      timer = setInterval(run, config.intervalMs);
+    }
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    start,
+    stop,
+    run
+  };
+}
+
+module.exports = {
+  OVERRIDE_DEFAULTS: config,
+  withOverrideExpiry,
+  releaseOverride,
+  createOverrideManager
+};
@@ -0,0 +1,218 @@
+// utils/phaseStateMachine.js
+// Per-signal phase state machine built from the running phase plan. Checks a
+// requested phase change against legal transitions, minimum green,
+// yellow/all-red clearance intervals and maximum durations.
+const { parsePhase, getPhasePlan } = require('./phases');
+
+// Fallbacks for limits not set in Signal.settings.safety (seconds)
+const DEFAULT_LIMITS = {
+  minGreen: 7,
+  maxGreen: 120,
+  minYellow: 3,
+  maxYellow: 6,
+  minAllRed: 1,
+  maxAllRed: 10
+};
+
+const getLimits = (signal) => {
+  const configured = (signal.settings && signal.settings.safety) || {};
+  const limits = { ...DEFAULT_LIMITS };
+
+  Object.keys(DEFAULT_LIMITS).forEach(key => {
+    if (typeof configured[key] === 'number') limits[key] = configured[key];
+  });
+
+  return limits;
+};
+
+const isAllRed = (phase) => phase.indication === 'Red' && phase.approaches.length === 4;
+
+// [min, max] duration allowed for a phase
+const durationBounds = (phase, limits) => {
+  if (phase.indication === 'Green') return [limits.minGreen, limits.maxGreen];
+  if (phase.indication === 'Yellow') return [limits.minYellow, limits.maxYellow];
+  if (phase.indication === 'Red') return [limits.minAllRed, limits.maxAllRed];
+  return [0, Infinity];
+};
+
+function buildPhaseStateMachine(signal) {
+  const plan = getPhasePlan(signal);
+  const limits = getLimits(signal);
+  const phases = new Map();
+  const transitions = new Map();
+
+  plan.forEach(({ name }) => {
+    if (!phases.has(name)) {
+      phases.set(name, parsePhase(name));
+      transitions.set(name, new Set());
+    }
+  });
+
+  const all = [...phases.values()];
+
+  // Follow the plan's own sequence
+  plan.forEach(({ name }, i) => {
+    transitions.get(name).add(plan[(i + 1) % plan.length].name);
+  });
+
+  all.forEach(phase => {
+    // A green may always clear through its own yellow
+    if (phase.indication === 'Green') {
+      all
+        .filter(other => other.indication === 'Yellow'
+          && other.approaches.join() === phase.approaches.join())
+        .forEach(other => transitions.get(phase.name).add(other.name));
+    }
+
+    // After all-red clearance any approach may be served next
+    if (isAllRed(phase)) {
+      all
+        .filter(other => other.indication === 'Green')
+        .forEach(other => transitions.get(phase.name).add(other.name));
+    }
+  });
+
+  const canTransition = (from, to) => transitions.has(from) && transitions.get(from).has(to);
+
+  // Shortest legal sequence of phases from `from` to another phase `to`, excluding `from`
+  const pathTo = (from, to) => {
+    if (!transitions.has(from) || from === to) return null;
+
+    const previous = new Map([[from, null]]);
+    const queue = [from];
+
+    while (queue.length > 0 && !previous.has(to)) {
+      const current = queue.shift();
+
+      for (const next of transitions.get(current)) {
+        if (!previous.has(next)) {
+          previous.set(next, current);
+          queue.push(next);
+        }
+      }
+    }
+
+    if (!previous.has(to)) return null;
+
+    const path = [];
+    for (let step = to; step !== from; step = previous.get(step)) {
+      path.unshift(step);
+    }
+    return path;
+  };
+
+  /**
+   * Check a requested change of `signal` to { phase, duration } at `now`.
+   * Returns a list of { rule, msg, ... } violations, empty when allowed.
+   */
+  const checkTransition = ({ phase, duration }, now = new Date()) => {
+    const violations = [];
+    const from = signal.currentPhase;
+    const to = phase || from;
+    const target = phases.get(to);
+    const current = phases.get(from);
+    // Legacy signals without a start time are treated as having served their minimum
+    const elapsed = signal.phaseStartedAt ? (now - new Date(signal.phaseStartedAt)) / 1000 : null;
+
+    if (!target) {
+      violations.push({
+        rule: 'UNKNOWN_PHASE',
+        msg: `'${to}' is not part of this signal's phase plan`,
+        phases: [...phases.keys()]
+      });
+      return violations;
+    }
+
+    if (to !== from) {
+      if (!current) {
+        // From an unknown state the only safe move is into all-red
+        if (!isAllRed(target)) {
+          violations.push({
+            rule: 'ILLEGAL_TRANSITION',
+            msg: `Current phase '${from}' is unknown; the signal must go to all-red first`,
+            from,
+            to,
+            allowed: all.filter(isAllRed).map(p => p.name)
+          });
+        }
+      } else if (!canTransition(from, to)) {
+        violations.push({
+          rule: 'ILLEGAL_TRANSITION',
+          msg: `Cannot go from '${from}' to '${to}' without clearance`,
+          from,
+          to,
+          allowed: [...transitions.get(from)],
+          requiredSequence: pathTo(from, to)
+        });
+      }
+
+      // The running phase must have served its minimum before it is left
+      if (current && elapsed !== null) {
+        const [minimum] = durationBounds(current, limits);
+
+        if (elapsed < minimum) {
+          const rule = current.indication === 'Green' ? 'MIN_GREEN' : 'CLEARANCE_INCOMPLETE';
+          violations.push({
+            rule,
+            msg: `'${from}' has run ${Math.floor(elapsed)}s of its ${minimum}s minimum`,
+            phase: from,
+            elapsed: Math.floor(elapsed),
+            minimum,
+            retryAfter: Math.ceil(minimum - elapsed)
+          });
+        }
+      }
+    }
+
+    if (duration !== undefined) {
+      const [minimum, maximum] = durationBounds(target, limits);
+      // Extending the running phase counts the time it has already served
+      const served = to === from && elapsed !== null ? Math.floor(elapsed) : 0;
+
+      if (duration < minimum) {
+        violations.push({
+          rule: target.indication === 'Green' ? 'MIN_GREEN' : 'MIN_CLEARANCE',
+          msg: `'${to}' must last at least ${minimum}s`,
+          phase: to,
+          duration,
+          minimum
+        });
+      } else if (served + duration > maximum) {
+        violations.push({
+          rule: 'MAX_DURATION',
+          msg: `'${to}' may last at most ${maximum}s`,
+          phase: to,
+          duration,
+          served,
+          maximum
+        });
+      }
+    }
+
+    return violations;
+  };
+
+  // Planned duration of a phase, used when a request gives none
+  const plannedDuration = (name) => {
+    const entry = plan.find(p => p.name === name);
+    return entry ? entry.duration : undefined;
+  };
+
+  // [min, max] duration allowed for a phase of this plan
+  const bounds = (name) => (phases.has(name) ? durationBounds(phases.get(name), limits) : null);
+
+  return {
+    phases: [...phases.keys()],
+    limits,
+    bounds,
+    canTransition,
+    pathTo,
+    checkTransition,
+    plannedDuration
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  buildPhaseStateMachine
+};
@@ -0,0 +1,59 @@
+// utils/phases.js
+// Helpers for the phase names used across the signal code, e.g.
+// 'North-South Green', 'East-West Yellow' and 'All-Way Red'.
+
+const APPROACHES = ['North', 'South', 'East', 'West'];
+
+// Plan used when a signal has no settings.phases configured
+const DEFAULT_PHASES = [
+  { name: 'North-South Green', duration: 30 },
+  { name: 'North-South Yellow', duration: 4 },
+  { name: 'All-Way Red', duration: 2 },
+  { name: 'East-West Green', duration: 30 },
+  { name: 'East-West Yellow', duration: 4 },
+  { name: 'All-Way Red', duration: 2 }
+];
+
+// Split a phase name into the approaches it serves and its indication
+const parsePhase = (name) => {
+  const match = /^(.+?)\s+(green|yellow|red)$/i.exec(String(name || '').trim());
+
+  if (!match) {
+    return { name, approaches: [], indication: 'Unknown' };
+  }
+
+  const indication = match[2].charAt(0).toUpperCase() + match[2].slice(1).toLowerCase();
+  const approaches = /^all/i.test(match[1])
+    ? [...APPROACHES]
+    : match[1]
+        .split('-')
+        .map(part => part.trim().charAt(0).toUpperCase() + part.trim().slice(1).toLowerCase())
+        .filter(part => APPROACHES.includes(part));
+
+  return { name, approaches, indication };
+};
+
+const isGreen = (name) => parsePhase(name).indication === 'Green';
+
+// Phase plan a signal is running as plain objects: the active schedule
+// window's plan if it has one, otherwise the configured settings.phases
+const getPhasePlan = (signal) => {
+  const scheduled = signal && signal.scheduleState && signal.scheduleState.phases;
+  const phases = scheduled && scheduled.length > 0
+    ? scheduled
+    : signal && signal.settings && signal.settings.phases;
+
+  if (!phases || phases.length === 0) {
+    return DEFAULT_PHASES.map(phase => ({ ...phase }));
+  }
+
+  return phases.map(phase => ({ name: phase.name, duration: phase.duration }));
+};
+
+module.exports = {
+  APPROACHES,
+  DEFAULT_PHASES,
+  parsePhase,
+  isGreen,
+  getPhasePlan
+};
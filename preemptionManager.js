@@ -0,0 +1,322 @@
+// services/preemptionManager.js
+// Emergency vehicle preemption: drives each signal on a route through a safe
+// clearance into green for the vehicle's approach, one after another, holds
+// it until the vehicle passes or the timeout expires, then restores the
+// signal's previous mode and plan.
+const Preemption = require('../models/Preemption');
+const Signal = require('../models/Signal');
+const { parsePhase, getPhasePlan } = require('../utils/phases');
+const { buildPhaseStateMachine } = require('../utils/phaseStateMachine');
+const { emitPhaseChange } = require('../utils/signalState');
+const { sendCommand } = require('./deviceCommands');
+
+const DEFAULT_TIMEOUT = Number(process.env.PREEMPTION_TIMEOUT_S) || 120;
+
+// Longest hold an operator may request (seconds)
+const MAX_TIMEOUT = Number(process.env.PREEMPTION_MAX_TIMEOUT_S) || 1800;
+
+// A vehicle heading north arrives on the south approach, and so on
+const APPROACH_FOR_HEADING = { North: 'South', South: 'North', East: 'West', West: 'East' };
+
+// In-flight preemptions by id: { cancelled, timer, released }
+const runs = new Map();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Green phase of a signal's plan serving a vehicle with the given heading
+const targetPhaseFor = (signal, direction) => {
+  const approach = APPROACH_FOR_HEADING[direction];
+  const green = getPhasePlan(signal).find(phase => {
+    const parsed = parsePhase(phase.name);
+    return parsed.indication === 'Green' && parsed.approaches.includes(approach);
+  });
+
+  return green ? green.name : null;
+};
+
+const updateEntry = (id, signalId, fields) => {
+  const $set = {};
+  Object.keys(fields).forEach(key => {
+    $set[`signals.$.${key}`] = fields[key];
+  });
+
+  return Preemption.findOneAndUpdate({ _id: id, 'signals.signal': signalId }, { $set }, { new: true });
+};
+
+const notify = (io, preemption) => {
+  if (preemption) io.to('admin').emit('preemptionUpdate', preemption);
+};
+
+// Hand a signal back to the mode it had before the preemption
+async function releaseSignal(io, preemptionId, entry) {
+  const signal = await Signal.findOneAndUpdate(
+    { _id: entry.signal, mode: 'Preemption' },
+    { $set: { mode: entry.previousMode || 'AI' } },
+    { new: true }
+  );
+
+  if (signal) {
+    await sendCommand(io, {
+      deviceType: 'signal',
+      device: signal._id,
+      event: 'controlCommand',
+      payload: {
+        mode: signal.mode,
+        phases: getPhasePlan(signal),
+        resume: true,
+        preemption: preemptionId
+      }
+    });
+    io.to('admin').emit('signalUpdate', signal);
+  }
+
+  return updateEntry(preemptionId, entry.signal, { status: 'released', releasedAt: new Date() });
+}
+
+// Step a signal through clearance into its target green
+async function driveToGreen(io, preemption, entry, run) {
+  let signal = await Signal.findById(entry.signal);
+  let machine = buildPhaseStateMachine(signal);
+  const target = entry.targetPhase;
+
+  let sequence = [];
+  if (signal.currentPhase !== target) {
+    sequence = machine.pathTo(signal.currentPhase, target);
+
+    // From an unknown phase go through all-red first
+    if (!sequence) {
+      const allRed = machine.phases.find(name => {
+        const parsed = parsePhase(name);
+        return parsed.indication === 'Red' && parsed.approaches.length === 4;
+      });
+      sequence = allRed ? [allRed, ...(machine.pathTo(allRed, target) || [target])] : [target];
+    }
+  }
+
+  notify(io, await updateEntry(preemption._id, entry.signal, { status: 'clearing' }));
+
+  for (const phase of sequence) {
+    // The running phase still gets its minimum green or clearance
+    const waits = machine.checkTransition({ phase })
+      .filter(violation => violation.retryAfter)
+      .map(violation => violation.retryAfter);
+    if (waits.length > 0) await sleep(Math.max(...waits) * 1000);
+    if (run.cancelled || run.released.has(entry.signal.toString())) return;
+
+    const isTarget = phase === target;
+    const [minimum] = machine.bounds(phase);
+    const duration = isTarget
+      ? preemption.timeout
+      : Math.max(machine.plannedDuration(phase) || 0, minimum);
+
+    const previousPhase = signal.currentPhase;
+    signal = await Signal.findByIdAndUpdate(
+      signal._id,
+      { $set: { currentPhase: phase, phaseStartedAt: new Date(), phaseDuration: duration } },
+      { new: true }
+    );
+    machine = buildPhaseStateMachine(signal);
+
+    await sendCommand(io, {
+      deviceType: 'signal',
+      device: signal._id,
+      event: 'controlCommand',
+      payload: {
+        mode: 'Preemption',
+        phase,
+        duration,
+        preemption: preemption._id
+      }
+    });
+    io.to('admin').emit('signalUpdate', signal);
+    emitPhaseChange(io, signal, previousPhase);
+
+    if (!isTarget) {
+      await sleep(duration * 1000);
+      if (run.cancelled || run.released.has(entry.signal.toString())) return;
+    }
+  }
+
+  notify(io, await updateEntry(preemption._id, entry.signal, { status: 'green', greenAt: new Date() }));
+}
+
+// End a preemption and release every signal still held
+async function finishPreemption(io, id, status, reason) {
+  const run = runs.get(id.toString());
+  if (run) {
+    run.cancelled = true;
+    clearTimeout(run.timer);
+    runs.delete(id.toString());
+  }
+
+  const preemption = await Preemption.findOneAndUpdate(
+    { _id: id, status: 'active' },
+    { $set: { status, endedAt: new Date(), endReason: reason } },
+    { new: true }
+  );
+  if (!preemption) return null;
+
+  for (const entry of preemption.signals) {
+    if (entry.status !== 'released') {
+      await releaseSignal(io, preemption._id, entry);
+    }
+  }
+
+  const finished = await Preemption.findById(id);
+  notify(io, finished);
+  console.log(`Preemption ${id} ${status}: ${reason}`);
+
+  return finished;
+}
+
+/**
+ * Start a preemption along `signals` (ids in route order) for a vehicle
+ * heading in `direction`. Throws an error with an HTTP `status` when the
+ * route cannot be preempted.
+ */
+async function requestPreemption(io, { signals, direction, timeout, vehicleId, requestedBy }) {
+  if (!APPROACH_FOR_HEADING[direction]) {
+    throw httpError(400, 'Direction must be one of North, South, East, West');
+  }
+  if (!Array.isArray(signals) || signals.length === 0) {
+    throw httpError(400, 'A preemption route needs at least one signal');
+  }
+  if (timeout !== undefined && timeout !== null
+    && (typeof timeout !== 'number' || !Number.isFinite(timeout) || timeout <= 0 || timeout > MAX_TIMEOUT)) {
+    throw httpError(400, `Timeout must be a number of seconds from 1 to ${MAX_TIMEOUT}`);
+  }
+
+  const found = await Signal.find({ _id: { $in: signals } });
+  const route = signals.map(id => found.find(signal => signal._id.equals(id)));
+
+  if (route.some(signal => !signal)) {
+    throw httpError(404, 'Signal not found');
+  }
+
+  const entries = route.map(signal => ({
+    signal: signal._id,
+    targetPhase: targetPhaseFor(signal, direction)
+  }));
+
+  const unserved = route.filter((signal, i) => !entries[i].targetPhase);
+  if (unserved.length > 0) {
+    throw httpError(409, `No green phase serves ${direction}-bound traffic at ${unserved.map(signal => signal.name).join(', ')}`);
+  }
+
+  // Claim every signal so the scheduler, engine and other preemptions leave it alone
+  const claimed = [];
+  const unclaim = () => Promise.all(claimed.map(item => Signal.updateOne(
+    { _id: item.signal, mode: 'Preemption' },
+    { $set: { mode: item.previousMode } }
+  )));
+
+  for (const entry of entries) {
+    const previous = await Signal.findOneAndUpdate(
+      { _id: entry.signal, mode: { $ne: 'Preemption' } },
+      { $set: { mode: 'Preemption' } }
+    );
+
+    if (!previous) {
+      await unclaim();
+      throw httpError(409, `Signal ${entry.signal} is already under preemption`);
+    }
+
+    entry.previousMode = previous.mode;
+    entry.previousPhase = previous.currentPhase;
+    claimed.push(entry);
+  }
+
+  // Nothing would release the signals without a stored preemption
+  let preemption;
+  try {
+    preemption = await Preemption.create({
+      direction,
+      vehicleId,
+      requestedBy,
+      timeout: timeout || DEFAULT_TIMEOUT,
+      signals: entries
+    });
+  } catch (error) {
+    await unclaim();
+    throw error;
+  }
+
+  const run = { cancelled: false, released: new Set() };
+  run.timer = setTimeout(() => {
+    finishPreemption(io, preemption._id, 'timedOut', 'Timeout expired before the vehicle cleared the route')
+      .catch(error => console.error('Preemption timeout error:', error));
+  }, preemption.timeout * 1000);
+  runs.set(preemption._id.toString(), run);
+
+  notify(io, preemption);
+
+  // Open the route signal by signal in the background
+  (async () => {
+    try {
+      for (const entry of preemption.signals) {
+        if (run.cancelled) return;
+        if (run.released.has(entry.signal.toString())) continue;
+
+        await driveToGreen(io, preemption, entry, run);
+      }
+    } catch (error) {
+      console.error('Preemption error:', error);
+      await finishPreemption(io, preemption._id, 'failed', error.message);
+    }
+  })();
+
+  return preemption;
+}
+
+// Record that the vehicle has passed a signal and release it
+async function markPassed(io, id, signalId) {
+  const preemption = await Preemption.findOne({ _id: id, status: 'active' });
+  if (!preemption) throw httpError(404, 'Active preemption not found');
+
+  const entry = preemption.signals.find(item => item.signal.equals(signalId));
+  if (!entry) throw httpError(400, 'Signal is not on this preemption route');
+
+  const run = runs.get(preemption._id.toString());
+  if (run) run.released.add(entry.signal.toString());
+
+  await updateEntry(id, entry.signal, { passedAt: new Date() });
+  const updated = await releaseSignal(io, preemption._id, entry);
+
+  if (updated.signals.every(item => item.status === 'released')) {
+    return finishPreemption(io, id, 'completed', 'Vehicle cleared the route');
+  }
+
+  notify(io, updated);
+  return updated;
+}
+
+async function cancelPreemption(io, id, reason = 'Cancelled by operator') {
+  const preemption = await finishPreemption(io, id, 'cancelled', reason);
+  if (!preemption) throw httpError(404, 'Active preemption not found');
+  return preemption;
+}
+
+// Preemptions cannot survive a restart; release whatever they still held
+async function recoverPreemptions(io) {
+  try {
+    const active = await Preemption.find({ status: 'active' });
+    for (const preemption of active) {
+      await finishPreemption(io, preemption._id, 'failed', 'Server restarted during preemption');
+    }
+  } catch (error) {
+    console.error('Preemption recovery error:', error);
+  }
+}
+
+module.exports = {
+  requestPreemption,
+  markPassed,
+  cancelPreemption,
+  recoverPreemptions
+};
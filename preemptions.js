@@ -0,0 +1,92 @@
+// routes/preemptions.js
+const express = require('express');
+const router = express.Router();
+const Preemption = require('../models/Preemption');
+const { authenticateToken, isOperator } = require('../middleware/auth');
+const { requestPreemption, markPassed, cancelPreemption } = require('../services/preemptionManager');
+
+// Get preemption log (optionally filtered by status or signal)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.signal) filter['signals.signal'] = req.query.signal;
+
+    const preemptions = await Preemption.find(filter)
+      .sort({ startedAt: -1 })
+      .limit(Math.min(parseInt(req.query.limit, 10) || 100, 500))
+      .populate('signals.signal', 'name location');
+
+    res.json(preemptions);
+  } catch (err) {
+    console.error('Get preemptions error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get single preemption
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const preemption = await Preemption.findById(req.params.id).populate('signals.signal', 'name location');
+    if (!preemption) {
+      return res.status(404).json({ message: 'Preemption not found' });
+    }
+    res.json(preemption);
+  } catch (err) {
+    console.error('Get preemption error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Request preemption along an emergency route
+router.post('/', authenticateToken, isOperator, async (req, res) => {
+  try {
+    const { signals, direction, timeout, vehicleId } = req.body || {};
+
+    const preemption = await requestPreemption(req.app.get('io'), {
+      signals,
+      direction,
+      timeout,
+      vehicleId,
+      requestedBy: req.user.id
+    });
+
+    res.status(201).json(preemption);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Request preemption error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Report that the vehicle has passed a signal
+router.post('/:id/passed', authenticateToken, isOperator, async (req, res) => {
+  try {
+    const preemption = await markPassed(req.app.get('io'), req.params.id, (req.body || {}).signal);
+    res.json(preemption);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Preemption passed error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Cancel an active preemption
+router.post('/:id/cancel', authenticateToken, isOperator, async (req, res) => {
+  try {
+    const preemption = await cancelPreemption(req.app.get('io'), req.params.id, (req.body || {}).reason);
+    res.json(preemption);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Cancel preemption error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,163 @@
+// utils/regions.js
+// Counting lines and detection zones drawn on a camera image
+// (Camera.settings.countingLines / settings.zones). Points are normalized to
+// 0-1 of the image width and height so they survive resolution changes.
+
+const DIRECTIONS = ['North', 'South', 'East', 'West'];
+const MOVEMENTS = ['through', 'left', 'right', 'uturn'];
+const VEHICLE_CLASSES = ['cars', 'motorcycles', 'trucks'];
+
+const isPoint = (point) => point
+  && Number.isFinite(point.x) && Number.isFinite(point.y)
+  && point.x >= 0 && point.x <= 1 && point.y >= 0 && point.y <= 1;
+
+// Orientation of the turn a -> b -> c: >0 counterclockwise, <0 clockwise
+const cross = (a, b, c) => (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+
+const segmentsCross = (a, b, c, d) => cross(a, b, c) * cross(a, b, d) < 0 && cross(c, d, a) * cross(c, d, b) < 0;
+
+// Edges of a polygon crossing each other (neighbouring edges share a point)
+const selfIntersects = (polygon) => {
+  const edges = polygon.map((point, i) => [point, polygon[(i + 1) % polygon.length]]);
+
+  for (let i = 0; i < edges.length; i++) {
+    for (let j = i + 2; j < edges.length; j++) {
+      if (i === 0 && j === edges.length - 1) continue;
+      if (segmentsCross(edges[i][0], edges[i][1], edges[j][0], edges[j][1])) return true;
+    }
+  }
+  return false;
+};
+
+// Lane, direction, movement and vehicle classes shared by lines and zones
+const validateTags = (region, path, errors) => {
+  if (region.lane !== undefined && region.lane !== null && (!Number.isInteger(region.lane) || region.lane < 1)) {
+    errors.push({ path: `${path}.lane`, msg: 'Lane must be a lane number from 1' });
+  }
+  if (region.direction !== undefined && region.direction !== null && !DIRECTIONS.includes(region.direction)) {
+    errors.push({ path: `${path}.direction`, msg: `Direction must be one of ${DIRECTIONS.join(', ')}` });
+  }
+  if (region.movement !== undefined && region.movement !== null && !MOVEMENTS.includes(region.movement)) {
+    errors.push({ path: `${path}.movement`, msg: `Movement must be one of ${MOVEMENTS.join(', ')}` });
+  }
+  if (region.vehicleClasses !== undefined
+    && (!Array.isArray(region.vehicleClasses) || !region.vehicleClasses.every(type => VEHICLE_CLASSES.includes(type)))) {
+    errors.push({ path: `${path}.vehicleClasses`, msg: `Vehicle classes must be from ${VEHICLE_CLASSES.join(', ')}` });
+  }
+};
+
+/**
+ * Validate counting lines and zones before they are saved.
+ * Returns a list of { path, msg } errors, empty when they are valid.
+ */
+const validateRegions = (settings) => {
+  const { countingLines, zones } = settings || {};
+  const errors = [];
+  const ids = new Map();
+
+  const checkId = (region, path) => {
+    if (typeof region.id !== 'string' || region.id.trim() === '') {
+      errors.push({ path: `${path}.id`, msg: 'Id is required' });
+    } else if (ids.has(region.id)) {
+      errors.push({ path: `${path}.id`, msg: `Id '${region.id}' is already used by ${ids.get(region.id)}` });
+    } else {
+      ids.set(region.id, path);
+    }
+  };
+
+  [['countingLines', countingLines], ['zones', zones]].forEach(([key, regions]) => {
+    if (regions === undefined) return;
+    if (!Array.isArray(regions)) {
+      errors.push({ path: `settings.${key}`, msg: `${key === 'zones' ? 'Zones' : 'Counting lines'} must be an array` });
+      return;
+    }
+
+    regions.forEach((region, index) => {
+      const path = `settings.${key}[${index}]`;
+      if (region === null || typeof region !== 'object' || Array.isArray(region)) {
+        errors.push({ path, msg: `${key === 'zones' ? 'A zone' : 'A counting line'} must be an object` });
+        return;
+      }
+
+      checkId(region, path);
+      validateTags(region, path, errors);
+
+      if (key === 'countingLines') {
+        const points = region.points;
+        if (!Array.isArray(points) || points.length !== 2 || !points.every(isPoint)) {
+          errors.push({ path: `${path}.points`, msg: 'A counting line needs two points with x and y between 0 and 1' });
+        } else if (points[0].x === points[1].x && points[0].y === points[1].y) {
+          errors.push({ path: `${path}.points`, msg: 'Counting line points must differ' });
+        }
+      } else {
+        const polygon = region.polygon;
+        if (!Array.isArray(polygon) || polygon.length < 3 || !polygon.every(isPoint)) {
+          errors.push({ path: `${path}.polygon`, msg: 'A zone needs at least three points with x and y between 0 and 1' });
+        } else if (selfIntersects(polygon)) {
+          errors.push({ path: `${path}.polygon`, msg: 'Zone edges must not cross' });
+        }
+      }
+    });
+  });
+
+  return errors;
+};
+
+// Tags of every configured region by id
+const regionIndex = (settings) => {
+  const { countingLines, zones } = settings || {};
+  const index = new Map();
+  (countingLines || []).forEach(line => index.set(line.id, { kind: 'line', region: line }));
+  (zones || []).forEach(zone => index.set(zone.id, { kind: 'zone', region: zone }));
+  return index;
+};
+
+// Human readable label such as 'Northbound left lane 2'
+const describeRegion = (region) => {
+  const parts = [];
+  if (region.direction) parts.push(`${region.direction}bound`);
+  if (region.movement && region.movement !== 'through') parts.push(region.movement === 'uturn' ? 'U-turn' : `${region.movement}-turn`);
+  parts.push(region.lane ? `lane ${region.lane}` : 'all lanes');
+  return region.name || parts.join(' ');
+};
+
+/**
+ * Per-region counts reported by a camera ({ regions: [{ id, vehicleCount,
+ * vehicleTypes, averageSpeed }] }) joined with the tags of its configured
+ * lines and zones. Counts for regions the camera does not have are dropped.
+ */
+const breakdownMetrics = (settings, reported) => {
+  if (!Array.isArray(reported)) return [];
+  const index = regionIndex(settings);
+
+  return reported
+    .filter(entry => entry && index.has(entry.id))
+    .map(entry => {
+      const { kind, region } = index.get(entry.id);
+      const types = entry.vehicleTypes || {};
+      return {
+        region: region.id,
+        kind,
+        label: describeRegion(region),
+        lane: region.lane,
+        direction: region.direction,
+        movement: region.movement,
+        vehicleCount: Number(entry.vehicleCount) || 0,
+        vehicleTypes: {
+          cars: Number(types.cars) || 0,
+          motorcycles: Number(types.motorcycles) || 0,
+          trucks: Number(types.trucks) || 0
+        },
+        averageSpeed: Number.isFinite(Number(entry.averageSpeed)) ? Number(entry.averageSpeed) : undefined
+      };
+    });
+};
+
+module.exports = {
+  DIRECTIONS,
+  MOVEMENTS,
+  VEHICLE_CLASSES,
+  validateRegions,
+  describeRegion,
+  breakdownMetrics
+};
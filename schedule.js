@@ -0,0 +1,141 @@
+// utils/schedule.js
+// Weekly schedule windows from Signal.settings.schedule.timings.
+// A window runs from startTime to endTime on dayOfWeek (0 = Sunday) in the
+// schedule's timezone; an endTime earlier than startTime ends the next day.
+
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const SCHEDULE_MODES = ['AI', 'Scheduled'];
+
+const DEFAULT_TIMEZONE = process.env.SIGNAL_SCHEDULE_TZ || 'UTC';
+
+// 'HH:MM' to minutes after midnight, or null when malformed
+const parseTime = (value) => {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(String(value || ''));
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+const isValidTimezone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+// Minutes since Sunday 00:00 of `date` in the given timezone
+const weekMinute = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const part = (type) => parts.find(p => p.type === type).value;
+
+  return WEEKDAYS.indexOf(part('weekday')) * MINUTES_PER_DAY
+    + Number(part('hour')) * 60
+    + Number(part('minute'));
+};
+
+// Start offset within the week and length of a timing, in minutes
+const toWindow = (timing) => {
+  const start = parseTime(timing.startTime);
+  const end = parseTime(timing.endTime);
+
+  return {
+    start: timing.dayOfWeek * MINUTES_PER_DAY + start,
+    length: (end - start + MINUTES_PER_DAY) % MINUTES_PER_DAY
+  };
+};
+
+const contains = (window, minute) => (minute - window.start + MINUTES_PER_WEEK) % MINUTES_PER_WEEK < window.length;
+
+const overlaps = (a, b) => contains(a, b.start) || contains(b, a.start);
+
+/**
+ * Validate a schedule before it is saved.
+ * Returns a list of { path, msg } errors, empty when the schedule is valid.
+ */
+const validateSchedule = (schedule) => {
+  const errors = [];
+  if (!schedule) return errors;
+
+  if (schedule.timezone !== undefined && !isValidTimezone(schedule.timezone)) {
+    errors.push({ path: 'settings.schedule.timezone', msg: `Unknown timezone '${schedule.timezone}'` });
+  }
+
+  const timings = schedule.timings || [];
+  if (!Array.isArray(timings)) {
+    errors.push({ path: 'settings.schedule.timings', msg: 'Timings must be an array' });
+    return errors;
+  }
+
+  const valid = [];
+  timings.forEach((timing, index) => {
+    const path = `settings.schedule.timings[${index}]`;
+    if (timing === null || typeof timing !== 'object' || Array.isArray(timing)) {
+      errors.push({ path, msg: 'Timing must be an object' });
+      return;
+    }
+
+    const start = parseTime(timing.startTime);
+    const end = parseTime(timing.endTime);
+    const before = errors.length;
+
+    if (!Number.isInteger(timing.dayOfWeek) || timing.dayOfWeek < 0 || timing.dayOfWeek > 6) {
+      errors.push({ path: `${path}.dayOfWeek`, msg: 'Day of week must be an integer from 0 (Sunday) to 6' });
+    }
+    if (start === null) {
+      errors.push({ path: `${path}.startTime`, msg: 'Start time must be in HH:MM format' });
+    }
+    if (end === null) {
+      errors.push({ path: `${path}.endTime`, msg: 'End time must be in HH:MM format' });
+    }
+    if (start !== null && start === end) {
+      errors.push({ path, msg: 'Start and end time must differ' });
+    }
+    if (!SCHEDULE_MODES.includes(timing.mode)) {
+      errors.push({ path: `${path}.mode`, msg: `Mode must be one of ${SCHEDULE_MODES.join(', ')}` });
+    }
+
+    if (errors.length === before) {
+      valid.push({ index, window: toWindow(timing) });
+    }
+  });
+
+  for (let i = 0; i < valid.length; i++) {
+    for (let j = i + 1; j < valid.length; j++) {
+      if (overlaps(valid[i].window, valid[j].window)) {
+        errors.push({
+          path: `settings.schedule.timings[${valid[j].index}]`,
+          msg: `Overlaps with settings.schedule.timings[${valid[i].index}]`
+        });
+      }
+    }
+  }
+
+  return errors;
+};
+
+// The timing active at `date`, or null outside all windows
+const findActiveTiming = (schedule, date = new Date()) => {
+  if (!schedule || !schedule.enabled) return null;
+
+  const minute = weekMinute(date, schedule.timezone || DEFAULT_TIMEZONE);
+
+  return (schedule.timings || []).find(timing => contains(toWindow(timing), minute)) || null;
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  SCHEDULE_MODES,
+  parseTime,
+  weekMinute,
+  validateSchedule,
+  findActiveTiming
+};
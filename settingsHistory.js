@@ -0,0 +1,150 @@
+// routes/settingsHistory.js
+// Settings revision routes shared by cameras and signals. Each device router
+// mounts one under /:id/settings/revisions.
+const express = require('express');
+const SettingsRevision = require('../models/SettingsRevision');
+const { authenticateToken, isOperator } = require('../middleware/auth');
+const { diffSettings, recordRevision } = require('../services/settingsRevisions');
+const { sendCommand } = require('../services/deviceCommands');
+
+/**
+ * Build the revision history router for one device type.
+ * @param {string} deviceType - 'camera' or 'signal'
+ * @param {Model} Model - Mongoose model of the device
+ * @param {Function} [validate] - settings => [{ path, msg }], run before a rollback
+ * @param {string} updateEvent - admin event emitted with the restored device
+ */
+function settingsHistoryRouter({ deviceType, Model, validate = () => [], updateEvent }) {
+  const router = express.Router({ mergeParams: true });
+
+  // Get settings revision history
+  router.get('/', authenticateToken, async (req, res) => {
+    try {
+      const revisions = await SettingsRevision.find({ deviceType, device: req.params.id })
+        .select('-settings')
+        .sort({ version: -1 });
+
+      res.json(revisions);
+    } catch (err) {
+      console.error('Get settings revisions error:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  // Compare two settings revisions
+  router.get('/compare', authenticateToken, async (req, res) => {
+    try {
+      const from = parseInt(req.query.from, 10);
+      const to = parseInt(req.query.to, 10);
+
+      if (!Number.isInteger(from) || !Number.isInteger(to)) {
+        return res.status(400).json({ message: 'from and to must be revision numbers' });
+      }
+
+      const revisions = await SettingsRevision.find({
+        deviceType,
+        device: req.params.id,
+        version: { $in: [from, to] }
+      });
+
+      const before = revisions.find(revision => revision.version === from);
+      const after = revisions.find(revision => revision.version === to);
+
+      if (!before || !after) {
+        return res.status(404).json({ message: 'Revision not found' });
+      }
+
+      res.json({
+        from,
+        to,
+        diff: diffSettings(before.settings, after.settings)
+      });
+    } catch (err) {
+      console.error('Compare settings revisions error:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  // Get a single settings revision
+  router.get('/:version', authenticateToken, async (req, res) => {
+    try {
+      const revision = await SettingsRevision.findOne({
+        deviceType,
+        device: req.params.id,
+        version: parseInt(req.params.version, 10)
+      });
+
+      if (!revision) {
+        return res.status(404).json({ message: 'Revision not found' });
+      }
+
+      res.json(revision);
+    } catch (err) {
+      console.error('Get settings revision error:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  // Roll settings back to an earlier revision
+  router.post('/:version/rollback', authenticateToken, isOperator, async (req, res) => {
+    try {
+      const version = parseInt(req.params.version, 10);
+      const { message } = req.body || {};
+
+      const revision = await SettingsRevision.findOne({ deviceType, device: req.params.id, version });
+      if (!revision) {
+        return res.status(404).json({ message: 'Revision not found' });
+      }
+
+      // Rules may have tightened since the revision was recorded
+      const errors = validate(revision.settings);
+      if (errors.length > 0) {
+        return res.status(409).json({ message: 'Revision settings are no longer valid', errors });
+      }
+
+      const existing = await Model.findById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ message: `${Model.modelName} not found` });
+      }
+
+      const device = await Model.findByIdAndUpdate(
+        req.params.id,
+        { $set: { settings: revision.settings } },
+        { new: true }
+      );
+
+      const rollback = await recordRevision({
+        deviceType,
+        device: device._id,
+        before: existing.settings,
+        after: device.settings,
+        user: req.user,
+        message: message || `Rollback to revision ${version}`,
+        rollbackOf: version
+      });
+
+      // Notify connected clients
+      req.app.get('io').to('admin').emit(updateEvent, device);
+
+      // Re-send the restored configuration to the device
+      await sendCommand(req.app.get('io'), {
+        deviceType,
+        device: device._id,
+        event: 'configUpdate',
+        payload: device.settings,
+        issuedBy: req.user.id
+      });
+
+      res.json({ [deviceType]: device, revision: rollback });
+    } catch (err) {
+      console.error('Rollback settings error:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  settingsHistoryRouter
+};
@@ -0,0 +1,121 @@
+// services/settingsRevisions.js
+// Immutable history of camera and signal settings. Every change is stored as
+// a numbered revision with its author and a diff against the previous one.
+const SettingsRevision = require('../models/SettingsRevision');
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Plain JSON copy of a settings subdocument without generated _id fields
+const snapshot = (settings) => {
+  const strip = (value) => {
+    if (Array.isArray(value)) return value.map(strip);
+    if (isObject(value)) {
+      const copy = {};
+      Object.keys(value)
+        .filter(key => key !== '_id')
+        .forEach(key => {
+          copy[key] = strip(value[key]);
+        });
+      return copy;
+    }
+    return value;
+  };
+
+  const plain = settings && typeof settings.toObject === 'function' ? settings.toObject() : settings;
+  return strip(JSON.parse(JSON.stringify(plain || {})));
+};
+
+// List of { path, before, after } for every leaf that differs
+const diffSettings = (before, after, path = '') => {
+  if (isObject(before) && isObject(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+    return keys.flatMap(key => diffSettings(before[key], after[key], path ? `${path}.${key}` : key));
+  }
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const length = Math.max(before.length, after.length);
+    const changes = [];
+    for (let i = 0; i < length; i++) {
+      changes.push(...diffSettings(before[i], after[i], `${path}[${i}]`));
+    }
+    return changes;
+  }
+
+  if (JSON.stringify(before) === JSON.stringify(after)) return [];
+
+  return [{ path: path || '(root)', before, after }];
+};
+
+const merge = (value, changes) => {
+  if (!isObject(value) || !isObject(changes)) return changes;
+  const merged = { ...value };
+  Object.keys(changes).forEach(key => {
+    merged[key] = merge(value[key], changes[key]);
+  });
+  return merged;
+};
+
+// Stored settings with a partial change applied; nested objects merge, arrays are replaced
+const mergeSettings = (settings, changes) => merge(snapshot(settings), changes);
+
+// $set paths for a partial change, { a: { b: 1 } } -> { 'settings.a.b': 1 }
+const settingsPaths = (changes, prefix = 'settings') => {
+  if (!isObject(changes)) return { [prefix]: changes };
+  return Object.keys(changes).reduce((paths, key) => ({ ...paths, ...settingsPaths(changes[key], `${prefix}.${key}`) }), {});
+};
+
+const latestRevision = (deviceType, device) => SettingsRevision
+  .findOne({ deviceType, device })
+  .sort({ version: -1 });
+
+/**
+ * Record a settings change. The first change of a device also stores the
+ * settings it had before as version 1, so it can be rolled back to.
+ */
+async function recordRevision({ deviceType, device, before, after, user, message, rollbackOf }) {
+  const next = snapshot(after);
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    try {
+      let latest = await latestRevision(deviceType, device);
+
+      if (!latest) {
+        latest = await SettingsRevision.create({
+          deviceType,
+          device,
+          version: 1,
+          settings: snapshot(before),
+          message: 'Initial settings'
+        });
+      }
+
+      const diff = diffSettings(latest.settings, next);
+      if (diff.length === 0 && rollbackOf === undefined) return latest;
+
+      return await SettingsRevision.create({
+        deviceType,
+        device,
+        version: latest.version + 1,
+        settings: next,
+        diff,
+        author: user && user.id,
+        authorEmail: user && user.email,
+        message,
+        rollbackOf
+      });
+    } catch (err) {
+      // Another change took the same version number; try the next one
+      if (err.code !== 11000) throw err;
+    }
+  }
+
+  throw new Error('Could not record settings revision');
+}
+
+module.exports = {
+  snapshot,
+  diffSettings,
+  mergeSettings,
+  settingsPaths,
+  recordRevision
+};
@@ -1,5 +1,7 @@
 // models/Signal.js
 const mongoose = require('mongoose');
+const { remainingSeconds, formatRemaining } = require('../utils/signalState');
+const { CONGESTION_LEVELS } = require('../utils/congestion');
 
 const SignalSchema = new mongoose.Schema({
   name: {
@@ -7,6 +9,13 @@ const SignalSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Stable id from the onboarding inventory, used by bulk import
+  externalId: {
+    type: String,
+    trim: true,
+    unique: true,
+    sparse: true
+  },
   location: {
     type: String,
     required: true
@@ -18,6 +27,13 @@ const SignalSchema = new mongoose.Schema({
   ipAddress: {
     type: String
   },
+  // Controller hardware and installed firmware, see services/firmwareRollout
+  model: {
+    type: String
+  },
+  firmware: {
+    type: String
+  },
   status: {
     type: String,
     enum: ['online', 'offline', 'warning'],
@@ -25,25 +41,60 @@ const SignalSchema = new mongoose.Schema({
   },
   mode: {
     type: String,
-    enum: ['AI', 'Manual', 'Scheduled'],
+    enum: ['AI', 'Manual', 'Scheduled', 'Preemption'],
     default: 'AI'
   },
   currentPhase: {
     type: String,
     default: 'North-South Green'
   },
-  remainingTime: {
-    type: String,
-    default: '0s'
+  // Remaining time is derived from these two, see utils/signalState
+  phaseStartedAt: {
+    type: Date
+  },
+  // Length of the current phase in seconds
+  phaseDuration: {
+    type: Number
   },
   congestionLevel: {
     type: String,
-    enum: ['Low', 'Medium', 'High', 'Unknown'],
+    enum: CONGESTION_LEVELS,
     default: 'Unknown'
   },
   lastSeen: {
     type: Date
   },
+  // Estimated delay, queue and level of service, see services/signalPerformance
+  metrics: {
+    // Flow-weighted average control delay (seconds per vehicle)
+    waitTime: Number,
+    levelOfService: {
+      type: String,
+      enum: ['A', 'B', 'C', 'D', 'E', 'F']
+    },
+    // Longest approach queue in vehicles
+    queueLength: Number,
+    approaches: [
+      {
+        _id: false,
+        approach: String,
+        // Vehicles per hour and the PCU per hour they amount to
+        flow: Number,
+        flowPcu: Number,
+        lanes: Number,
+        greenTime: Number,
+        // PCU per hour the approach can discharge
+        capacity: Number,
+        degreeOfSaturation: Number,
+        averageSpeed: Number,
+        delay: Number,
+        queueLength: Number,
+        queueLengthMeters: Number,
+        levelOfService: String
+      }
+    ],
+    updatedAt: Date
+  },
   settings: {
     phases: [
       {
@@ -55,25 +106,103 @@ const SignalSchema = new mongoose.Schema({
         }
       }
     ],
+    // Checks on device-reported states and the actions taken on a fault
+    conflictMonitor: {
+      enabled: {
+        type: Boolean,
+        default: true
+      },
+      setWarning: {
+        type: Boolean,
+        default: true
+      },
+      raiseAlert: {
+        type: Boolean,
+        default: true
+      },
+      flash: {
+        type: Boolean,
+        default: false
+      },
+      // Seconds a phase may overrun its maximum before it counts as stuck
+      stuckGrace: {
+        type: Number,
+        default: 10
+      }
+    },
+    // Timing limits enforced on manual control (seconds)
+    safety: {
+      minGreen: Number,
+      maxGreen: Number,
+      minYellow: Number,
+      maxYellow: Number,
+      minAllRed: Number,
+      maxAllRed: Number
+    },
     schedule: {
       enabled: {
         type: Boolean,
         default: false
       },
+      timezone: {
+        type: String
+      },
       timings: [
         {
           dayOfWeek: Number,
           startTime: String,
           endTime: String,
-          mode: String
+          mode: String,
+          phases: [
+            {
+              name: String,
+              duration: Number
+            }
+          ]
         }
       ]
     }
   },
+  // Time-limited manual control and what to restore when it ends
+  override: {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    ownerEmail: String,
+    reason: String,
+    startedAt: Date,
+    expiresAt: Date,
+    previousMode: String
+  },
+  // Window currently applied by the scheduler
+  scheduleState: {
+    timing: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    mode: String,
+    previousMode: String,
+    phases: [
+      {
+        name: String,
+        duration: Number
+      }
+    ],
+    appliedAt: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
+}, {
+  toJSON: {
+    // Keep returning a readable remainingTime alongside the numeric state
+    transform: (doc, ret) => {
+      ret.remainingSeconds = remainingSeconds(ret);
+      ret.remainingTime = formatRemaining(ret);
+      return ret;
+    }
+  }
 });
 
 module.exports = mongoose.model('Signal', SignalSchema);
\ No newline at end of file
@@ -0,0 +1,292 @@
+// services/signalPerformance.js
+// Estimates control delay, queue length and level of service (HCM A-F) for
+// each approach of a signal. Flows come from the cameras mapped to the
+// approaches, green and cycle times from the phase changes the controller
+// actually reported (the phase plan until a full cycle has been seen). The
+// delay is the HCM uniform plus incremental delay; stopped traffic seen by
+// a camera counts as queue even when the counts alone would not show it.
+const Signal = require('../models/Signal');
+const SignalPerformance = require('../models/SignalPerformance');
+const { parsePhase, getPhasePlan } = require('../utils/phases');
+const { junctionCameras, isLive } = require('./junctionCoverage');
+
+const config = {
+  intervalMs: Number(process.env.SIGNAL_PERFORMANCE_INTERVAL_MS) || 60000,
+  // Seconds of traffic one camera vehicleCount covers
+  countWindow: Number(process.env.CAMERA_COUNT_WINDOW_S) || 60,
+  // PCU per hour of green one lane can discharge
+  saturationFlow: Number(process.env.SIGNAL_SATURATION_FLOW) || 1800,
+  // Average speed (km/h) at or below which the vehicles in view are queued
+  queuedSpeed: Number(process.env.SIGNAL_QUEUED_SPEED) || 5,
+  // Observed phase durations older than this fall back to the plan
+  observedTimingMs: 15 * 60 * 1000,
+  // Analysis period of the incremental delay (hours)
+  analysisPeriod: 0.25
+};
+
+// Passenger car units and jam spacing in meters per vehicle class
+const PCU = { cars: 1, motorcycles: 0.5, trucks: 2.5 };
+const SPACING = { cars: 7, motorcycles: 3, trucks: 15 };
+
+// HCM signalized intersection thresholds in seconds of control delay
+const LOS_THRESHOLDS = [['A', 10], ['B', 20], ['C', 35], ['D', 55], ['E', 80]];
+
+const round = (value, digits = 1) => Number(value.toFixed(digits));
+
+// Grade a delay; an approach over capacity is F whatever its delay
+const levelOfService = (delay, degreeOfSaturation = 0) => {
+  if (degreeOfSaturation > 1) return 'F';
+  const grade = LOS_THRESHOLDS.find(([, limit]) => delay <= limit);
+  return grade ? grade[0] : 'F';
+};
+
+/**
+ * Delay and queue of one approach. `flow` is in vehicles per hour, `pcu`
+ * the PCU per vehicle of its mix, `green` and `cycle` in seconds and
+ * `stoppedVehicles` the vehicles a camera sees standing.
+ */
+const approachPerformance = ({ flow, pcu = 1, green, cycle, lanes = 1, spacing = SPACING.cars, stoppedVehicles = 0 }, settings = config) => {
+  const flowPcu = flow * pcu;
+  const greenRatio = cycle > 0 ? Math.min(1, green / cycle) : 0;
+  const capacity = settings.saturationFlow * lanes * greenRatio;
+  const x = capacity > 0 ? flowPcu / capacity : (flowPcu > 0 ? Infinity : 0);
+  const T = settings.analysisPeriod;
+
+  // Uniform delay: arrivals spread evenly over the cycle
+  const uniformDenominator = 1 - Math.min(1, x) * greenRatio;
+  const uniform = uniformDenominator > 0 ? 0.5 * cycle * Math.pow(1 - greenRatio, 2) / uniformDenominator : 0;
+
+  // Incremental delay: random arrivals and overflow, k = 0.5, I = 1
+  const incremental = capacity > 0
+    ? 900 * T * ((x - 1) + Math.sqrt(Math.pow(x - 1, 2) + (4 * x) / (capacity * T)))
+    : 0;
+
+  // Vehicles arriving over red, plus the overflow the incremental term implies
+  const redQueue = (flowPcu * (cycle - green)) / 3600;
+  const overflowQueue = capacity > 0
+    ? 0.25 * capacity * T * ((x - 1) + Math.sqrt(Math.pow(x - 1, 2) + (4 * x) / (capacity * T)))
+    : 0;
+  const modelQueue = (redQueue + overflowQueue) / pcu;
+
+  // A standing queue longer than one green can clear waits extra cycles
+  const perCycle = (capacity * cycle) / 3600 / pcu;
+  const residual = Math.max(0, stoppedVehicles - perCycle);
+  const residualDelay = residual > 0 && capacity > 0 ? 0.5 * residual * pcu / (capacity / 3600) : 0;
+
+  const delay = capacity > 0 ? uniform + incremental + residualDelay : null;
+  const queueLength = Math.max(modelQueue, stoppedVehicles);
+
+  return {
+    flowPcu: round(flowPcu),
+    capacity: round(capacity),
+    degreeOfSaturation: Number.isFinite(x) ? round(x, 2) : null,
+    delay: delay === null ? null : round(delay),
+    queueLength: round(queueLength),
+    queueLengthMeters: round((queueLength * spacing) / lanes),
+    // Traffic on an approach that never gets green is stuck; no traffic is not graded
+    levelOfService: delay !== null ? levelOfService(delay, x) : flowPcu > 0 ? 'F' : null
+  };
+};
+
+// Per-approach flow, vehicle mix and standing vehicles from live cameras
+const approachDemand = (cameras, settings = config) => {
+  const approaches = {};
+
+  cameras.forEach(camera => {
+    const { approach, lanes } = camera.junction;
+    const metrics = camera.metrics;
+    const types = metrics.vehicleTypes || {};
+    const classified = (types.cars || 0) + (types.motorcycles || 0) + (types.trucks || 0);
+    const count = metrics.vehicleCount || classified;
+
+    const entry = approaches[approach] || (approaches[approach] = {
+      count: 0, pcu: 0, meters: 0, lanes: new Set(), cameras: 0, speedSum: 0, speedCount: 0, stoppedVehicles: 0
+    });
+
+    entry.count += count;
+    entry.cameras += 1;
+    (lanes || []).forEach(lane => entry.lanes.add(lane));
+
+    // Classified counts give the mix; unclassified vehicles count as cars
+    if (classified > 0) {
+      const share = count / classified;
+      Object.keys(PCU).forEach(type => {
+        entry.pcu += (types[type] || 0) * share * PCU[type];
+        entry.meters += (types[type] || 0) * share * SPACING[type];
+      });
+    } else {
+      entry.pcu += count * PCU.cars;
+      entry.meters += count * SPACING.cars;
+    }
+
+    if (typeof metrics.averageSpeed === 'number') {
+      entry.speedSum += metrics.averageSpeed * count;
+      entry.speedCount += count;
+      if (metrics.averageSpeed <= settings.queuedSpeed) entry.stoppedVehicles += count;
+    }
+  });
+
+  return Object.keys(approaches).map(approach => {
+    const entry = approaches[approach];
+    return {
+      approach,
+      flow: (entry.count * 3600) / settings.countWindow,
+      pcu: entry.count > 0 ? entry.pcu / entry.count : 1,
+      spacing: entry.count > 0 ? entry.meters / entry.count : SPACING.cars,
+      lanes: Math.max(entry.lanes.size, entry.cameras, 1),
+      averageSpeed: entry.speedCount > 0 ? round(entry.speedSum / entry.speedCount) : null,
+      stoppedVehicles: entry.stoppedVehicles
+    };
+  });
+};
+
+function createSignalPerformanceMonitor(io) {
+  let timer = null;
+  // signal id -> phase name -> { duration, endedAt } as reported by the controller
+  const observed = new Map();
+
+  // Remember how long a phase actually ran
+  function recordPhaseChange(signalId, phase, startedAt, now = new Date()) {
+    if (!phase || !startedAt) return;
+    const duration = (now - new Date(startedAt)) / 1000;
+    if (duration <= 0) return;
+
+    const id = signalId.toString();
+    if (!observed.has(id)) observed.set(id, new Map());
+    observed.get(id).set(phase, { duration, endedAt: now });
+  }
+
+  // Phase durations to use: observed where recent, planned otherwise
+  function phaseTimings(signal, now) {
+    const seen = observed.get(signal._id.toString()) || new Map();
+    let allObserved = true;
+
+    const phases = getPhasePlan(signal).map(phase => {
+      const actual = seen.get(phase.name);
+      if (actual && now - actual.endedAt <= config.observedTimingMs) {
+        return { name: phase.name, duration: actual.duration };
+      }
+      allObserved = false;
+      return phase;
+    });
+
+    return { phases, source: allObserved ? 'observed' : 'plan' };
+  }
+
+  async function evaluateSignal(signal, now = new Date()) {
+    const cameras = (await junctionCameras(signal._id)).filter(camera => isLive(camera, now.getTime()));
+    if (cameras.length === 0) return null;
+
+    const { phases, source } = phaseTimings(signal, now);
+    const cycle = phases.reduce((sum, phase) => sum + (phase.duration || 0), 0);
+    if (cycle <= 0) return null;
+
+    const approaches = approachDemand(cameras).map(demand => {
+      // Green time of an approach: every green phase serving it
+      const green = phases
+        .map(phase => ({ ...phase, ...parsePhase(phase.name) }))
+        .filter(phase => phase.indication === 'Green' && phase.approaches.includes(demand.approach))
+        .reduce((sum, phase) => sum + (phase.duration || 0), 0);
+
+      const result = approachPerformance({ ...demand, green, cycle });
+
+      return {
+        approach: demand.approach,
+        flow: round(demand.flow),
+        flowPcu: result.flowPcu,
+        lanes: demand.lanes,
+        greenTime: round(green),
+        capacity: result.capacity,
+        degreeOfSaturation: result.degreeOfSaturation,
+        averageSpeed: demand.averageSpeed,
+        delay: result.delay,
+        queueLength: result.queueLength,
+        queueLengthMeters: result.queueLengthMeters,
+        levelOfService: result.levelOfService
+      };
+    });
+
+    // Intersection delay weighted by flow; approaches without green have no delay figure
+    const rated = approaches.filter(approach => approach.delay !== null);
+    const totalFlow = rated.reduce((sum, approach) => sum + approach.flow, 0);
+    const delay = rated.length === 0
+      ? null
+      : totalFlow > 0
+        ? rated.reduce((sum, approach) => sum + approach.delay * approach.flow, 0) / totalFlow
+        : rated.reduce((sum, approach) => sum + approach.delay, 0) / rated.length;
+    const overCapacity = approaches.some(approach => approach.levelOfService === 'F' && approach.delay === null);
+
+    const performance = await SignalPerformance.create({
+      signal: signal._id,
+      timestamp: now,
+      cycleLength: round(cycle),
+      timingSource: source,
+      delay: delay === null ? undefined : round(delay),
+      levelOfService: delay === null || overCapacity ? 'F' : levelOfService(delay),
+      approaches
+    });
+
+    const updated = await Signal.findByIdAndUpdate(
+      signal._id,
+      {
+        $set: {
+          metrics: {
+            waitTime: performance.delay,
+            levelOfService: performance.levelOfService,
+            queueLength: Math.max(...approaches.map(approach => approach.queueLength)),
+            approaches,
+            updatedAt: now
+          }
+        }
+      },
+      { new: true }
+    );
+
+    io.to('admin').emit('signalPerformance', performance);
+    if (updated) io.to('admin').emit('signalUpdate', updated);
+
+    return performance;
+  }
+
+  async function run() {
+    try {
+      const signals = await Signal.find({ status: { $ne: 'offline' } });
+
+      for (const signal of signals) {
+        try {
+          await evaluateSignal(signal);
+        } catch (error) {
+          console.error(`Signal performance error for signal ${signal._id}:`, error);
+        }
+      }
+    } catch (error) {
+      console.error('Signal performance error:', error);
+    }
+  }
+
+  function start() {
+    if (!timer) {
+      timer = setInterval(run, config.intervalMs);
+    }
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    start,
+    stop,
+    run,
+    evaluateSignal,
+    recordPhaseChange
+  };
+}
+
+module.exports = {
+  levelOfService,
+  approachPerformance,
+  approachDemand,
+  createSignalPerformanceMonitor
+};
@@ -0,0 +1,124 @@
+// services/signalScheduler.js
+// Applies Signal.settings.schedule windows: switches a signal's mode and
+// phase plan when a window opens or closes. The applied window is persisted
+// in scheduleState, so a restart simply re-evaluates and catches up.
+const Signal = require('../models/Signal');
+const { findActiveTiming } = require('../utils/schedule');
+const { getPhasePlan } = require('../utils/phases');
+const { sendCommand } = require('./deviceCommands');
+
+const config = {
+  intervalMs: Number(process.env.SIGNAL_SCHEDULER_INTERVAL_MS) || 30000
+};
+
+const idOf = (value) => (value ? value.toString() : null);
+
+function createSignalScheduler(io) {
+  let timer = null;
+
+  async function applyTiming(signal, timing) {
+    const state = signal.scheduleState || {};
+    const inWindow = Boolean(idOf(state.timing));
+
+    // Remember the mode from before the first window so it can be restored
+    const previousMode = inWindow ? state.previousMode : signal.mode;
+
+    if (timing) {
+      signal.mode = timing.mode;
+      signal.scheduleState = {
+        timing: timing._id,
+        mode: timing.mode,
+        previousMode,
+        phases: (timing.phases || []).map(phase => ({ name: phase.name, duration: phase.duration })),
+        appliedAt: new Date()
+      };
+    } else {
+      signal.mode = previousMode || 'Scheduled';
+      signal.scheduleState = {
+        timing: null,
+        mode: signal.mode,
+        previousMode: null,
+        phases: [],
+        appliedAt: new Date()
+      };
+    }
+
+    await signal.save();
+
+    await sendCommand(io, {
+      deviceType: 'signal',
+      device: signal._id,
+      event: 'configUpdate',
+      payload: {
+        mode: signal.mode,
+        phases: getPhasePlan(signal),
+        schedule: timing
+          ? { timing: timing._id, startTime: timing.startTime, endTime: timing.endTime }
+          : null
+      }
+    });
+
+    io.to('admin').emit('signalUpdate', signal);
+
+    console.log(`Signal ${signal._id} schedule ${timing ? `window ${timing._id} started` : 'window ended'}, mode ${signal.mode}`);
+  }
+
+  async function evaluateSignal(signal, now = new Date()) {
+    const timing = findActiveTiming(signal.settings.schedule, now);
+    const current = idOf(signal.scheduleState && signal.scheduleState.timing);
+
+    if (idOf(timing && timing._id) !== current) {
+      await applyTiming(signal, timing);
+      return true;
+    }
+
+    return false;
+  }
+
+  async function run() {
+    try {
+      // Signals under manual control or preemption are left alone until released
+      const signals = await Signal.find({
+        mode: { $nin: ['Manual', 'Preemption'] },
+        $or: [
+          { 'settings.schedule.enabled': true },
+          { 'scheduleState.timing': { $ne: null } }
+        ]
+      });
+
+      for (const signal of signals) {
+        try {
+          await evaluateSignal(signal);
+        } catch (error) {
+          console.error(`Scheduler error for signal ${signal._id}:`, error);
+        }
+      }
+    } catch (error) {
+      console.error('Scheduler error:', error);
+    }
+  }
+
+  function start() {
+    if (!timer) {
+      // Evaluate straight away to catch up on windows missed while down
+      run();
+      timer = setInterval(run, config.intervalMs);
+    }
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    start,
+    stop,
+    run,
+    evaluateSignal
+  };
+}
+
+module.exports = {
+  createSignalScheduler
+};
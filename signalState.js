@@ -0,0 +1,51 @@
+// utils/signalState.js
+// Phase countdown state. A signal stores when its phase started and how
+// long it lasts; the remaining time is always derived from those two.
+
+// Seconds from a number or a legacy string such as '35s'; null for '-' and the like
+const parseSeconds = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? value : null;
+
+  const match = /^\s*(\d+(?:\.\d+)?)\s*s?\s*$/.exec(String(value || ''));
+  return match ? Number(match[1]) : null;
+};
+
+const phaseEndsAt = (signal) => {
+  if (!signal || !signal.phaseStartedAt || typeof signal.phaseDuration !== 'number') return null;
+  return new Date(new Date(signal.phaseStartedAt).getTime() + signal.phaseDuration * 1000);
+};
+
+// Whole seconds left in the current phase, or null when unknown
+const remainingSeconds = (signal, now = new Date()) => {
+  const endsAt = phaseEndsAt(signal);
+  if (!endsAt) return null;
+  return Math.max(0, Math.ceil((endsAt - now) / 1000));
+};
+
+// Human-readable remaining time kept for API compatibility ('35s' or '-')
+const formatRemaining = (signal, now = new Date()) => {
+  const seconds = remainingSeconds(signal, now);
+  return seconds === null ? '-' : `${seconds}s`;
+};
+
+// Tell dashboards and the signal's room that a phase has started
+const emitPhaseChange = (io, signal, previousPhase) => {
+  const payload = {
+    id: signal._id,
+    phase: signal.currentPhase,
+    previousPhase,
+    phaseStartedAt: signal.phaseStartedAt,
+    phaseDuration: signal.phaseDuration,
+    endsAt: phaseEndsAt(signal)
+  };
+
+  io.to('admin').emit('phaseChange', payload);
+};
+
+module.exports = {
+  parseSeconds,
+  phaseEndsAt,
+  remainingSeconds,
+  formatRemaining,
+  emitPhaseChange
+};
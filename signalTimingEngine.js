@@ -0,0 +1,260 @@
+// services/signalTimingEngine.js
+// Computes cycle length and green splits for signals in 'AI' mode from the
+// live metrics of the cameras covering each junction (Webster's method).
+const Corridor = require('../models/Corridor');
+const Signal = require('../models/Signal');
+const SignalDecision = require('../models/SignalDecision');
+const { parsePhase, getPhasePlan } = require('../utils/phases');
+const { sendCommand } = require('./deviceCommands');
+const { junctionCameras, isLive } = require('./junctionCoverage');
+
+const config = {
+  intervalMs: Number(process.env.SIGNAL_ENGINE_INTERVAL_MS) || 60000,
+  minCycle: Number(process.env.SIGNAL_MIN_CYCLE) || 40,
+  maxCycle: Number(process.env.SIGNAL_MAX_CYCLE) || 150,
+  minGreen: Number(process.env.SIGNAL_MIN_GREEN) || 10,
+  maxGreen: Number(process.env.SIGNAL_MAX_GREEN) || 90,
+  // PCU an approach can discharge over one camera reporting window of green
+  saturationFlow: Number(process.env.SIGNAL_SATURATION_PCU) || 40
+};
+
+// Passenger car units per vehicle class
+const PCU = { cars: 1, motorcycles: 0.5, trucks: 2.5 };
+
+// Queues build faster than counts show when traffic is already congested
+const CONGESTION_FACTOR = { Low: 1, Medium: 1.2, High: 1.5 };
+
+// Demand of a single camera in passenger car units
+const cameraDemand = (metrics) => {
+  const types = metrics.vehicleTypes;
+  let demand;
+
+  if (types && (types.cars || types.motorcycles || types.trucks)) {
+    demand = (types.cars || 0) * PCU.cars
+      + (types.motorcycles || 0) * PCU.motorcycles
+      + (types.trucks || 0) * PCU.trucks;
+  } else {
+    demand = metrics.vehicleCount || 0;
+  }
+
+  return demand * (CONGESTION_FACTOR[metrics.congestionLevel] || 1);
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Compute a timing plan for a phase sequence.
+ * `demand` maps approach names to PCU; approaches without data are omitted.
+ * `options` may override the config, including a fixed `cycleLength`.
+ * Returns null when there is no usable demand for any green phase.
+ */
+const computeTimingPlan = (phases, demand, options = {}) => {
+  const settings = { ...config, ...options };
+  const parsed = phases.map(phase => ({ ...phase, ...parsePhase(phase.name) }));
+  const greens = parsed.filter(phase => phase.indication === 'Green');
+
+  if (greens.length === 0) return null;
+
+  // A green phase is as busy as its busiest approach
+  greens.forEach(phase => {
+    const known = phase.approaches.filter(approach => demand[approach] !== undefined);
+    phase.demand = known.length > 0 ? Math.max(...known.map(approach => demand[approach])) : null;
+  });
+
+  const measured = greens.filter(phase => phase.demand !== null);
+  if (measured.length === 0) return null;
+
+  // Phases without camera coverage get the average measured demand so they are not starved
+  const averageDemand = measured.reduce((sum, phase) => sum + phase.demand, 0) / measured.length;
+  const unmeasured = greens.filter(phase => phase.demand === null);
+  unmeasured.forEach(phase => {
+    phase.demand = averageDemand;
+  });
+
+  const lostTime = parsed
+    .filter(phase => phase.indication !== 'Green')
+    .reduce((sum, phase) => sum + (phase.duration || 0), 0);
+
+  greens.forEach(phase => {
+    phase.flowRatio = phase.demand / settings.saturationFlow;
+  });
+  const criticalFlowRatio = greens.reduce((sum, phase) => sum + phase.flowRatio, 0);
+
+  let cycleLength;
+  let reason;
+  if (settings.cycleLength) {
+    cycleLength = settings.cycleLength;
+    reason = `Fixed cycle ${cycleLength}s for Y=${criticalFlowRatio.toFixed(2)}, L=${lostTime}s`;
+  } else if (criticalFlowRatio >= 0.95) {
+    cycleLength = settings.maxCycle;
+    reason = `Oversaturated (Y=${criticalFlowRatio.toFixed(2)}), using maximum cycle`;
+  } else {
+    const optimum = (1.5 * lostTime + 5) / (1 - criticalFlowRatio);
+    cycleLength = clamp(Math.round(optimum), settings.minCycle, settings.maxCycle);
+    reason = `Webster optimum ${Math.round(optimum)}s for Y=${criticalFlowRatio.toFixed(2)}, L=${lostTime}s`;
+  }
+
+  const effectiveGreen = Math.max(0, cycleLength - lostTime);
+  greens.forEach(phase => {
+    const share = criticalFlowRatio > 0 ? phase.flowRatio / criticalFlowRatio : 1 / greens.length;
+    phase.duration = clamp(Math.round(effectiveGreen * share), settings.minGreen, settings.maxGreen);
+  });
+
+  if (unmeasured.length > 0) {
+    reason += `; no camera data for ${unmeasured.map(phase => phase.name).join(', ')}`;
+  }
+
+  const plan = parsed.map(phase => ({
+    name: phase.name,
+    duration: phase.duration,
+    flowRatio: phase.flowRatio !== undefined ? Number(phase.flowRatio.toFixed(3)) : undefined
+  }));
+
+  // Minimum/maximum greens and rounding can move the cycle away from the target,
+  // which a fixed cycle cannot allow; the greens share the difference a second
+  // at a time, each staying within its limits
+  if (settings.cycleLength) {
+    const adjustable = plan.filter(phase => phase.flowRatio !== undefined);
+    let remaining = settings.cycleLength - plan.reduce((sum, phase) => sum + (phase.duration || 0), 0);
+
+    for (let moved = true; remaining !== 0 && moved;) {
+      moved = false;
+      for (const phase of adjustable) {
+        if (remaining === 0) break;
+        const step = Math.sign(remaining) * Math.min(1, Math.abs(remaining));
+        if (phase.duration + step < settings.minGreen || phase.duration + step > settings.maxGreen) continue;
+        phase.duration += step;
+        remaining -= step;
+        moved = true;
+      }
+    }
+
+    if (remaining !== 0) {
+      reason += `; green limits keep the cycle ${remaining > 0 ? 'below' : 'above'} ${settings.cycleLength}s`;
+    }
+  }
+
+  return {
+    cycleLength: plan.reduce((sum, phase) => sum + (phase.duration || 0), 0),
+    lostTime,
+    criticalFlowRatio: Number(criticalFlowRatio.toFixed(3)),
+    phases: plan,
+    reason
+  };
+};
+
+const samePlan = (a, b) => a && b
+  && a.length === b.length
+  && a.every((phase, i) => phase.name === b[i].name && phase.duration === b[i].duration);
+
+function createSignalTimingEngine(io) {
+  let timer = null;
+  const lastPlans = new Map();
+
+  // Gather per-approach demand from the live cameras mapped to the signal
+  async function collectInputs(signal) {
+    const cameras = await junctionCameras(signal._id);
+
+    return cameras
+      .filter(camera => isLive(camera))
+      .map(camera => ({
+        camera: camera._id,
+        approach: camera.junction.approach,
+        vehicleCount: camera.metrics.vehicleCount || 0,
+        congestionLevel: camera.metrics.congestionLevel,
+        vehicleTypes: camera.metrics.vehicleTypes,
+        demand: Number(cameraDemand(camera.metrics).toFixed(2))
+      }));
+  }
+
+  async function evaluateSignal(signal) {
+    const inputs = await collectInputs(signal);
+    if (inputs.length === 0) return null;
+
+    // Cameras on the same approach watch different lanes, so their demand adds up
+    const demand = {};
+    inputs.forEach(input => {
+      demand[input.approach] = (demand[input.approach] || 0) + input.demand;
+    });
+
+    // Signals in a green-wave corridor keep the corridor's common cycle
+    const corridor = await Corridor.findOne({ enabled: true, 'signals.signal': signal._id });
+    const options = corridor && corridor.commonCycle ? { cycleLength: corridor.commonCycle } : {};
+
+    const plan = computeTimingPlan(getPhasePlan(signal), demand, options);
+    if (!plan) return null;
+
+    const id = signal._id.toString();
+    const changed = !samePlan(lastPlans.get(id), plan.phases);
+
+    const decision = await SignalDecision.create({
+      signal: signal._id,
+      cycleLength: plan.cycleLength,
+      lostTime: plan.lostTime,
+      criticalFlowRatio: plan.criticalFlowRatio,
+      phases: plan.phases,
+      inputs,
+      reason: plan.reason,
+      changed
+    });
+
+    if (changed) {
+      lastPlans.set(id, plan.phases);
+
+      await sendCommand(io, {
+        deviceType: 'signal',
+        device: signal._id,
+        event: 'controlCommand',
+        payload: {
+          mode: 'AI',
+          cycleLength: plan.cycleLength,
+          phases: plan.phases.map(({ name, duration }) => ({ name, duration })),
+          decisionId: decision._id
+        }
+      });
+    }
+
+    io.to('admin').emit('signalDecision', decision);
+
+    return decision;
+  }
+
+  async function run() {
+    try {
+      const signals = await Signal.find({ mode: 'AI', status: { $ne: 'offline' } });
+
+      for (const signal of signals) {
+        try {
+          await evaluateSignal(signal);
+        } catch (error) {
+          console.error(`Timing engine error for signal ${signal._id}:`, error);
+        }
+      }
+    } catch (error) {
+      console.error('Timing engine error:', error);
+    }
+  }
+
+  function start() {
+    if (!timer) {
+      timer = setInterval(run, config.intervalMs);
+    }
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    start,
+    stop,
+    run,
+    evaluateSignal
+  };
+}
+
+module.exports = {
+  createSignalTimingEngine,
+  computeTimingPlan
+};
@@ -2,7 +2,20 @@
 const express = require('express');
 const router = express.Router();
 const Signal = require('../models/Signal');
-const { authenticateToken, isOperator } = require('../middleware/auth');
+const SignalDecision = require('../models/SignalDecision');
+const { authenticateToken, isOperator, isAdmin } = require('../middleware/auth');
+const { settingsHistoryRouter } = require('./settingsHistory');
+const { validateSchedule } = require('../utils/schedule');
+const { buildPhaseStateMachine } = require('../utils/phaseStateMachine');
+const { parseSeconds, remainingSeconds, emitPhaseChange } = require('../utils/signalState');
+const { OVERRIDE_DEFAULTS, withOverrideExpiry, releaseOverride } = require('../services/overrideManager');
+const { recordRevision } = require('../services/settingsRevisions');
+const { computeAvailability } = require('../services/deviceWatchdog');
+const { sendCommand } = require('../services/deviceCommands');
+const { approachCounts } = require('../services/junctionCoverage');
+const { rowsFromCsv, rowsFromGeoJson, importDevices, exportCsv, exportGeoJson } = require('../services/deviceTransfer');
+
+const IMPORT_MAX_SIZE = process.env.IMPORT_MAX_SIZE || '5mb';
 
 // Get all signals
 router.get('/', authenticateToken, async (req, res) => {
@@ -15,6 +28,81 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
+// Get active manual overrides (admin only)
+router.get('/overrides', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const signals = await Signal.find({ 'override.expiresAt': { $gt: new Date() } })
+      .select('name location mode currentPhase override')
+      .sort({ 'override.expiresAt': 1 });
+    
+    res.json(signals.map(signal => withOverrideExpiry(signal)));
+  } catch (err) {
+    console.error('Get overrides error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Cancel every active manual override (admin only)
+router.delete('/overrides', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const signals = await Signal.find({ 'override.expiresAt': { $exists: true } }).select('_id');
+    const io = req.app.get('io');
+    
+    const released = [];
+    for (const signal of signals) {
+      const restored = await releaseOverride(io, signal._id, `cancelled by ${req.user.email}`);
+      if (restored) released.push(restored._id);
+    }
+    
+    res.json({ message: `${released.length} override(s) cancelled`, released });
+  } catch (err) {
+    console.error('Cancel overrides error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Export all signals as CSV (default) or GeoJSON (?format=geojson)
+router.get('/export', authenticateToken, async (req, res) => {
+  try {
+    if (req.query.format === 'geojson') {
+      res.set('Content-Disposition', 'attachment; filename="signals.geojson"');
+      res.type('application/geo+json');
+      return res.send(JSON.stringify(await exportGeoJson('signal')));
+    }
+    
+    res.set('Content-Disposition', 'attachment; filename="signals.csv"');
+    res.type('text/csv');
+    res.send(await exportCsv('signal'));
+  } catch (err) {
+    console.error('Export signals error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Import signals from CSV (text/csv) or GeoJSON, upserting by externalId.
+// ?dryRun=true only validates and reports what would be created or updated.
+router.post('/import', authenticateToken, isOperator, express.text({ type: 'text/csv', limit: IMPORT_MAX_SIZE }), express.json({ type: ['application/json', 'application/geo+json'], limit: IMPORT_MAX_SIZE }), async (req, res) => {
+  try {
+    const rows = req.is('text/csv') ? rowsFromCsv(req.body) : rowsFromGeoJson(req.body);
+    
+    const summary = await importDevices(req.app.get('io'), 'signal', rows, {
+      dryRun: req.query.dryRun === 'true',
+      user: req.user
+    });
+    
+    res.status(summary.failed > 0 ? 422 : 200).json(summary);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    if (err instanceof SyntaxError) {
+      return res.status(400).json({ message: 'Invalid GeoJSON' });
+    }
+    console.error('Import signals error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get single signal
 router.get('/:id', authenticateToken, async (req, res) => {
   try {
@@ -22,13 +110,67 @@ router.get('/:id', authenticateToken, async (req, res) => {
     if (!signal) {
       return res.status(404).json({ message: 'Signal not found' });
     }
-    res.json(signal);
+    
+    // Live counts from the cameras covering each approach
+    const approaches = await approachCounts(signal._id);
+    
+    res.json({ ...signal.toJSON(), approaches });
   } catch (err) {
     console.error('Get signal error:', err);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Get live per-approach counts of a signal
+router.get('/:id/approaches', authenticateToken, async (req, res) => {
+  try {
+    if (!(await Signal.exists({ _id: req.params.id }))) {
+      return res.status(404).json({ message: 'Signal not found' });
+    }
+    
+    res.json(await approachCounts(req.params.id));
+  } catch (err) {
+    console.error('Get signal approaches error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get availability (uptime/downtime intervals) of a signal
+router.get('/:id/availability', authenticateToken, async (req, res) => {
+  try {
+    const startDate = req.query.startDate ? new Date(req.query.startDate) : new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
+    
+    if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+      return res.status(400).json({ message: 'Invalid startDate or endDate' });
+    }
+    
+    const availability = await computeAvailability('signal', req.params.id, startDate, endDate);
+    
+    res.json(availability);
+  } catch (err) {
+    console.error('Get signal availability error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get timing decisions made for a signal in AI mode
+router.get('/:id/decisions', authenticateToken, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    
+    const decisions = await SignalDecision.find({ signal: req.params.id })
+      .sort({ timestamp: -1 })
+      .limit(limit)
+      .populate('inputs.camera', 'name location');
+    
+    res.json(decisions);
+  } catch (err) {
+    console.error('Get signal decisions error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Create new signal
 router.post('/', authenticateToken, isOperator, async (req, res) => {
   try {
@@ -58,6 +200,52 @@ router.put('/:id', authenticateToken, isOperator, async (req, res) => {
   try {
     const { name, location, coordinates, ipAddress, status, mode, currentPhase, remainingTime } = req.body;
     
+    const existing = await Signal.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ message: 'Signal not found' });
+    }
+    
+    // Store the countdown as phase start plus duration
+    const now = new Date();
+    const stateMachine = buildPhaseStateMachine(existing);
+    const phaseChanged = Boolean(currentPhase) && currentPhase !== existing.currentPhase;
+    const phaseState = {};
+    let remaining = parseSeconds(remainingTime);
+    
+    // A new phase without a countdown runs for its planned duration
+    if (phaseChanged && remaining === null) {
+      remaining = stateMachine.plannedDuration(currentPhase);
+      if (remaining === undefined) remaining = null;
+    }
+    
+    // Phase changes and countdowns follow the same safety rules as /control
+    if (phaseChanged || remaining !== null) {
+      if (existing.mode === 'Preemption') {
+        return res.status(409).json({ message: 'Signal is under emergency preemption' });
+      }
+      
+      const violations = stateMachine.checkTransition({
+        phase: currentPhase,
+        duration: remaining === null ? undefined : remaining
+      }, now);
+      if (violations.length > 0) {
+        return res.status(409).json({
+          message: 'Phase change rejected by safety rules',
+          currentPhase: existing.currentPhase,
+          violations
+        });
+      }
+    }
+    
+    if (phaseChanged) {
+      phaseState.phaseStartedAt = now;
+      phaseState.phaseDuration = remaining;
+    } else if (remaining !== null) {
+      const startedAt = existing.phaseStartedAt || now;
+      phaseState.phaseStartedAt = startedAt;
+      phaseState.phaseDuration = Math.round((now - startedAt) / 1000) + remaining;
+    }
+    
     const signal = await Signal.findByIdAndUpdate(
       req.params.id,
       {
@@ -69,25 +257,31 @@ router.put('/:id', authenticateToken, isOperator, async (req, res) => {
           status,
           mode,
           currentPhase,
-          remainingTime
+          ...phaseState
         }
       },
       { new: true }
     );
     
-    if (!signal) {
-      return res.status(404).json({ message: 'Signal not found' });
-    }
-    
     // Notify connected clients
     req.app.get('io').to('admin').emit('signalUpdate', signal);
     
-    // Notify device if online
+    if (phaseChanged) {
+      emitPhaseChange(req.app.get('io'), signal, existing.currentPhase);
+    }
+    
+    // Deliver to the device, queued until it acknowledges
     if (mode || currentPhase) {
-      req.app.get('io').to(`signal-${signal._id}`).emit('configUpdate', {
-        mode,
-        currentPhase,
-        remainingTime
+      await sendCommand(req.app.get('io'), {
+        deviceType: 'signal',
+        device: signal._id,
+        event: 'configUpdate',
+        payload: {
+          mode,
+          currentPhase,
+          remainingTime: remainingSeconds(signal)
+        },
+        issuedBy: req.user.id
       });
     }
     
@@ -120,7 +314,18 @@ router.delete('/:id', authenticateToken, isOperator, async (req, res) => {
 // Update signal settings
 router.put('/:id/settings', authenticateToken, isOperator, async (req, res) => {
   try {
-    const { settings } = req.body;
+    const { settings, message } = req.body;
+    
+    // Reject overlapping or malformed schedule windows
+    const scheduleErrors = validateSchedule(settings && settings.schedule);
+    if (scheduleErrors.length > 0) {
+      return res.status(400).json({ message: 'Invalid schedule', errors: scheduleErrors });
+    }
+    
+    const existing = await Signal.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ message: 'Signal not found' });
+    }
     
     const signal = await Signal.findByIdAndUpdate(
       req.params.id,
@@ -128,15 +333,27 @@ router.put('/:id/settings', authenticateToken, isOperator, async (req, res) => {
       { new: true }
     );
     
-    if (!signal) {
-      return res.status(404).json({ message: 'Signal not found' });
-    }
+    // Keep the change in the settings history
+    await recordRevision({
+      deviceType: 'signal',
+      device: signal._id,
+      before: existing.settings,
+      after: signal.settings,
+      user: req.user,
+      message
+    });
     
     // Notify connected clients
     req.app.get('io').to('admin').emit('signalUpdate', signal);
     
-    // Notify device if online
-    req.app.get('io').to(`signal-${signal._id}`).emit('configUpdate', settings);
+    // Deliver to the device, queued until it acknowledges
+    await sendCommand(req.app.get('io'), {
+      deviceType: 'signal',
+      device: signal._id,
+      event: 'configUpdate',
+      payload: settings,
+      issuedBy: req.user.id
+    });
     
     res.json(signal);
   } catch (err) {
@@ -145,10 +362,30 @@ router.put('/:id/settings', authenticateToken, isOperator, async (req, res) => {
   }
 });
 
+// Settings revision history and rollback
+router.use('/:id/settings/revisions', settingsHistoryRouter({
+  deviceType: 'signal',
+  Model: Signal,
+  validate: settings => validateSchedule(settings && settings.schedule),
+  updateEvent: 'signalUpdate'
+}));
+
 // Manual signal control
 router.post('/:id/control', authenticateToken, isOperator, async (req, res) => {
   try {
-    const { phase, duration, mode } = req.body;
+    const { phase, mode, reason } = req.body;
+    let { duration } = req.body;
+    const expiresIn = req.body.expiresIn !== undefined ? req.body.expiresIn : OVERRIDE_DEFAULTS.defaultDuration;
+    
+    if (duration !== undefined && (typeof duration !== 'number' || !(duration > 0))) {
+      return res.status(400).json({ message: 'Duration must be a positive number of seconds' });
+    }
+    
+    if (typeof expiresIn !== 'number' || !(expiresIn > 0) || expiresIn > OVERRIDE_DEFAULTS.maxDuration) {
+      return res.status(400).json({
+        message: `expiresIn must be between 1 and ${OVERRIDE_DEFAULTS.maxDuration} seconds`
+      });
+    }
     
     const signal = await Signal.findById(req.params.id);
     
@@ -156,29 +393,125 @@ router.post('/:id/control', authenticateToken, isOperator, async (req, res) => {
       return res.status(404).json({ message: 'Signal not found' });
     }
     
+    if (signal.mode === 'Preemption') {
+      return res.status(409).json({ message: 'Signal is under emergency preemption' });
+    }
+    
+    const now = new Date();
+    const held = signal.override && signal.override.expiresAt > now ? signal.override : null;
+    
+    // Only the override's owner or an admin may take over a held signal
+    if (held && held.owner.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(409).json({
+        message: `Signal is under a manual override held by ${held.ownerEmail}`,
+        override: held
+      });
+    }
+    
+    // Check the request against the signal's phase state machine
+    const stateMachine = buildPhaseStateMachine(signal);
+    const phaseChanged = Boolean(phase) && phase !== signal.currentPhase;
+    
+    if (phaseChanged && duration === undefined) {
+      duration = stateMachine.plannedDuration(phase);
+    }
+    
+    const violations = stateMachine.checkTransition({ phase, duration });
+    if (violations.length > 0) {
+      return res.status(409).json({
+        message: 'Phase change rejected by safety rules',
+        currentPhase: signal.currentPhase,
+        violations
+      });
+    }
+    
+    // Manual control is an override that expires back to the previous mode
+    const newMode = mode || 'Manual';
+    if (newMode === 'Manual') {
+      signal.override = {
+        owner: req.user.id,
+        ownerEmail: req.user.email,
+        reason: reason || (held && held.reason),
+        startedAt: held ? held.startedAt : now,
+        expiresAt: new Date(now.getTime() + expiresIn * 1000),
+        previousMode: held ? held.previousMode : (signal.mode !== 'Manual' ? signal.mode : 'AI')
+      };
+    } else {
+      signal.override = undefined;
+    }
+    
     // Update signal with new control settings
-    signal.mode = mode || 'Manual';
-    if (phase) signal.currentPhase = phase;
-    if (duration) signal.remainingTime = `${duration}s`;
+    const previousPhase = signal.currentPhase;
+    signal.mode = newMode;
+    if (phaseChanged) {
+      signal.currentPhase = phase;
+      signal.phaseStartedAt = now;
+      signal.phaseDuration = duration;
+    } else if (duration) {
+      // Extending the running phase keeps its start
+      if (!signal.phaseStartedAt) signal.phaseStartedAt = now;
+      signal.phaseDuration = Math.round((now - signal.phaseStartedAt) / 1000) + duration;
+    }
     
     await signal.save();
     
-    // Notify connected clients
-    req.app.get('io').to('admin').emit('signalUpdate', signal);
+    // Notify connected clients, including when the override runs out
+    const payload = withOverrideExpiry(signal, now);
+    req.app.get('io').to('admin').emit('signalUpdate', payload);
+    
+    if (phaseChanged) {
+      emitPhaseChange(req.app.get('io'), signal, previousPhase);
+    }
     
-    // Notify device if online
-    req.app.get('io').to(`signal-${signal._id}`).emit('controlCommand', {
-      mode: signal.mode,
-      phase: signal.currentPhase,
-      duration
+    // Deliver to the device, queued until it acknowledges
+    await sendCommand(req.app.get('io'), {
+      deviceType: 'signal',
+      device: signal._id,
+      event: 'controlCommand',
+      payload: {
+        mode: signal.mode,
+        phase: signal.currentPhase,
+        duration
+      },
+      issuedBy: req.user.id
     });
     
-    res.json(signal);
+    res.json(payload);
   } catch (err) {
     console.error('Signal control error:', err);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Cancel the manual override on a signal (owner or admin)
+router.delete('/:id/override', authenticateToken, isOperator, async (req, res) => {
+  try {
+    const signal = await Signal.findById(req.params.id);
+    
+    if (!signal) {
+      return res.status(404).json({ message: 'Signal not found' });
+    }
+    
+    if (!signal.override || !signal.override.expiresAt) {
+      return res.status(404).json({ message: 'Signal has no active override' });
+    }
+    
+    if (signal.override.owner.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Only the override owner or an admin can cancel it' });
+    }
+    
+    if (signal.mode === 'Preemption') {
+      return res.status(409).json({ message: 'Signal is under emergency preemption' });
+    }
+    
+    const restored = await releaseOverride(req.app.get('io'), signal._id, `cancelled by ${req.user.email}`);
+    
+    res.json(restored);
+  } catch (err) {
+    console.error('Cancel override error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
 
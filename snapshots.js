@@ -0,0 +1,286 @@
+// services/snapshots.js
+// JPEG snapshots uploaded by cameras, on their own schedule or when asked to
+// with a 'captureSnapshot' command. Images go to GridFS, or to SNAPSHOT_DIR
+// when SNAPSHOT_STORAGE=disk. Each camera keeps at most settings.snapshots
+// maxCount images, none older than retentionHours. A small thumbnail is
+// kept next to each image. Image URLs carry a signature so that a browser
+// can load them in an <img> without the API's Authorization header.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const Camera = require('../models/Camera');
+const Snapshot = require('../models/Snapshot');
+const { sendCommand } = require('./deviceCommands');
+
+const config = {
+  storage: process.env.SNAPSHOT_STORAGE === 'disk' ? 'disk' : 'gridfs',
+  dir: process.env.SNAPSHOT_DIR || path.join(process.cwd(), 'snapshots'),
+  intervalMs: Number(process.env.SNAPSHOT_RETENTION_INTERVAL_MS) || 60 * 60 * 1000,
+  thumbnailWidth: Number(process.env.SNAPSHOT_THUMBNAIL_WIDTH) || 320,
+  urlSecret: process.env.SNAPSHOT_URL_SECRET || process.env.JWT_SECRET || 'default_jwt_secret'
+};
+
+const RETENTION_DEFAULTS = {
+  maxCount: 500,
+  retentionHours: 72
+};
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const bucket = () => new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: 'snapshots' });
+
+const isJpeg = (data) => data.length > 3 && data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff;
+
+// Signature of an image URL; the snapshot id is random enough that the URL
+// cannot be guessed, and the image is gone once retention removes it
+const signatureOf = (snapshotId, variant) => crypto
+  .createHmac('sha256', config.urlSecret)
+  .update(`${snapshotId}:${variant}`)
+  .digest('hex');
+
+const isValidSignature = (snapshotId, variant, signature) => {
+  if (typeof signature !== 'string') return false;
+  const expected = Buffer.from(signatureOf(snapshotId, variant));
+  const given = Buffer.from(signature);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+const imageUrl = (snapshot, variant = 'image') =>
+  `/api/cameras/${snapshot.camera}/snapshots/${snapshot._id}/${variant}?signature=${signatureOf(snapshot._id, variant)}`;
+
+const thumbnailUrl = (snapshot) => (snapshot.thumbnail && snapshot.thumbnail.size ? imageUrl(snapshot, 'thumbnail') : null);
+
+// Where a stored file is: { fileId } in GridFS or { path } under SNAPSHOT_DIR
+const stores = {
+  gridfs: {
+    async save(snapshot, data, suffix = '') {
+      const fileId = new mongoose.Types.ObjectId();
+      await new Promise((resolve, reject) => {
+        bucket()
+          .openUploadStreamWithId(fileId, `${snapshot.camera}-${snapshot.capturedAt.getTime()}${suffix}.jpg`, {
+            metadata: { camera: snapshot.camera }
+          })
+          .on('error', reject)
+          .on('finish', resolve)
+          .end(data);
+      });
+      return { fileId };
+    },
+    open: (file) => bucket().openDownloadStream(file.fileId),
+    remove: (file) => bucket().delete(file.fileId)
+  },
+  disk: {
+    // Paths are kept relative to SNAPSHOT_DIR
+    async save(snapshot, data, suffix = '') {
+      const file = { path: path.join(snapshot.camera.toString(), `${snapshot._id}${suffix}.jpg`) };
+      await fs.promises.mkdir(path.join(config.dir, snapshot.camera.toString()), { recursive: true });
+      await fs.promises.writeFile(path.join(config.dir, file.path), data);
+      return file;
+    },
+    open: (file) => fs.createReadStream(path.join(config.dir, file.path)),
+    remove: (file) => fs.promises.unlink(path.join(config.dir, file.path))
+  }
+};
+
+// A missing file must not keep its record around forever
+const removeFile = async (storage, file) => {
+  try {
+    await stores[storage].remove(file);
+  } catch (error) {
+    if (error.code !== 'ENOENT' && !/FileNotFound|File not found/i.test(error.message)) throw error;
+  }
+};
+
+// Downscaled JPEG of an upload; null if the image cannot be decoded
+const makeThumbnail = async (data) => {
+  try {
+    return await sharp(data)
+      .rotate()
+      .resize({ width: config.thumbnailWidth, withoutEnlargement: true })
+      .jpeg({ quality: 70 })
+      .toBuffer();
+  } catch (error) {
+    console.error('Snapshot thumbnail error:', error.message);
+    return null;
+  }
+};
+
+const getRetention = (camera) => {
+  const configured = (camera.settings && camera.settings.snapshots) || {};
+  return {
+    maxCount: configured.maxCount || RETENTION_DEFAULTS.maxCount,
+    retentionHours: configured.retentionHours || RETENTION_DEFAULTS.retentionHours
+  };
+};
+
+async function removeSnapshots(snapshots) {
+  for (const snapshot of snapshots) {
+    await removeFile(snapshot.storage, snapshot);
+    if (snapshot.thumbnail && snapshot.thumbnail.size) {
+      await removeFile(snapshot.storage, snapshot.thumbnail);
+    }
+    await Snapshot.deleteOne({ _id: snapshot._id });
+  }
+}
+
+// Drop a camera's snapshots beyond its count and age limits
+async function pruneSnapshots(camera) {
+  const { maxCount, retentionHours } = getRetention(camera);
+  const cutoff = new Date(Date.now() - retentionHours * 60 * 60 * 1000);
+
+  const expired = await Snapshot.find({ camera: camera._id, capturedAt: { $lt: cutoff } });
+  const excess = await Snapshot.find({ camera: camera._id, capturedAt: { $gte: cutoff } })
+    .sort({ capturedAt: -1 })
+    .skip(maxCount);
+
+  await removeSnapshots([...expired, ...excess]);
+
+  return expired.length + excess.length;
+}
+
+// Remove every snapshot of a camera, e.g. when the camera is deleted
+async function removeCameraSnapshots(cameraId) {
+  await removeSnapshots(await Snapshot.find({ camera: cameraId }));
+}
+
+async function storeSnapshot(io, cameraId, { data, contentType, trigger, reason, capturedAt }) {
+  const camera = await Camera.findById(cameraId);
+  if (!camera) throw httpError(404, 'Camera not found');
+
+  if (!Buffer.isBuffer(data) || !isJpeg(data)) {
+    throw httpError(400, 'Snapshot must be a JPEG image');
+  }
+
+  const taken = capturedAt ? new Date(capturedAt) : new Date();
+  if (isNaN(taken.getTime())) throw httpError(400, 'Invalid capturedAt');
+
+  const snapshot = new Snapshot({
+    camera: camera._id,
+    capturedAt: taken,
+    trigger,
+    reason,
+    contentType: contentType || 'image/jpeg',
+    size: data.length,
+    storage: config.storage
+  });
+
+  // Reject bad metadata before anything is written
+  await snapshot.validate();
+
+  const thumbnail = await makeThumbnail(data);
+  const written = [];
+  try {
+    const file = await stores[config.storage].save(snapshot, data);
+    written.push(file);
+    Object.assign(snapshot, file);
+
+    if (thumbnail) {
+      const thumbnailFile = await stores[config.storage].save(snapshot, thumbnail, '-thumb');
+      written.push(thumbnailFile);
+      snapshot.thumbnail = { ...thumbnailFile, size: thumbnail.length };
+    }
+
+    await snapshot.save();
+  } catch (error) {
+    await Promise.all(written.map(file => removeFile(config.storage, file).catch(() => {})));
+    throw error;
+  }
+
+  // Only a newer picture replaces the camera's latest one
+  const updated = await Camera.findOneAndUpdate(
+    {
+      _id: camera._id,
+      $or: [{ 'latestSnapshot.capturedAt': { $exists: false } }, { 'latestSnapshot.capturedAt': { $lt: taken } }]
+    },
+    {
+      $set: {
+        latestSnapshot: {
+          snapshot: snapshot._id,
+          capturedAt: taken,
+          trigger: snapshot.trigger,
+          url: imageUrl(snapshot),
+          thumbnailUrl: thumbnailUrl(snapshot)
+        }
+      }
+    },
+    { new: true }
+  );
+
+  if (updated) io.to('admin').emit('cameraUpdate', updated);
+  io.to('admin').emit('snapshot', { ...snapshot.toObject(), url: imageUrl(snapshot), thumbnailUrl: thumbnailUrl(snapshot) });
+
+  await pruneSnapshots(updated || camera);
+
+  return snapshot;
+}
+
+// Stream of the image, or of its thumbnail
+const openSnapshotStream = (snapshot, variant = 'image') =>
+  stores[snapshot.storage].open(variant === 'thumbnail' ? snapshot.thumbnail : snapshot);
+
+// Ask a camera for a picture now; it uploads it like any other snapshot
+async function requestSnapshot(io, cameraId, { trigger = 'manual', reason, issuedBy } = {}) {
+  return sendCommand(io, {
+    deviceType: 'camera',
+    device: cameraId,
+    event: 'captureSnapshot',
+    payload: { trigger, reason },
+    issuedBy
+  });
+}
+
+function createSnapshotRetention(io) {
+  let timer = null;
+
+  async function run() {
+    try {
+      const cameras = await Camera.find().select('settings.snapshots');
+      let removed = 0;
+
+      for (const camera of cameras) {
+        removed += await pruneSnapshots(camera);
+      }
+
+      if (removed > 0) {
+        console.log(`Snapshot retention removed ${removed} snapshots`);
+      }
+    } catch (error) {
+      console.error('Snapshot retention error:', error);
+    }
+  }
+
+  function start() {
+    if (!timer) {
+      timer = setInterval(run, config.intervalMs);
+    }
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    start,
+    stop,
+    run
+  };
+}
+
+module.exports = {
+  imageUrl,
+  thumbnailUrl,
+  isValidSignature,
+  storeSnapshot,
+  openSnapshotStream,
+  pruneSnapshots,
+  removeCameraSnapshots,
+  requestSnapshot,
+  createSnapshotRetention
+};
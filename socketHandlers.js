@@ -3,8 +3,84 @@ const jwt = require('jsonwebtoken');
 const Camera = require('./models/Camera');
 const Signal = require('./models/Signal');
 const Analytics = require('./models/Analytics');
+const { createSignalTimingEngine } = require('./services/signalTimingEngine');
+const { createSignalScheduler } = require('./services/signalScheduler');
+const { createCorridorCoordinator } = require('./services/corridorCoordinator');
+const { requestPreemption, markPassed, recoverPreemptions } = require('./services/preemptionManager');
+const { createOverrideManager } = require('./services/overrideManager');
+const { createConflictMonitor } = require('./services/conflictMonitor');
+const { parseSeconds, emitPhaseChange } = require('./utils/signalState');
+const { createDeviceWatchdog } = require('./services/deviceWatchdog');
+const { sendCommand, deliverPending, acknowledge, createCommandDispatcher } = require('./services/deviceCommands');
+const { reportStatus, handleDeviceVersion } = require('./services/firmwareRollout');
+const { createSnapshotRetention } = require('./services/snapshots');
+const { attributionFor } = require('./services/junctionCoverage');
+const { createCameraHealthMonitor } = require('./services/cameraHealth');
+const { createIncidentDetector } = require('./services/incidentDetector');
+const { breakdownMetrics } = require('./utils/regions');
+const { createAnalyticsRollups } = require('./services/analyticsRollups');
+const { createTrafficForecaster } = require('./services/trafficForecast');
+const { createAnomalyDetector } = require('./services/anomalyDetector');
+const { createSignalPerformanceMonitor } = require('./services/signalPerformance');
+const { getCongestionThresholds, classifyCongestion } = require('./utils/congestion');
 
 module.exports = function(io) {
+  // Adaptive timing for signals in AI mode
+  const timingEngine = createSignalTimingEngine(io);
+  timingEngine.start();
+  
+  // Schedule windows for signals with settings.schedule enabled
+  const scheduler = createSignalScheduler(io);
+  scheduler.start();
+  
+  // Green-wave offsets for signals in corridors
+  const corridorCoordinator = createCorridorCoordinator(io);
+  
+  // Release signals held by preemptions interrupted by a restart
+  recoverPreemptions(io);
+  
+  // Revert manual overrides once they expire
+  const overrideManager = createOverrideManager(io);
+  overrideManager.start();
+  
+  // Checks device-reported signal states against their phase plans
+  const conflictMonitor = createConflictMonitor(io);
+  
+  // Moves silent or disconnected devices to warning, then offline
+  const watchdog = createDeviceWatchdog(io);
+  watchdog.start();
+  
+  // Retries device commands that were not acknowledged
+  const commandDispatcher = createCommandDispatcher(io);
+  commandDispatcher.start();
+  
+  // Stores camera health reports and flags degraded cameras
+  const healthMonitor = createCameraHealthMonitor(io);
+  
+  // Looks for incidents in camera metrics
+  const incidentDetector = createIncidentDetector(io);
+  incidentDetector.start();
+  
+  // Rolls analytics up into time buckets and throttles analyticsUpdate
+  const analyticsRollups = createAnalyticsRollups(io);
+  analyticsRollups.start();
+  
+  // Scores camera reports against their usual weekday and hour volume
+  const anomalyDetector = createAnomalyDetector(io);
+  anomalyDetector.start();
+  
+  // Forecasts junction volumes and checks past forecasts against actuals
+  const trafficForecaster = createTrafficForecaster(io);
+  trafficForecaster.start();
+  
+  // Estimates delay, queue and level of service per signal approach
+  const signalPerformance = createSignalPerformanceMonitor(io);
+  signalPerformance.start();
+  
+  // Drops camera snapshots past their retention limits
+  const snapshotRetention = createSnapshotRetention(io);
+  snapshotRetention.start();
+  
   io.on('connection', (socket) => {
     console.log('New client connected:', socket.id);
     
@@ -12,6 +88,7 @@ module.exports = function(io) {
     socket.on('authenticate', (token) => {
       try {
         const decoded = jwt.verify(token, process.env.JWT_SECRET || 'default_jwt_secret');
+        socket.data.user = decoded;
         socket.join('admin');
         console.log(`User ${decoded.id} joined admin room`);
       } catch (error) {
@@ -32,8 +109,14 @@ module.exports = function(io) {
         // Emit to all admin clients
         io.to('admin').emit('cameraUpdate', camera);
         
-        // Emit to device if online
-        io.to(`camera-${data.id}`).emit('configUpdate', data.settings);
+        // Deliver to the device, queued until it acknowledges
+        await sendCommand(io, {
+          deviceType: 'camera',
+          device: data.id,
+          event: 'configUpdate',
+          payload: data.settings,
+          issuedBy: socket.data.user && socket.data.user.id
+        });
       } catch (error) {
         console.error('Camera control error:', error);
         socket.emit('error', { message: 'Failed to control camera' });
@@ -53,14 +136,60 @@ module.exports = function(io) {
         // Emit to all admin clients
         io.to('admin').emit('signalUpdate', signal);
         
-        // Emit to device if online
-        io.to(`signal-${data.id}`).emit('configUpdate', data.settings);
+        // Deliver to the device, queued until it acknowledges
+        await sendCommand(io, {
+          deviceType: 'signal',
+          device: data.id,
+          event: 'configUpdate',
+          payload: data.settings,
+          issuedBy: socket.data.user && socket.data.user.id
+        });
       } catch (error) {
         console.error('Signal control error:', error);
         socket.emit('error', { message: 'Failed to control signal' });
       }
     });
     
+    // Handle emergency preemption requests from authenticated clients
+    socket.on('preemptionRequest', async (data, callback) => {
+      const reply = typeof callback === 'function' ? callback : () => {};
+      
+      if (!socket.data.user || !['admin', 'operator'].includes(socket.data.user.role)) {
+        return reply({ error: 'Insufficient permissions' });
+      }
+      
+      try {
+        const preemption = await requestPreemption(io, {
+          signals: data.signals,
+          direction: data.direction,
+          timeout: data.timeout,
+          vehicleId: data.vehicleId,
+          requestedBy: socket.data.user.id
+        });
+        reply({ preemption });
+      } catch (error) {
+        if (!error.status) console.error('Preemption request error:', error);
+        reply({ error: error.status ? error.message : 'Failed to request preemption' });
+      }
+    });
+    
+    // Vehicle has cleared a signal on its preemption route
+    socket.on('preemptionPassed', async (data, callback) => {
+      const reply = typeof callback === 'function' ? callback : () => {};
+      
+      if (!socket.data.user || !['admin', 'operator'].includes(socket.data.user.role)) {
+        return reply({ error: 'Insufficient permissions' });
+      }
+      
+      try {
+        const preemption = await markPassed(io, data.id, data.signal);
+        reply({ preemption });
+      } catch (error) {
+        if (!error.status) console.error('Preemption passed error:', error);
+        reply({ error: error.status ? error.message : 'Failed to update preemption' });
+      }
+    });
+    
     // Handle device connection (cameras and signals)
     socket.on('deviceConnect', async (data) => {
       try {
@@ -71,69 +200,155 @@ module.exports = function(io) {
           throw new Error('Invalid API key');
         }
         
+        if (type !== 'camera' && type !== 'signal') {
+          throw new Error(`Unknown device type ${type}`);
+        }
+        
         // Join device room
         socket.join(`${type}-${id}`);
         
         // Update device status to online
-        let device;
-        if (type === 'camera') {
-          device = await Camera.findByIdAndUpdate(
-            id,
-            { status: 'online', lastSeen: new Date() },
-            { new: true }
-          );
-          io.to('admin').emit('cameraUpdate', device);
-        } else if (type === 'signal') {
-          device = await Signal.findByIdAndUpdate(
-            id,
-            { status: 'online', lastSeen: new Date() },
-            { new: true }
-          );
-          io.to('admin').emit('signalUpdate', device);
-        }
+        await watchdog.deviceConnected(socket, type, id);
         
         console.log(`Device ${type}-${id} connected`);
+        
+        // A device back from a firmware update announces its new version
+        await handleDeviceVersion(io, type, id, data.firmware);
+        
+        // Send commands queued while the device was offline
+        await deliverPending(io, type, id);
       } catch (error) {
         console.error('Device connection error:', error);
         socket.emit('error', { message: 'Authentication failed' });
       }
     });
     
+    // Handle device heartbeats
+    socket.on('heartbeat', async () => {
+      try {
+        const device = watchdog.deviceFor(socket);
+        if (device) {
+          await watchdog.heartbeat(device.type, device.id);
+        }
+      } catch (error) {
+        console.error('Heartbeat error:', error);
+      }
+    });
+    
+    // Device reports whether it applied a command
+    socket.on('commandAck', async (data) => {
+      try {
+        const device = watchdog.deviceFor(socket);
+        if (device && data && data.commandId) {
+          await acknowledge(io, device.type, device.id, data);
+        }
+      } catch (error) {
+        console.error('Command acknowledgement error:', error);
+      }
+    });
+    
+    // Device reports progress of a firmware update
+    socket.on('firmwareStatus', async (data) => {
+      try {
+        const device = watchdog.deviceFor(socket);
+        if (device && data && data.rollout) {
+          await reportStatus(io, device.type, device.id, data);
+        }
+      } catch (error) {
+        console.error('Firmware status error:', error);
+      }
+    });
+    
     // Handle device data updates
     socket.on('deviceData', async (data) => {
       try {
-        const { type, id, metrics } = data;
+        const { type, id } = data;
+        let { metrics } = data;
         
         // Update device data in database
         if (type === 'camera') {
+          if (metrics) {
+            const configured = await Camera.findById(id).select('settings junction');
+            
+            // Counts per line and zone carry the tags they were configured with
+            if (metrics.regions) {
+              metrics = { ...metrics, regions: breakdownMetrics(configured && configured.settings, metrics.regions) };
+            }
+            
+            // Congestion is classified here; the device's own level is kept for auditing
+            const lanes = configured && configured.junction && configured.junction.lanes ? configured.junction.lanes.length : 1;
+            const congestion = classifyCongestion(metrics, getCongestionThresholds(configured), lanes);
+            metrics = {
+              ...metrics,
+              congestionLevel: congestion.level,
+              deviceCongestionLevel: typeof metrics.congestionLevel === 'string' ? metrics.congestionLevel : undefined,
+              congestionBasis: congestion.basis
+            };
+          }
+          
+          // Health-only reports leave the traffic metrics alone
+          const update = metrics ? { lastSeen: new Date(), metrics } : { lastSeen: new Date() };
           const camera = await Camera.findByIdAndUpdate(
             id,
             { 
-              $set: { 
-                lastSeen: new Date(),
-                metrics
-              }
+              $set: update
             },
             { new: true }
           );
           io.to('admin').emit('cameraUpdate', camera);
           
           // Process analytics
-          processTrafficAnalytics(metrics, io);
+          if (metrics) {
+            processTrafficAnalytics(camera, metrics, io);
+            await incidentDetector.checkMetrics(camera, metrics);
+          }
+          
+          // Health telemetry, e.g. { fps, rssi, freeHeap, temperature, uptime, droppedFrames }
+          if (data.health) {
+            await healthMonitor.recordHealth(id, data.health);
+          }
         } else if (type === 'signal') {
+          const now = new Date();
+          const update = {
+            lastSeen: now,
+            currentPhase: metrics.currentPhase
+          };
+          
+          // Phase state is kept as start time plus duration; the device
+          // reports what is left, which may have been extended
+          const previous = await Signal.findById(id).select('currentPhase phaseStartedAt lastSeen');
+          const phaseChanged = Boolean(previous) && previous.currentPhase !== metrics.currentPhase;
+          const startedAt = phaseChanged || !previous || !previous.phaseStartedAt ? now : previous.phaseStartedAt;
+          const remaining = parseSeconds(metrics.remainingTime);
+          
+          update.phaseStartedAt = startedAt;
+          if (remaining !== null) {
+            update.phaseDuration = Math.round((now - startedAt) / 1000) + remaining;
+          }
+          
           const signal = await Signal.findByIdAndUpdate(
             id,
-            { 
-              $set: { 
-                lastSeen: new Date(),
-                currentPhase: metrics.currentPhase,
-                remainingTime: metrics.remainingTime,
-                metrics
-              }
-            },
+            { $set: update },
             { new: true }
           );
           io.to('admin').emit('signalUpdate', signal);
+          
+          if (signal && phaseChanged) {
+            emitPhaseChange(io, signal, previous.currentPhase);
+            signalPerformance.recordPhaseChange(id, previous.currentPhase, previous.phaseStartedAt, now);
+          }
+          
+          await conflictMonitor.checkReport(previous, signal, metrics);
+          
+          if (signal && phaseChanged) {
+            corridorCoordinator.handlePhaseChange(signal);
+          }
+        }
+        
+        // Any data from an identified device counts as a heartbeat
+        const device = watchdog.deviceFor(socket);
+        if (device) {
+          await watchdog.heartbeat(device.type, device.id);
         }
       } catch (error) {
         console.error('Device data update error:', error);
@@ -143,46 +358,42 @@ module.exports = function(io) {
     // Handle disconnect
     socket.on('disconnect', () => {
       console.log('Client disconnected:', socket.id);
+      
+      watchdog.handleDisconnect(socket).catch(error => {
+        console.error('Device disconnect error:', error);
+      });
     });
   });
   
   // Process traffic analytics data
-  async function processTrafficAnalytics(metrics, io) {
+  async function processTrafficAnalytics(camera, metrics, io) {
     try {
+      // Attribute to the junction and approach the camera is mapped to
+      const { junctionId, approach } = attributionFor(camera, metrics);
+      const timestamp = new Date();
+      
+      // How far the report is from usual for this camera at this time
+      const anomalyScore = await anomalyDetector.checkSample(camera, junctionId, metrics.vehicleCount || 0, timestamp);
+      
       // Create new analytics entry
-      await Analytics.create({
-        timestamp: new Date(),
+      const record = await Analytics.create({
+        timestamp,
         trafficVolume: metrics.vehicleCount || 0,
-        congestionLevel: metrics.congestionLevel || 'Low',
+        congestionLevel: metrics.congestionLevel || 'Unknown',
+        deviceCongestionLevel: metrics.deviceCongestionLevel,
+        congestionBasis: metrics.congestionBasis || [],
+        occupancy: typeof metrics.occupancy === 'number' ? metrics.occupancy : undefined,
         averageSpeed: metrics.averageSpeed || 0,
         vehicleTypes: metrics.vehicleTypes || { cars: 0, motorcycles: 0, trucks: 0 },
-        junctionId: metrics.junctionId
+        junctionId,
+        camera: camera ? camera._id : undefined,
+        approach,
+        regions: metrics.regions || [],
+        anomalyScore: anomalyScore === null ? undefined : anomalyScore
       });
       
-      // Calculate and emit aggregated analytics
-      const aggregatedData = await Analytics.aggregate([
-        { 
-          $match: { 
-            timestamp: { 
-              $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) 
-            } 
-          } 
-        },
-        {
-          $group: {
-            _id: null,
-            averageTrafficVolume: { $avg: '$trafficVolume' },
-            averageSpeed: { $avg: '$averageSpeed' },
-            vehicleTypesAggregate: { 
-              $push: '$vehicleTypes' 
-            }
-          }
-        }
-      ]);
-      
-      if (aggregatedData.length > 0) {
-        io.to('admin').emit('analyticsUpdate', aggregatedData[0]);
-      }
+      // Add to the rollups; dashboards get the totals at a limited rate
+      await analyticsRollups.record(record);
     } catch (error) {
       console.error('Analytics processing error:', error);
     }
@@ -190,6 +401,20 @@ module.exports = function(io) {
   
   // Return handlers if needed elsewhere
   return {
-    processTrafficAnalytics
+    processTrafficAnalytics,
+    timingEngine,
+    scheduler,
+    corridorCoordinator,
+    overrideManager,
+    conflictMonitor,
+    watchdog,
+    commandDispatcher,
+    snapshotRetention,
+    healthMonitor,
+    incidentDetector,
+    analyticsRollups,
+    trafficForecaster,
+    anomalyDetector,
+    signalPerformance
   };
 };
\ No newline at end of file
@@ -0,0 +1,286 @@
+// services/trafficForecast.js
+// Short-term forecasts of volume and congestion per junction. The seasonal
+// profile is the junction's 15-minute rollups at the same time of the week
+// over the last few weeks; the last hour's reports against that profile
+// give a trend that scales the forecast, fading out towards longer
+// horizons. Forecasts are stored and compared with what actually happened,
+// so their accuracy can be judged.
+const Camera = require('../models/Camera');
+const Forecast = require('../models/Forecast');
+const Signal = require('../models/Signal');
+const { weekMinute } = require('../utils/schedule');
+const { levelFromScore } = require('../utils/congestion');
+const { bucketStart, rollupSeries } = require('./analyticsRollups');
+
+const SLOT_MS = 15 * 60 * 1000;
+const HORIZONS = [15, 30, 60];
+
+const config = {
+  intervalMs: Number(process.env.FORECAST_INTERVAL_MS) || SLOT_MS,
+  // Weeks of history in the seasonal profile
+  profileWeeks: Number(process.env.FORECAST_PROFILE_WEEKS) || 4,
+  // Share of the recent trend kept per 15 minutes ahead
+  trendDecay: Number(process.env.FORECAST_TREND_DECAY) || 0.85
+};
+
+// 15-minute slot of the week, in the schedule timezone
+const slotOf = (date) => Math.floor(weekMinute(date) / 15);
+
+// 1 (Low) to 3 (High) from congestion counts; Unknown does not count
+const congestionScore = (levels) => {
+  const known = levels.Low + levels.Medium + levels.High;
+  return known > 0 ? (levels.Low + 2 * levels.Medium + 3 * levels.High) / known : null;
+};
+
+const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+const round = (value, digits = 2) => (value === null ? null : Number(value.toFixed(digits)));
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Forecast from 15-minute history rows ({ timestamp, averageTrafficVolume,
+ * congestionLevels }, as returned by rollupSeries) for the buckets 15, 30
+ * and 60 minutes after the one holding `now`.
+ */
+const forecastFromHistory = (history, now, settings = config) => {
+  const currentStart = bucketStart(now, '15m').getTime();
+  const recentFrom = currentStart - 4 * SLOT_MS;
+
+  // Average per slot of the week over the profile weeks
+  const slots = new Map();
+  history.filter(row => row.timestamp.getTime() < recentFrom).forEach(row => {
+    const slot = slotOf(row.timestamp);
+    if (!slots.has(slot)) slots.set(slot, { volumes: [], scores: [] });
+    slots.get(slot).volumes.push(row.averageTrafficVolume);
+    const score = congestionScore(row.congestionLevels);
+    if (score !== null) slots.get(slot).scores.push(score);
+  });
+
+  const profileAt = (date) => {
+    const entry = slots.get(slotOf(date));
+    return entry ? { volume: average(entry.volumes), score: average(entry.scores) } : null;
+  };
+
+  // The last hour, including the bucket in progress, against the profile
+  const recent = history.filter(row => row.timestamp.getTime() >= recentFrom);
+  const matched = recent
+    .map(row => ({ row, profile: profileAt(row.timestamp) }))
+    .filter(({ profile }) => profile && profile.volume > 0);
+
+  const profileVolume = matched.reduce((sum, { profile }) => sum + profile.volume, 0);
+  const trendRatio = matched.length >= 2
+    ? clamp(matched.reduce((sum, { row }) => sum + row.averageTrafficVolume, 0) / profileVolume, 0.5, 2)
+    : 1;
+
+  const scoreOffsets = matched
+    .map(({ row, profile }) => {
+      const score = congestionScore(row.congestionLevels);
+      return score !== null && profile.score !== null ? score - profile.score : null;
+    })
+    .filter(offset => offset !== null);
+  const scoreOffset = average(scoreOffsets) || 0;
+
+  const recentVolume = average(recent.map(row => row.averageTrafficVolume));
+  const recentScore = average(recent.map(row => congestionScore(row.congestionLevels)).filter(score => score !== null));
+
+  const horizons = HORIZONS.map(minutes => {
+    const targetStart = new Date(currentStart + minutes * 60 * 1000);
+    const weight = Math.pow(settings.trendDecay, minutes / 15);
+    const profile = profileAt(targetStart);
+
+    let basis = 'none';
+    let volume = null;
+    let score = null;
+
+    if (profile) {
+      basis = 'profile';
+      volume = profile.volume * (1 + (trendRatio - 1) * weight);
+      score = profile.score !== null ? clamp(profile.score + scoreOffset * weight, 1, 3) : recentScore;
+    } else if (recentVolume !== null) {
+      // No history for this time of the week yet; carry the last hour forward
+      basis = 'recent';
+      volume = recentVolume;
+      score = recentScore;
+    }
+
+    return {
+      minutes,
+      targetStart,
+      targetEnd: new Date(targetStart.getTime() + SLOT_MS),
+      basis,
+      volume: round(volume),
+      congestionScore: round(score),
+      congestionLevel: levelFromScore(score)
+    };
+  });
+
+  return { trendRatio: round(trendRatio), horizons };
+};
+
+const junctionHistory = (junctionId, from, to) => rollupSeries({
+  scope: 'junction',
+  filter: { junctionId },
+  interval: '15m',
+  from,
+  to
+});
+
+// Fresh forecast for one junction, not stored
+async function forecastJunction(junctionId, now = new Date()) {
+  const from = new Date(now.getTime() - config.profileWeeks * 7 * 24 * 60 * 60 * 1000);
+  const history = await junctionHistory(junctionId, from, now);
+
+  return { junction: junctionId, issuedAt: now, ...forecastFromHistory(history, now) };
+}
+
+// Latest stored forecast of every junction, with the junction's name. Only
+// the last two forecast runs are read; older ones are out of date anyway.
+async function latestForecasts(now = new Date()) {
+  const latest = await Forecast.aggregate([
+    { $match: { issuedAt: { $gte: new Date(now.getTime() - 2 * config.intervalMs) } } },
+    { $sort: { issuedAt: -1 } },
+    { $group: { _id: '$junction', forecast: { $first: '$$ROOT' } } }
+  ]);
+
+  const signals = await Signal.find({ _id: { $in: latest.map(entry => entry._id) } }).select('name location');
+  const byId = new Map(signals.map(signal => [signal._id.toString(), signal]));
+
+  return latest
+    .filter(entry => byId.has(entry._id.toString()))
+    .map(({ forecast }) => ({
+      ...forecast,
+      junctionName: byId.get(forecast.junction.toString()).name,
+      location: byId.get(forecast.junction.toString()).location
+    }))
+    .sort((a, b) => a.junctionName.localeCompare(b.junctionName));
+}
+
+/**
+ * Accuracy of evaluated forecasts since `from` per horizon: mean absolute
+ * error and mean absolute percentage error of the volume, and how often
+ * the congestion level was right.
+ */
+async function forecastAccuracy({ junction, from }) {
+  const match = { evaluatedAt: { $ne: null }, issuedAt: { $gte: from } };
+  if (junction) match.junction = junction;
+
+  const rows = await Forecast.aggregate([
+    { $match: match },
+    { $unwind: '$horizons' },
+    { $match: { 'horizons.actualVolume': { $ne: null }, 'horizons.volume': { $ne: null } } },
+    {
+      $group: {
+        _id: '$horizons.minutes',
+        forecasts: { $sum: 1 },
+        meanAbsoluteError: { $avg: '$horizons.absoluteError' },
+        meanAbsolutePercentError: {
+          $avg: {
+            $cond: [
+              { $gt: ['$horizons.actualVolume', 0] },
+              { $multiply: [{ $divide: ['$horizons.absoluteError', '$horizons.actualVolume'] }, 100] },
+              null
+            ]
+          }
+        },
+        congestionHits: {
+          $sum: { $cond: [{ $eq: ['$horizons.congestionLevel', '$horizons.actualCongestionLevel'] }, 1, 0] }
+        }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return rows.map(row => ({
+    minutes: row._id,
+    forecasts: row.forecasts,
+    meanAbsoluteError: round(row.meanAbsoluteError),
+    meanAbsolutePercentError: row.meanAbsolutePercentError === null ? null : round(row.meanAbsolutePercentError, 1),
+    congestionAccuracy: round((row.congestionHits / row.forecasts) * 100, 1)
+  }));
+}
+
+function createTrafficForecaster(io) {
+  let timer = null;
+
+  // Fill in the actual values of forecasts whose buckets are all over
+  async function evaluate(now = new Date()) {
+    const lastHorizon = Math.max(...HORIZONS) * 60 * 1000 + 2 * SLOT_MS;
+    const due = await Forecast.find({ evaluatedAt: null, issuedAt: { $lte: new Date(now.getTime() - lastHorizon) } });
+
+    for (const forecast of due) {
+      const starts = forecast.horizons.map(horizon => horizon.targetStart.getTime());
+      const actual = await junctionHistory(forecast.junction, new Date(Math.min(...starts)), new Date(Math.max(...starts)));
+      const byStart = new Map(actual.map(row => [row.timestamp.getTime(), row]));
+
+      forecast.horizons.forEach(horizon => {
+        const row = byStart.get(horizon.targetStart.getTime());
+        if (!row) return;
+
+        const score = congestionScore(row.congestionLevels);
+        horizon.actualVolume = row.averageTrafficVolume;
+        horizon.actualCongestionScore = round(score);
+        horizon.actualCongestionLevel = levelFromScore(score);
+        if (horizon.volume !== null && horizon.volume !== undefined) {
+          horizon.absoluteError = round(Math.abs(horizon.volume - row.averageTrafficVolume));
+        }
+      });
+
+      forecast.evaluatedAt = now;
+      await forecast.save();
+    }
+  }
+
+  // Forecast every junction that has cameras mapped to it
+  async function issue(now = new Date()) {
+    const junctions = await Camera.distinct('junction.signal', { 'junction.signal': { $ne: null } });
+    const forecasts = [];
+
+    for (const junction of junctions) {
+      forecasts.push(await Forecast.create(await forecastJunction(junction, now)));
+    }
+
+    if (forecasts.length > 0) {
+      io.to('admin').emit('forecastUpdate', forecasts);
+    }
+    return forecasts;
+  }
+
+  async function run() {
+    try {
+      await evaluate();
+      await issue();
+    } catch (error) {
+      console.error('Traffic forecast error:', error);
+    }
+  }
+
+  function start() {
+    if (!timer) {
+      run();
+      timer = setInterval(run, config.intervalMs);
+    }
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    start,
+    stop,
+    run,
+    evaluate,
+    issue
+  };
+}
+
+module.exports = {
+  HORIZONS,
+  forecastFromHistory,
+  forecastJunction,
+  latestForecasts,
+  forecastAccuracy,
+  createTrafficForecaster
+};